@@ -1,194 +1,223 @@
-import React, { useState, useEffect } from 'react';
+import React, { useEffect } from 'react';
 import { StatusBar } from 'expo-status-bar';
-import { NavigationContainer } from '@react-navigation/native';
+import { NavigationContainer, DefaultTheme, DarkTheme } from '@react-navigation/native';
 import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
+import { createNativeStackNavigator } from '@react-navigation/native-stack';
 import { Ionicons } from '@expo/vector-icons';
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import axios from 'axios';
+import { Alert, useColorScheme } from 'react-native';
+import * as SystemUI from 'expo-system-ui';
 
 
 // Import our screens
 import HomeScreen from './screens/HomeScreen';
 import ForecastScreen from './screens/ForecastScreen';
 import SettingsScreen from './screens/SettingsScreen';
+import DayDetailScreen from './screens/DayDetailScreen';
+import CompareScreen from './screens/CompareScreen';
+import HistoryScreen from './screens/HistoryScreen';
+import AlertRulesScreen from './screens/AlertRulesScreen';
+import WeatherStoreSync from './components/WeatherStoreSync';
+import ShareButton from './components/ShareButton';
+import UpdatePrompt from './components/UpdatePrompt';
+import { useSetting, useSettingsLoaded } from './utils/weatherStore';
+import { ThemeContext, resolveTheme, getNavigationTheme, useTheme } from './utils/theme';
+import {
+  I18nContext,
+  resolveLanguage,
+  setLanguage,
+  translate,
+  useTranslation,
+  applyLayoutDirection
+} from './utils/i18n';
+import { linking } from './utils/links';
+import { registerServiceWorker } from './utils/serviceWorker';
+// Also defines the background task, which has to happen as the app loads
+import './utils/backgroundRefresh';
 
 // Create our tab navigator
 const Tab = createBottomTabNavigator();
 
-// Your OpenWeatherMap API key (get yours at openweathermap.org)
-const API_KEY = 'your_api_key_here'; // Replace with your actual API key
+// The Forecast tab has its own stack so a day can be opened in detail
+const ForecastStack = createNativeStackNavigator();
+
+// The Settings tab opens the alert rule editor in its own stack too
+const SettingsStack = createNativeStackNavigator();
+
+// Header styling shared by the stacks inside the tabs
+const getStackScreenOptions = (colors) => ({
+  headerStyle: {
+    backgroundColor: colors.background,
+  },
+  headerTintColor: colors.text,
+  headerTitleStyle: {
+    fontWeight: 'bold',
+  },
+});
+
+// Header button sharing a link to a weather screen
+const shareButtonOptions = ({ route }) => ({
+  headerRight: ({ tintColor }) => <ShareButton route={route} tintColor={tintColor} />,
+});
+
+// Screens read what they need from utils/weatherStore.js, so none of them
+// take props from here
+const ForecastTab = () => {
+  const { colors } = useTheme();
+  const { t } = useTranslation();
+
+  return (
+    <ForecastStack.Navigator screenOptions={getStackScreenOptions(colors)}>
+      <ForecastStack.Screen
+        name="ForecastList"
+        component={ForecastScreen}
+        options={(props) => ({ title: t('tabs.forecast'), ...shareButtonOptions(props) })}
+      />
+      <ForecastStack.Screen
+        name="DayDetail"
+        component={DayDetailScreen}
+        options={(props) => ({ title: t('tabs.dayDetail'), ...shareButtonOptions(props) })}
+      />
+    </ForecastStack.Navigator>
+  );
+};
+
+const SettingsTab = () => {
+  const { colors } = useTheme();
+  const { t } = useTranslation();
+
+  return (
+    <SettingsStack.Navigator screenOptions={getStackScreenOptions(colors)}>
+      <SettingsStack.Screen
+        name="SettingsMain"
+        component={SettingsScreen}
+        options={{ title: t('tabs.settings') }}
+      />
+      <SettingsStack.Screen
+        name="AlertRules"
+        component={AlertRulesScreen}
+        options={{ title: t('tabs.alertRules') }}
+      />
+    </SettingsStack.Navigator>
+  );
+};
 
 export default function App() {
-  // State to store weather data and user settings
-  const [weatherData, setWeatherData] = useState(null);
-  const [forecastData, setForecastData] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [settings, setSettings] = useState({
-    location: 'London',
-    units: 'metric' // 'metric' for Celsius, 'imperial' for Fahrenheit
-  });
-
-  // Load saved settings when app starts
-  useEffect(() => {
-    loadSettings();
-  }, []);
+  // Only the settings that change the whole app are read here, so other
+  // changes don't re-render every screen
+  const themeMode = useSetting('themeMode');
+  const languageSetting = useSetting('language');
+  const settingsLoaded = useSettingsLoaded();
+
+  // Light or dark colours, following the device when themeMode is 'system'
+  const systemScheme = useColorScheme();
+  const theme = resolveTheme(themeMode, systemScheme);
+  const { colors } = theme;
 
-  // Save settings whenever they change
+  // The language for labels, numbers, dates and weather descriptions.
+  // Set before rendering so the formatting helpers use it straight away
+  const language = resolveLanguage(languageSetting);
+  setLanguage(language);
+  const t = (key, params) => translate(language, key, params);
+
+  // Switch between left-to-right and right-to-left layouts
+  // (once we know the saved language, so a restart isn't asked for twice)
   useEffect(() => {
-    saveSettings();
-    // When settings change, fetch new weather data
-    fetchWeatherData();
-  }, [settings]);
-
-  // Function to load settings from device storage
-  const loadSettings = async () => {
-    try {
-      const savedSettings = await AsyncStorage.getItem('weatherSettings');
-      if (savedSettings) {
-        setSettings(JSON.parse(savedSettings));
-      }
-    } catch (error) {
-      console.error('Failed to load settings', error);
-    }
-  };
-
-  // Function to save settings to device storage
-  const saveSettings = async () => {
-    try {
-      await AsyncStorage.setItem('weatherSettings', JSON.stringify(settings));
-    } catch (error) {
-      console.error('Failed to save settings', error);
+    if (!settingsLoaded) {
+      return;
     }
-  };
-
-  // Function to fetch weather data from the API
-  const fetchWeatherData = async () => {
-    setLoading(true);
-    try {
-      // Get current weather using axios
-      const weatherResponse = await axios.get(
-        'https://api.openweathermap.org/data/2.5/weather',
-        {
-          params: {
-            q: settings.location,
-            units: settings.units,
-            appid: API_KEY
-          }
-        }
-      );
-      
-      // With axios, we don't need to check response.ok or call .json()
-      // Data is already in the response.data property
-      setWeatherData(weatherResponse.data);
-      
-      // Get forecast data (5 days, every 3 hours)
-      const forecastResponse = await axios.get(
-        'https://api.openweathermap.org/data/2.5/forecast',
-        {
-          params: {
-            q: settings.location,
-            units: settings.units,
-            appid: API_KEY
-          }
-        }
-      );
-      
-      setForecastData(forecastResponse.data);
-      
-    } catch (error) {
-      console.error('Error fetching weather data:', error);
-      // With axios, error handling is a bit cleaner
-      if (error.response) {
-        // The request was made and the server responded with a status code
-        // that falls out of the range of 2xx
-        console.error('Server responded with error:', error.response.status);
-      } else if (error.request) {
-        // The request was made but no response was received
-        console.error('No response received:', error.request);
-      } else {
-        // Something happened in setting up the request that triggered an Error
-        console.error('Request error:', error.message);
-      }
-      // In a real app, you'd want to show an error message to the user
-    } finally {
-      setLoading(false);
+    const needsRestart = applyLayoutDirection(language);
+    if (needsRestart) {
+      Alert.alert(t('language.restartTitle'), t('language.restartMessage'));
     }
-  };
+  }, [language, settingsLoaded]);
+
+  // On the web, save the app for offline use and look out for new versions
+  useEffect(() => {
+    registerServiceWorker();
+  }, []);
+
+  // Match the root view behind the app (seen while screens animate) to the theme
+  useEffect(() => {
+    SystemUI.setBackgroundColorAsync(colors.background);
+  }, [colors.background]);
 
   return (
-    <NavigationContainer>
-      <StatusBar style="auto" />
-      <Tab.Navigator
-        screenOptions={({ route }) => ({
-          // Configure the icons for each tab
-          tabBarIcon: ({ focused, color, size }) => {
-            let iconName;
-
-            if (route.name === 'Home') {
-              iconName = focused ? 'home' : 'home-outline';
-            } else if (route.name === 'Forecast') {
-              iconName = focused ? 'calendar' : 'calendar-outline';
-            } else if (route.name === 'Settings') {
-              iconName = focused ? 'settings' : 'settings-outline';
-            }
-
-            return <Ionicons name={iconName} size={size} color={color} />;
-          },
-          // Tab bar styling
-          tabBarActiveTintColor: '#0096c7',
-          tabBarInactiveTintColor: 'gray',
-          headerStyle: {
-            backgroundColor: '#f8f9fa',
-          },
-          headerTitleStyle: {
-            fontWeight: 'bold',
-          },
-        })}
-      >
-        {/* Define our screens */}
-        <Tab.Screen 
-          name="Home" 
-          options={{ title: 'Current Weather' }}
+    <I18nContext.Provider value={language}>
+      <ThemeContext.Provider value={theme}>
+        {/* Loads, fetches and refreshes the weather for every screen */}
+        <WeatherStoreSync />
+        <NavigationContainer
+          theme={getNavigationTheme(theme, theme.dark ? DarkTheme : DefaultTheme)}
+          // Opens screens from weatherdashboard:// links and web URLs
+          linking={linking}
         >
-          {/* Pass props to our screen components */}
-          {(props) => (
-            <HomeScreen 
-              {...props} 
-              weatherData={weatherData} 
-              loading={loading} 
-              settings={settings} 
-              refreshData={fetchWeatherData}
+          {/* Light text on the dark theme, dark text on the light one */}
+          <StatusBar style={theme.dark ? 'light' : 'dark'} />
+          {/* Offers to reload when a new web version is out */}
+          <UpdatePrompt />
+          <Tab.Navigator
+            screenOptions={({ route }) => ({
+              // Configure the icons for each tab
+              tabBarIcon: ({ focused, color, size }) => {
+                let iconName;
+
+                if (route.name === 'Home') {
+                  iconName = focused ? 'home' : 'home-outline';
+                } else if (route.name === 'Forecast') {
+                  iconName = focused ? 'calendar' : 'calendar-outline';
+                } else if (route.name === 'Compare') {
+                  iconName = focused ? 'git-compare' : 'git-compare-outline';
+                } else if (route.name === 'History') {
+                  iconName = focused ? 'time' : 'time-outline';
+                } else if (route.name === 'Settings') {
+                  iconName = focused ? 'settings' : 'settings-outline';
+                }
+
+                return <Ionicons name={iconName} size={size} color={color} />;
+              },
+              // Tab bar styling
+              tabBarActiveTintColor: colors.primary,
+              tabBarInactiveTintColor: colors.textMuted,
+              tabBarStyle: {
+                backgroundColor: colors.card,
+              },
+              ...getStackScreenOptions(colors),
+            })}
+          >
+            {/* Define our screens */}
+            <Tab.Screen
+              name="Home"
+              component={HomeScreen}
+              options={(props) => ({ title: t('tabs.home'), ...shareButtonOptions(props) })}
             />
-          )}
-        </Tab.Screen>
-        
-        <Tab.Screen 
-          name="Forecast" 
-          options={{ title: '5-Day Forecast' }}
-        >
-          {(props) => (
-            <ForecastScreen 
-              {...props} 
-              forecastData={forecastData} 
-              loading={loading} 
-              settings={settings}
+
+            <Tab.Screen
+              name="Forecast"
+              component={ForecastTab}
+              // The stack inside this tab shows its own header
+              options={{ title: t('tabs.forecast'), headerShown: false }}
             />
-          )}
-        </Tab.Screen>
-        
-        <Tab.Screen 
-          name="Settings" 
-          options={{ title: 'Settings' }}
-        >
-          {(props) => (
-            <SettingsScreen 
-              {...props} 
-              settings={settings} 
-              setSettings={setSettings}
+
+            <Tab.Screen
+              name="Compare"
+              component={CompareScreen}
+              options={{ title: t('tabs.compare') }}
+            />
+
+            <Tab.Screen
+              name="History"
+              component={HistoryScreen}
+              options={{ title: t('tabs.history') }}
+            />
+
+            <Tab.Screen
+              name="Settings"
+              component={SettingsTab}
+              options={{ title: t('tabs.settings'), headerShown: false }}
             />
-          )}
-        </Tab.Screen>
-      </Tab.Navigator>
-    </NavigationContainer>
+          </Tab.Navigator>
+        </NavigationContainer>
+      </ThemeContext.Provider>
+    </I18nContext.Provider>
   );
-}
\ No newline at end of file
+}
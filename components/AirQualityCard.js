@@ -0,0 +1,120 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { useThemedStyles } from '../utils/theme';
+import { useTranslation, formatNumber } from '../utils/i18n';
+import { POLLUTANTS, getAqiLevel, formatConcentration } from '../utils/airQuality';
+import { useAirQuality } from '../utils/weatherStore';
+
+// The air quality now at a location: the index with its colour-coded
+// category and what it means for time outdoors, then the main pollutants.
+// Shows nothing when the provider doesn't have air quality
+const AirQualityCard = ({ locationId }) => {
+  const airQuality = useAirQuality(locationId);
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+
+  const level = airQuality && getAqiLevel(airQuality.current.aqi);
+  if (!level) {
+    return null;
+  }
+  const { current } = airQuality;
+
+  return (
+    <View style={styles.card}>
+      <Text style={styles.title}>{t('airQuality.title')}</Text>
+      <View style={styles.levelRow}>
+        <View style={[styles.badge, { backgroundColor: level.color }]}>
+          <Text style={[styles.badgeText, { color: level.textColor }]}>
+            {formatNumber(current.aqi)}
+          </Text>
+        </View>
+        <View style={styles.levelDetails}>
+          <Text style={[styles.levelLabel, { color: level.color }]}>
+            {t(`airQuality.levels.${level.key}`)}
+          </Text>
+          <Text style={styles.advice}>{t(`airQuality.advice.${level.key}`)}</Text>
+        </View>
+      </View>
+
+      {/* Main pollutants, in μg/m³ */}
+      <View style={styles.pollutantRow}>
+        {POLLUTANTS.map(pollutant => (
+          <View key={pollutant.key} style={styles.pollutant}>
+            <Text style={styles.pollutantLabel}>{pollutant.label}</Text>
+            <Text style={styles.pollutantValue}>
+              {formatConcentration(current[pollutant.key])}
+            </Text>
+          </View>
+        ))}
+      </View>
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  card: {
+    backgroundColor: colors.card,
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+    shadowColor: colors.shadow,
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.2,
+    shadowRadius: 1.5,
+    elevation: 2,
+  },
+  title: {
+    fontSize: 14,
+    color: colors.textMuted,
+    marginBottom: 12,
+  },
+  levelRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  badge: {
+    width: 48,
+    height: 48,
+    borderRadius: 24,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  badgeText: {
+    fontSize: 22,
+    fontWeight: 'bold',
+  },
+  levelDetails: {
+    flex: 1,
+  },
+  levelLabel: {
+    fontSize: 18,
+    fontWeight: '600',
+    marginBottom: 2,
+  },
+  advice: {
+    fontSize: 14,
+    color: colors.textSecondary,
+  },
+  pollutantRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  pollutant: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  pollutantLabel: {
+    fontSize: 14,
+    color: colors.textMuted,
+    marginBottom: 4,
+  },
+  pollutantValue: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.text,
+  },
+});
+
+export default AirQualityCard;
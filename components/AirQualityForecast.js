@@ -0,0 +1,96 @@
+import React from 'react';
+import { View, Text, StyleSheet, ScrollView } from 'react-native';
+import { useThemedStyles } from '../utils/theme';
+import { useTranslation, formatNumber } from '../utils/i18n';
+import { formatLocationDate } from '../utils/time';
+import { getAqiLevel, getDailyAirQuality } from '../utils/airQuality';
+import { useAirQuality } from '../utils/weatherStore';
+
+// The air quality for each coming day at a location, going by the worst
+// hour of the day. Shows nothing when the provider doesn't have air quality
+const AirQualityForecast = ({ locationId, timezoneOffset }) => {
+  const airQuality = useAirQuality(locationId);
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+
+  const days = airQuality
+    ? getDailyAirQuality(airQuality.forecast, timezoneOffset).filter(day => getAqiLevel(day.aqi))
+    : [];
+  if (days.length === 0) {
+    return null;
+  }
+
+  return (
+    <View style={styles.card}>
+      <Text style={styles.title}>{t('airQuality.forecastTitle')}</Text>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+        {days.map(day => {
+          const level = getAqiLevel(day.aqi);
+          return (
+            <View key={day.key} style={styles.day}>
+              <Text style={styles.dayName}>
+                {formatLocationDate(day.time, timezoneOffset, { weekday: 'short' })}
+              </Text>
+              <View style={[styles.badge, { backgroundColor: level.color }]}>
+                <Text style={[styles.badgeText, { color: level.textColor }]}>
+                  {formatNumber(day.aqi)}
+                </Text>
+              </View>
+              <Text style={styles.levelLabel} numberOfLines={2}>
+                {t(`airQuality.levels.${level.key}`)}
+              </Text>
+            </View>
+          );
+        })}
+      </ScrollView>
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  card: {
+    backgroundColor: colors.card,
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 12,
+    shadowColor: colors.shadow,
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.2,
+    shadowRadius: 1.5,
+    elevation: 2,
+  },
+  title: {
+    fontSize: 14,
+    color: colors.textMuted,
+    marginBottom: 12,
+  },
+  day: {
+    width: 72,
+    alignItems: 'center',
+  },
+  dayName: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.text,
+    marginBottom: 6,
+  },
+  badge: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  badgeText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  levelLabel: {
+    fontSize: 12,
+    color: colors.textMuted,
+    textAlign: 'center',
+  },
+});
+
+export default AirQualityForecast;
@@ -0,0 +1,185 @@
+import React from 'react';
+import { View, StyleSheet } from 'react-native';
+import Svg, { Path, Rect, Line, Circle, Text as SvgText } from 'react-native-svg';
+import { useTheme } from '../utils/theme';
+
+// Space around the plot area, the left side holds the y-axis labels
+const PADDING = { top: 8, right: 8, bottom: 8, left: 36 };
+
+// Simple SVG chart for one value per forecast slot.
+// Each series is { type: 'line' | 'bar', values, color, dashed, min, max },
+// with null in values for a slot that has no value.
+// Series without min/max share a scale; the y-axis labels use the first series.
+// Dragging across the chart calls onScrub with the slot under the finger
+// (or mouse on the web), and activeIndex draws the cursor.
+const Chart = ({ width, height, series, dividers = [], activeIndex, onScrub, formatAxis }) => {
+  const { colors } = useTheme();
+
+  if (!width || series.length === 0 || series[0].values.length === 0) {
+    return <View style={{ height }} />;
+  }
+
+  const count = series[0].values.length;
+  const plotWidth = width - PADDING.left - PADDING.right;
+  const plotHeight = height - PADDING.top - PADDING.bottom;
+  const slotWidth = plotWidth / count;
+
+  // Series without their own range share one worked out from all of them
+  const shared = series.filter(item => item.min === undefined || item.max === undefined);
+  const sharedValues = shared.flatMap(item => item.values.filter(value => value !== null && value !== undefined));
+  const sharedMin = sharedValues.length ? Math.min(...sharedValues) : 0;
+  const sharedMax = sharedValues.length ? Math.max(...sharedValues) : 1;
+
+  const rangeFor = (item) => {
+    const min = item.min !== undefined ? item.min : sharedMin;
+    const max = item.max !== undefined ? item.max : sharedMax;
+    // Avoid dividing by zero when every value is the same
+    return { min, max: max === min ? min + 1 : max };
+  };
+
+  const xFor = (index) => PADDING.left + (index + 0.5) * slotWidth;
+  const yFor = (value, range) => {
+    return PADDING.top + plotHeight - ((value - range.min) / (range.max - range.min)) * plotHeight;
+  };
+
+  // Work out which slot is under the pointer
+  const scrubTo = (event) => {
+    const x = event.nativeEvent.locationX - PADDING.left;
+    const index = Math.min(count - 1, Math.max(0, Math.floor(x / slotWidth)));
+    if (onScrub && index !== activeIndex) {
+      onScrub(index);
+    }
+  };
+
+  const barSeries = series.filter(item => item.type === 'bar');
+  const barWidth = (slotWidth * 0.8) / Math.max(barSeries.length, 1);
+  const axisRange = rangeFor(series[0]);
+
+  return (
+    <View
+      style={[styles.container, { width, height }]}
+      // Take over the touch so the pager and list don't scroll while scrubbing
+      onStartShouldSetResponder={() => true}
+      onMoveShouldSetResponder={() => true}
+      onResponderTerminationRequest={() => false}
+      onResponderGrant={scrubTo}
+      onResponderMove={scrubTo}
+    >
+      <Svg width={width} height={height} pointerEvents="none">
+        {/* Grid lines and y-axis labels at the bottom, middle and top */}
+        {[0, 0.5, 1].map(fraction => {
+          const value = axisRange.min + (axisRange.max - axisRange.min) * fraction;
+          const y = yFor(value, axisRange);
+          return (
+            <React.Fragment key={fraction}>
+              <Line
+                x1={PADDING.left}
+                x2={width - PADDING.right}
+                y1={y}
+                y2={y}
+                stroke={colors.subtle}
+                strokeWidth={1}
+              />
+              <SvgText x={PADDING.left - 4} y={y + 4} fontSize={10} fill={colors.textMuted} textAnchor="end">
+                {formatAxis ? formatAxis(value) : Math.round(value)}
+              </SvgText>
+            </React.Fragment>
+          );
+        })}
+
+        {/* Faint lines where a new day starts */}
+        {dividers.map(index => (
+          <Line
+            key={`divider-${index}`}
+            x1={PADDING.left + index * slotWidth}
+            x2={PADDING.left + index * slotWidth}
+            y1={PADDING.top}
+            y2={PADDING.top + plotHeight}
+            stroke={colors.border}
+            strokeWidth={1}
+          />
+        ))}
+
+        {/* Bars first, so lines are drawn on top of them */}
+        {barSeries.map((item, seriesIndex) => {
+          const range = rangeFor(item);
+          return item.values.map((value, index) => {
+            if (value === null || value === undefined || value <= range.min) {
+              return null;
+            }
+            const y = yFor(Math.min(value, range.max), range);
+            return (
+              <Rect
+                key={`bar-${seriesIndex}-${index}`}
+                x={xFor(index) - (slotWidth * 0.4) + seriesIndex * barWidth}
+                y={y}
+                width={barWidth}
+                height={PADDING.top + plotHeight - y}
+                fill={item.color}
+                opacity={index === activeIndex ? 1 : 0.7}
+              />
+            );
+          });
+        })}
+
+        {series.filter(item => item.type === 'line').map((item, seriesIndex) => {
+          const range = rangeFor(item);
+          // Missing values leave a gap: the line starts again (with M)
+          // at the next slot that has one
+          const path = item.values
+            .map((value, index) => {
+              if (value === null || value === undefined) {
+                return null;
+              }
+              const previous = item.values[index - 1];
+              const command = previous === null || previous === undefined ? 'M' : 'L';
+              return `${command} ${xFor(index)} ${yFor(value, range)}`;
+            })
+            .filter(Boolean)
+            .join(' ');
+          const activeValue = activeIndex !== null ? item.values[activeIndex] : null;
+          return (
+            <React.Fragment key={`line-${seriesIndex}`}>
+              <Path
+                d={path}
+                stroke={item.color}
+                strokeWidth={2}
+                strokeDasharray={item.dashed ? '4,4' : undefined}
+                fill="none"
+              />
+              {activeValue !== null && activeValue !== undefined && (
+                <Circle
+                  cx={xFor(activeIndex)}
+                  cy={yFor(activeValue, range)}
+                  r={4}
+                  fill={item.color}
+                />
+              )}
+            </React.Fragment>
+          );
+        })}
+
+        {/* Scrub cursor */}
+        {activeIndex !== null && (
+          <Line
+            x1={xFor(activeIndex)}
+            x2={xFor(activeIndex)}
+            y1={PADDING.top}
+            y2={PADDING.top + plotHeight}
+            stroke={colors.textSecondary}
+            strokeWidth={1}
+            strokeDasharray="2,2"
+          />
+        )}
+      </Svg>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    overflow: 'hidden',
+  },
+});
+
+export default Chart;
@@ -0,0 +1,124 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme, useThemedStyles } from '../utils/theme';
+import { useTranslation } from '../utils/i18n';
+import { formatTemperature } from '../utils/units';
+import { getComfortMetrics } from '../utils/comfort';
+
+// Icon for each comfort rating
+const RATING_ICONS = {
+  veryCold: 'snow-outline',
+  cold: 'snow-outline',
+  cool: 'leaf-outline',
+  comfortable: 'happy-outline',
+  humid: 'water-outline',
+  oppressive: 'water',
+  hot: 'sunny-outline',
+  veryHot: 'flame-outline'
+};
+
+// How the current weather feels: a comfort rating with the dew point,
+// heat index, wind chill and humidex behind it (see utils/comfort.js).
+// Values that don't apply right now show as "--"
+const ComfortCard = ({ weatherData, temperatureUnit }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+
+  const { dewPoint, heatIndex, windChill, humidex, rating } = getComfortMetrics(weatherData);
+  if (!rating) {
+    return null;
+  }
+
+  const format = (celsius) => (celsius === null ? '--' : formatTemperature(celsius, temperatureUnit));
+
+  return (
+    <View style={styles.card}>
+      <View style={styles.ratingRow}>
+        <Ionicons name={RATING_ICONS[rating]} size={24} color={colors.primary} />
+        <View style={styles.ratingText}>
+          <Text style={styles.title}>{t('comfort.title')}</Text>
+          <Text style={styles.rating}>{t(`comfort.ratings.${rating}`)}</Text>
+        </View>
+      </View>
+
+      <View style={styles.detailRow}>
+        <View style={styles.detailItem}>
+          <Text style={styles.detailLabel}>{t('comfort.dewPoint')}</Text>
+          <Text style={styles.detailValue}>{format(dewPoint)}</Text>
+        </View>
+        <View style={styles.detailItem}>
+          <Text style={styles.detailLabel}>{t('comfort.humidex')}</Text>
+          <Text style={styles.detailValue}>{format(humidex)}</Text>
+        </View>
+      </View>
+
+      <View style={[styles.detailRow, styles.lastRow]}>
+        <View style={styles.detailItem}>
+          <Text style={styles.detailLabel}>{t('comfort.heatIndex')}</Text>
+          <Text style={styles.detailValue}>{format(heatIndex)}</Text>
+        </View>
+        <View style={styles.detailItem}>
+          <Text style={styles.detailLabel}>{t('comfort.windChill')}</Text>
+          <Text style={styles.detailValue}>{format(windChill)}</Text>
+        </View>
+      </View>
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  card: {
+    backgroundColor: colors.card,
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+    shadowColor: colors.shadow,
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.2,
+    shadowRadius: 1.5,
+    elevation: 2,
+  },
+  ratingRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  ratingText: {
+    marginLeft: 12,
+  },
+  title: {
+    fontSize: 14,
+    color: colors.textMuted,
+  },
+  rating: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: colors.text,
+  },
+  detailRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 16,
+  },
+  lastRow: {
+    marginBottom: 0,
+  },
+  detailItem: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  detailLabel: {
+    fontSize: 14,
+    color: colors.textMuted,
+    marginBottom: 4,
+  },
+  detailValue: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: colors.text,
+  },
+});
+
+export default ComfortCard;
@@ -0,0 +1,255 @@
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import Svg, { Circle, G, Line, Path, Text as SvgText } from 'react-native-svg';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme, useThemedStyles } from '../utils/theme';
+import { useTranslation, formatNumber, formatPercent } from '../utils/i18n';
+import {
+  formatTemperature,
+  formatWindSpeed,
+  formatVisibility,
+  formatPrecipitation
+} from '../utils/units';
+
+// Size of the wind compass
+const COMPASS_SIZE = 96;
+
+// The eight compass points, starting from north and going clockwise
+// (labels are in locales/ as conditions.directions.<point>)
+const DIRECTIONS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+// Function to get the nearest compass point for a direction in degrees
+const getDirection = (degrees) => DIRECTIONS[Math.round(degrees / 45) % 8];
+
+// A compass with an arrow showing which way the wind is blowing.
+// windDeg is where the wind comes from, so the arrow points the other way
+const WindCompass = ({ windDeg }) => {
+  const { colors } = useTheme();
+  const { t } = useTranslation();
+  const center = COMPASS_SIZE / 2;
+  const radius = center - 14;
+
+  return (
+    <Svg width={COMPASS_SIZE} height={COMPASS_SIZE}>
+      <Circle cx={center} cy={center} r={radius} stroke={colors.subtle} strokeWidth={2} fill="none" />
+
+      {/* A tick and a letter for north, east, south and west */}
+      {['N', 'E', 'S', 'W'].map((point, index) => {
+        const angle = (index * Math.PI) / 2;
+        const x = Math.sin(angle);
+        const y = -Math.cos(angle);
+        return (
+          <G key={point}>
+            <Line
+              x1={center + x * (radius - 5)}
+              y1={center + y * (radius - 5)}
+              x2={center + x * radius}
+              y2={center + y * radius}
+              stroke={colors.textMuted}
+              strokeWidth={2}
+            />
+            <SvgText
+              x={center + x * (radius + 8)}
+              y={center + y * (radius + 8) + 4}
+              fontSize={11}
+              fontWeight={point === 'N' ? 'bold' : 'normal'}
+              fill={colors.textMuted}
+              textAnchor="middle"
+            >
+              {t(`conditions.compass.${point}`)}
+            </SvgText>
+          </G>
+        );
+      })}
+
+      <G rotation={windDeg + 180} origin={`${center}, ${center}`}>
+        <Path
+          d={`M ${center} ${center - radius + 8} L ${center + 8} ${center + 10} L ${center} ${center + 4} L ${center - 8} ${center + 10} Z`}
+          fill={colors.primary}
+        />
+      </G>
+    </Svg>
+  );
+};
+
+// Weather saved by older versions doesn't have every field, so check for
+// undefined as well as null
+const hasValue = (value) => value !== null && value !== undefined;
+
+// Everything else the current weather has to say, folded away under the
+// main details until the user opens it: the wind's direction and gusts,
+// visibility, cloud cover, the last hour's rain or snow and today's range.
+// Anything the provider left out is skipped rather than shown as "--"
+const ConditionsPanel = ({ weatherData, settings }) => {
+  const [expanded, setExpanded] = React.useState(false);
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+
+  const { windDeg, windGust, visibility, clouds, rain, snow, tempMin, tempMax } = weatherData;
+
+  // Each detail that has a value, laid out two to a row below
+  const items = [
+    hasValue(windGust) && {
+      key: 'gusts',
+      label: t('conditions.gusts'),
+      value: formatWindSpeed(windGust, settings.windUnit)
+    },
+    hasValue(visibility) && {
+      key: 'visibility',
+      label: t('home.visibility'),
+      value: formatVisibility(visibility, settings.distanceUnit)
+    },
+    hasValue(clouds) && {
+      key: 'clouds',
+      label: t('home.cloudCover'),
+      value: formatPercent(clouds)
+    },
+    hasValue(rain) && {
+      key: 'rain',
+      label: t('conditions.rainLastHour'),
+      value: formatPrecipitation(rain, settings.distanceUnit)
+    },
+    hasValue(snow) && {
+      key: 'snow',
+      label: t('conditions.snowLastHour'),
+      value: formatPrecipitation(snow, settings.distanceUnit)
+    },
+    hasValue(tempMin) && hasValue(tempMax) && {
+      key: 'range',
+      label: t('conditions.todayRange'),
+      value: `${formatTemperature(tempMin, settings.temperatureUnit)} – ${formatTemperature(tempMax, settings.temperatureUnit)}`
+    }
+  ].filter(Boolean);
+
+  const rows = [];
+  for (let i = 0; i < items.length; i += 2) {
+    rows.push(items.slice(i, i + 2));
+  }
+
+  // Nothing to show behind the toggle
+  if (!hasValue(windDeg) && items.length === 0) {
+    return null;
+  }
+
+  return (
+    <View style={styles.card}>
+      <TouchableOpacity
+        style={styles.header}
+        onPress={() => setExpanded(!expanded)}
+        accessibilityRole="button"
+        accessibilityState={{ expanded }}
+      >
+        <Text style={styles.title}>{t('conditions.title')}</Text>
+        <Ionicons
+          name={expanded ? 'chevron-up' : 'chevron-down'}
+          size={20}
+          color={colors.textMuted}
+        />
+      </TouchableOpacity>
+
+      {expanded && (
+        <View style={styles.body}>
+          {hasValue(windDeg) && (
+            <View style={[styles.windRow, rows.length === 0 && styles.lastRow]}>
+              <WindCompass windDeg={windDeg} />
+              <View style={styles.windDetails}>
+                <Text style={styles.detailLabel}>{t('conditions.windDirection')}</Text>
+                <Text style={styles.detailValue}>
+                  {t('conditions.from', {
+                    direction: t(`conditions.directions.${getDirection(windDeg)}`),
+                    degrees: `${formatNumber(windDeg)}°`
+                  })}
+                </Text>
+                <Text style={styles.windSpeed}>
+                  {formatWindSpeed(weatherData.windSpeed, settings.windUnit)}
+                </Text>
+              </View>
+            </View>
+          )}
+
+          {rows.map((row, index) => (
+            <View
+              key={row[0].key}
+              style={[styles.detailRow, index === rows.length - 1 && styles.lastRow]}
+            >
+              {row.map(item => (
+                <View key={item.key} style={styles.detailItem}>
+                  <Text style={styles.detailLabel}>{item.label}</Text>
+                  <Text style={styles.detailValue}>{item.value}</Text>
+                </View>
+              ))}
+              {/* Keep a lone item in the left column */}
+              {row.length === 1 && <View style={styles.detailItem} />}
+            </View>
+          ))}
+        </View>
+      )}
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  card: {
+    backgroundColor: colors.card,
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+    shadowColor: colors.shadow,
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.2,
+    shadowRadius: 1.5,
+    elevation: 2,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: colors.text,
+  },
+  body: {
+    marginTop: 16,
+  },
+  windRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  windDetails: {
+    flex: 1,
+    marginLeft: 16,
+  },
+  windSpeed: {
+    fontSize: 14,
+    color: colors.textSecondary,
+    marginTop: 2,
+  },
+  detailRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 16,
+  },
+  lastRow: {
+    marginBottom: 0,
+  },
+  detailItem: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  detailLabel: {
+    fontSize: 14,
+    color: colors.textMuted,
+    marginBottom: 4,
+  },
+  detailValue: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: colors.text,
+  },
+});
+
+export default ConditionsPanel;
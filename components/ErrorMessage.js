@@ -0,0 +1,100 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme, useThemedStyles } from '../utils/theme';
+import { useTranslation } from '../utils/i18n';
+
+// Shows a classified fetch error (see utils/weatherErrors.js) with a Retry button.
+// The full version fills the screen when there's no data at all; the compact
+// version sits above older data that's still worth showing.
+const ErrorMessage = ({ error, onRetry, compact = false }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+
+  // The title and message in the user's language
+  const title = t(`errors.${error.type}.title`);
+  const message = t(`errors.${error.type}.message`);
+
+  if (compact) {
+    return (
+      <View style={styles.compactContainer}>
+        <Ionicons name={error.icon} size={18} color={colors.errorText} />
+        <Text style={styles.compactText}>{title}</Text>
+        <TouchableOpacity onPress={onRetry}>
+          <Text style={styles.compactRetry}>{t('common.retry')}</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <Ionicons name={error.icon} size={64} color={colors.textMuted} />
+      <Text style={styles.title}>{title}</Text>
+      <Text style={styles.message}>{message}</Text>
+      <TouchableOpacity style={styles.retryButton} onPress={onRetry}>
+        <Ionicons name="refresh" size={18} color={colors.onPrimary} />
+        <Text style={styles.retryText}>{t('common.retry')}</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginTop: 12,
+    marginBottom: 8,
+    color: colors.text,
+  },
+  message: {
+    fontSize: 15,
+    color: colors.textSecondary,
+    textAlign: 'center',
+    marginBottom: 16,
+  },
+  retryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.primary,
+    paddingVertical: 10,
+    paddingHorizontal: 20,
+    borderRadius: 8,
+  },
+  retryText: {
+    color: colors.onPrimary,
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginLeft: 6,
+  },
+  compactContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.errorBackground,
+    borderRadius: 8,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginBottom: 12,
+  },
+  compactText: {
+    flex: 1,
+    fontSize: 13,
+    color: colors.errorText,
+    marginLeft: 6,
+  },
+  compactRetry: {
+    fontSize: 13,
+    fontWeight: 'bold',
+    color: colors.errorText,
+  },
+});
+
+export default ErrorMessage;
@@ -0,0 +1,239 @@
+import React, { useState } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import Chart from './Chart';
+import { useTheme, useThemedStyles } from '../utils/theme';
+import { useTranslation, formatNumber, formatPercent } from '../utils/i18n';
+import { getDayKey } from '../utils/forecast';
+import { formatLocationDate, formatTimeWithDevice } from '../utils/time';
+import {
+  convertTemperature,
+  getTemperatureSymbol,
+  formatTemperature,
+  convertWindSpeed,
+  getWindSymbol,
+  formatWindSpeed,
+  convertPrecipitation,
+  getPrecipitationSymbol,
+  formatPrecipitation
+} from '../utils/units';
+
+const CHART_HEIGHT = 140;
+
+// Small coloured key for a chart series
+const LegendItem = ({ color, label }) => {
+  const styles = useThemedStyles(createStyles);
+
+  return (
+    <View style={styles.legendItem}>
+      <View style={[styles.legendSwatch, { backgroundColor: color }]} />
+      <Text style={styles.legendText}>{label}</Text>
+    </View>
+  );
+};
+
+// Temperature, precipitation and wind charts for the 5-day forecast.
+// Scrubbing any chart moves the cursor on all three and shows exact values.
+// Times are shown in the location's time zone (timezoneOffset, in seconds).
+const ForecastCharts = ({ items, settings, timezoneOffset }) => {
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [width, setWidth] = useState(0);
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+
+  // Units picked in Settings (the data itself is metric)
+  const { temperatureUnit, windUnit, distanceUnit } = settings;
+  const tempSymbol = getTemperatureSymbol(temperatureUnit);
+  const windSymbol = getWindSymbol(windUnit);
+  const precipitationSymbol = getPrecipitationSymbol(distanceUnit);
+
+  if (items.length === 0) {
+    return null;
+  }
+
+  // Mark where each new day starts (midnight at the location)
+  const dividers = [];
+  items.forEach((item, index) => {
+    const dayKey = getDayKey(item.time, timezoneOffset);
+    if (index > 0 && dayKey !== getDayKey(items[index - 1].time, timezoneOffset)) {
+      dividers.push(index);
+    }
+  });
+
+  const active = items[Math.min(activeIndex, items.length - 1)];
+  const precipitation = items.map(item => (
+    convertPrecipitation((item.rain || 0) + (item.snow || 0), distanceUnit)
+  ));
+  // Keep the bars in proportion when it's barely raining (1 mm or 0.04 in)
+  const maxPrecipitation = Math.max(convertPrecipitation(1, distanceUnit), ...precipitation);
+  const precipitationDecimals = distanceUnit === 'mi' ? 2 : 1;
+
+  // Not every provider reports gusts for every slot
+  const hasGusts = items.every(item => item.windGust !== null);
+
+  // Shared props for all three charts
+  const chartProps = {
+    width,
+    height: CHART_HEIGHT,
+    dividers,
+    activeIndex,
+    onScrub: setActiveIndex,
+  };
+
+  return (
+    <View onLayout={(event) => setWidth(event.nativeEvent.layout.width - 32)}>
+      {/* Exact values for the slot under the cursor */}
+      <View style={styles.readout}>
+        <Text style={styles.readoutTime}>
+          {formatLocationDate(active.time, timezoneOffset, { weekday: 'short' })}{' '}
+          {formatTimeWithDevice(active.time, timezoneOffset, settings.showDeviceTime)}
+        </Text>
+        <Text style={styles.readoutHint}>{t('charts.hint')}</Text>
+      </View>
+
+      <View style={styles.card}>
+        <View style={styles.cardHeader}>
+          <Text style={styles.cardTitle}>{t('charts.temperature')}</Text>
+          <Text style={styles.cardValue}>
+            {t('charts.temperatureValue', {
+              temp: formatTemperature(active.temp, temperatureUnit),
+              feelsLike: formatTemperature(active.feelsLike, temperatureUnit)
+            })}
+          </Text>
+        </View>
+        <Chart
+          {...chartProps}
+          series={[
+            { type: 'line', values: items.map(item => convertTemperature(item.temp, temperatureUnit)), color: colors.chartTemp },
+            { type: 'line', values: items.map(item => convertTemperature(item.feelsLike, temperatureUnit)), color: colors.chartFeelsLike, dashed: true },
+          ]}
+          formatAxis={(value) => `${formatNumber(value)}${temperatureUnit === 'kelvin' ? '' : '°'}`}
+        />
+        <View style={styles.legend}>
+          <LegendItem color={colors.chartTemp} label={t('charts.temperatureLegend', { unit: tempSymbol })} />
+          <LegendItem color={colors.chartFeelsLike} label={t('charts.feelsLike')} />
+        </View>
+      </View>
+
+      <View style={styles.card}>
+        <View style={styles.cardHeader}>
+          <Text style={styles.cardTitle}>{t('charts.precipitation')}</Text>
+          <Text style={styles.cardValue}>
+            {formatPercent((active.pop || 0) * 100)} · {formatPrecipitation((active.rain || 0) + (active.snow || 0), distanceUnit)}
+          </Text>
+        </View>
+        <Chart
+          {...chartProps}
+          series={[
+            { type: 'bar', values: items.map(item => (item.pop || 0) * 100), color: colors.chartPop, min: 0, max: 100 },
+            { type: 'bar', values: precipitation, color: colors.chartPrecipitation, min: 0, max: maxPrecipitation },
+          ]}
+          formatAxis={(value) => formatPercent(value)}
+        />
+        <View style={styles.legend}>
+          <LegendItem color={colors.chartPop} label={t('charts.chance')} />
+          <LegendItem 
+            color={colors.chartPrecipitation} 
+            label={t('charts.amount', {
+              amount: `${formatNumber(maxPrecipitation, precipitationDecimals)} ${precipitationSymbol}`
+            })} 
+          />
+        </View>
+      </View>
+
+      <View style={styles.card}>
+        <View style={styles.cardHeader}>
+          <Text style={styles.cardTitle}>{t('charts.wind')}</Text>
+          <Text style={styles.cardValue}>
+            {active.windGust !== null
+              ? t('charts.windGusts', {
+                speed: formatWindSpeed(active.windSpeed, windUnit),
+                gust: formatWindSpeed(active.windGust, windUnit)
+              })
+              : formatWindSpeed(active.windSpeed, windUnit)}
+          </Text>
+        </View>
+        <Chart
+          {...chartProps}
+          series={[
+            { type: 'line', values: items.map(item => convertWindSpeed(item.windSpeed, windUnit)), color: colors.chartWind },
+            ...(hasGusts
+              ? [{ type: 'line', values: items.map(item => convertWindSpeed(item.windGust, windUnit)), color: colors.chartGust, dashed: true }]
+              : []),
+          ]}
+          formatAxis={(value) => formatNumber(value)}
+        />
+        <View style={styles.legend}>
+          <LegendItem color={colors.chartWind} label={t('charts.windLegend', { unit: windSymbol })} />
+          {hasGusts && <LegendItem color={colors.chartGust} label={t('charts.gusts')} />}
+        </View>
+      </View>
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  readout: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  readoutTime: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  readoutHint: {
+    fontSize: 12,
+    color: colors.textMuted,
+  },
+  card: {
+    backgroundColor: colors.card,
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 12,
+    shadowColor: colors.shadow,
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.2,
+    shadowRadius: 1.5,
+    elevation: 2,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  cardValue: {
+    fontSize: 14,
+    color: colors.textSecondary,
+  },
+  legend: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 8,
+  },
+  legendItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginRight: 16,
+  },
+  legendSwatch: {
+    width: 10,
+    height: 10,
+    borderRadius: 2,
+    marginRight: 4,
+  },
+  legendText: {
+    fontSize: 12,
+    color: colors.textMuted,
+  },
+});
+
+export default ForecastCharts;
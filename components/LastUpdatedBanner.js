@@ -0,0 +1,81 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme, useThemedStyles } from '../utils/theme';
+import { useTranslation } from '../utils/i18n';
+
+// Turn a timestamp into "just now", "5 min ago", "3 h ago" and so on
+const formatAge = (updatedAt, now, t) => {
+  const minutes = Math.floor((now - updatedAt) / 60000);
+
+  if (minutes < 1) {
+    return t('banner.justNow');
+  }
+  if (minutes < 60) {
+    return t('banner.minutesAgo', { count: minutes });
+  }
+
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) {
+    return t('banner.hoursAgo', { count: hours });
+  }
+
+  return t('banner.daysAgo', { count: Math.floor(hours / 24) });
+};
+
+// Small banner showing how old the data is, and whether we're offline
+const LastUpdatedBanner = ({ updatedAt, offline }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+  const [now, setNow] = useState(Date.now());
+
+  // Re-render every minute so the "X min ago" text stays correct
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 60000);
+    return () => clearInterval(timer);
+  }, []);
+
+  if (!updatedAt) {
+    return null;
+  }
+
+  return (
+    <View style={[styles.banner, offline && styles.offlineBanner]}>
+      <Ionicons
+        name={offline ? 'cloud-offline-outline' : 'time-outline'}
+        size={16}
+        color={offline ? colors.warningText : colors.textMuted}
+      />
+      <Text style={[styles.bannerText, offline && styles.offlineText]}>
+        {t(offline ? 'banner.offline' : 'banner.lastUpdated', { age: formatAge(updatedAt, now, t) })}
+      </Text>
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  banner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: colors.subtle,
+    borderRadius: 8,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginBottom: 12,
+  },
+  offlineBanner: {
+    backgroundColor: colors.warningBackground,
+  },
+  bannerText: {
+    fontSize: 13,
+    color: colors.textMuted,
+    marginLeft: 6,
+  },
+  offlineText: {
+    color: colors.warningText,
+  },
+});
+
+export default LastUpdatedBanner;
@@ -0,0 +1,101 @@
+import React, { useEffect, useRef } from 'react';
+import {
+  View,
+  ScrollView,
+  TouchableOpacity,
+  StyleSheet,
+  useWindowDimensions
+} from 'react-native';
+import { useThemedStyles } from '../utils/theme';
+
+// Horizontal pager with one page per saved location.
+// The active index lives in the weather store so Home and Forecast stay on the same city.
+const LocationPager = ({ locations, activeIndex, onChangeIndex, renderPage }) => {
+  const { width } = useWindowDimensions();
+  const styles = useThemedStyles(createStyles);
+  const scrollRef = useRef(null);
+
+  // The page the user has scrolled to, so we don't fight their swipe
+  const scrolledIndex = useRef(activeIndex);
+
+  // Jump to the active city when it changes on another screen
+  useEffect(() => {
+    if (scrollRef.current && scrolledIndex.current !== activeIndex) {
+      scrolledIndex.current = activeIndex;
+      scrollRef.current.scrollTo({ x: activeIndex * width, animated: false });
+    }
+  }, [activeIndex, width]);
+
+  // Work out which page is showing while the user swipes
+  // (onScroll works on both native and web, unlike onMomentumScrollEnd)
+  const handleScroll = (event) => {
+    const index = Math.round(event.nativeEvent.contentOffset.x / width);
+    if (index !== scrolledIndex.current && index >= 0 && index < locations.length) {
+      scrolledIndex.current = index;
+      onChangeIndex(index);
+    }
+  };
+
+  // Scroll to a page when its dot is tapped
+  const goToPage = (index) => {
+    scrolledIndex.current = index;
+    scrollRef.current.scrollTo({ x: index * width, animated: true });
+    onChangeIndex(index);
+  };
+
+  return (
+    <View style={styles.container}>
+      <ScrollView
+        ref={scrollRef}
+        horizontal
+        pagingEnabled
+        showsHorizontalScrollIndicator={false}
+        onScroll={handleScroll}
+        scrollEventThrottle={16}
+        contentOffset={{ x: activeIndex * width, y: 0 }}
+      >
+        {locations.map((location, index) => (
+          <View key={location.id} style={{ width }}>
+            {renderPage(location, index)}
+          </View>
+        ))}
+      </ScrollView>
+
+      {/* Page indicator, only needed when there's more than one city */}
+      {locations.length > 1 && (
+        <View style={styles.dotsContainer}>
+          {locations.map((location, index) => (
+            <TouchableOpacity
+              key={location.id}
+              style={[styles.dot, index === activeIndex && styles.activeDot]}
+              onPress={() => goToPage(index)}
+            />
+          ))}
+        </View>
+      )}
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  dotsContainer: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    paddingVertical: 8,
+  },
+  dot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: colors.border,
+    marginHorizontal: 4,
+  },
+  activeDot: {
+    backgroundColor: colors.primary,
+  },
+});
+
+export default LocationPager;
@@ -0,0 +1,161 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ActivityIndicator,
+  StyleSheet
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { classifyError } from '../utils/weatherErrors';
+import { useTheme, useThemedStyles } from '../utils/theme';
+import { useTranslation } from '../utils/i18n';
+
+// Wait for a short pause in typing before searching
+const SEARCH_DELAY = 400;
+const MIN_QUERY_LENGTH = 2;
+
+// Type-ahead city search backed by the provider's geocoding API.
+// Shows city, state and country so places with the same name can be told apart.
+const LocationSearch = ({ provider, apiKey, query, setQuery, onSelect }) => {
+  const [results, setResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [error, setError] = useState(null);
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+
+  const needsKey = provider.requiresApiKey && !apiKey;
+
+  // Search whenever the query changes (after the user stops typing)
+  useEffect(() => {
+    const trimmed = query.trim();
+    if (trimmed.length < MIN_QUERY_LENGTH || needsKey) {
+      setResults([]);
+      setError(null);
+      // A search cancelled by this change never got to stop the spinner
+      setSearching(false);
+      return;
+    }
+
+    // Ignore results from an older query that come back late
+    let cancelled = false;
+
+    const timer = setTimeout(async () => {
+      setSearching(true);
+      try {
+        const places = await provider.searchLocations(trimmed, { apiKey });
+        if (!cancelled) {
+          setResults(places);
+          setError(null);
+        }
+      } catch (searchError) {
+        if (!cancelled) {
+          setResults([]);
+          setError(classifyError(searchError));
+        }
+      } finally {
+        if (!cancelled) {
+          setSearching(false);
+        }
+      }
+    }, SEARCH_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query, provider, apiKey]);
+
+  const showNoMatches = !searching && !error && results.length === 0
+    && query.trim().length >= MIN_QUERY_LENGTH && !needsKey;
+
+  return (
+    <View>
+      <View style={styles.inputRow}>
+        <Ionicons name="search" size={18} color={colors.placeholder} />
+        <TextInput
+          style={styles.input}
+          value={query}
+          onChangeText={setQuery}
+          placeholder={t('search.placeholder')}
+          placeholderTextColor={colors.placeholder}
+          autoCorrect={false}
+        />
+        {searching && <ActivityIndicator size="small" color={colors.primary} />}
+      </View>
+
+      {needsKey && (
+        <Text style={styles.message}>{t('search.needsKey')}</Text>
+      )}
+      {error && (
+        <Text style={styles.message}>
+          {t(`errors.${error.type}.title`)}. {t(`errors.${error.type}.message`)}
+        </Text>
+      )}
+      {showNoMatches && <Text style={styles.message}>{t('search.noMatches')}</Text>}
+
+      {results.map(place => (
+        <TouchableOpacity
+          key={`${place.lat},${place.lon}`}
+          style={styles.result}
+          onPress={() => onSelect(place)}
+        >
+          <Ionicons name="location-outline" size={18} color={colors.primary} />
+          <View style={styles.resultText}>
+            <Text style={styles.resultName}>{place.name}</Text>
+            <Text style={styles.resultDetail}>
+              {[place.state, place.country].filter(Boolean).join(', ')}
+            </Text>
+          </View>
+          <Ionicons name="add-circle-outline" size={22} color={colors.primary} />
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  inputRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+  },
+  input: {
+    flex: 1,
+    paddingVertical: 12,
+    paddingHorizontal: 8,
+    fontSize: 16,
+    color: colors.text,
+  },
+  message: {
+    fontSize: 14,
+    color: colors.textMuted,
+    marginTop: 8,
+  },
+  result: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.divider,
+  },
+  resultText: {
+    flex: 1,
+    marginLeft: 8,
+  },
+  resultName: {
+    fontSize: 16,
+    color: colors.text,
+  },
+  resultDetail: {
+    fontSize: 13,
+    color: colors.textMuted,
+  },
+});
+
+export default LocationSearch;
@@ -0,0 +1,60 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { clearSession, useSession } from '../utils/weatherStore';
+import { useTheme, useThemedStyles } from '../utils/theme';
+import { useTranslation } from '../utils/i18n';
+
+// Shown while a link's location or units are in use (see utils/links.js),
+// with a button to go back to the saved ones
+const SessionBanner = () => {
+  const session = useSession();
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+
+  if (!session) {
+    return null;
+  }
+
+  // e.g. "Tokyo · imperial units"
+  const details = [
+    session.location && session.location.name,
+    session.units && t(`session.units.${session.units}`)
+  ].filter(Boolean).join(' · ');
+
+  return (
+    <View style={styles.banner}>
+      <Ionicons name="link" size={16} color={colors.primary} />
+      <Text style={styles.bannerText} numberOfLines={1}>
+        {t('session.fromLink', { details })}
+      </Text>
+      <TouchableOpacity onPress={clearSession}>
+        <Text style={styles.clearText}>{t('session.clear')}</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  banner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.subtle,
+    paddingVertical: 8,
+    paddingHorizontal: 16,
+  },
+  bannerText: {
+    flex: 1,
+    fontSize: 13,
+    color: colors.textSecondary,
+    marginHorizontal: 6,
+  },
+  clearText: {
+    fontSize: 13,
+    fontWeight: 'bold',
+    color: colors.primary,
+  },
+});
+
+export default SessionBanner;
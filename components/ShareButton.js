@@ -0,0 +1,62 @@
+import React, { useState } from 'react';
+import { TouchableOpacity, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { buildShareUrl, shareLink } from '../utils/links';
+import { getDisplayName } from '../utils/locations';
+import { getUnitSystem } from '../utils/units';
+import { useActiveIndex, useDisplaySettings, useLocations } from '../utils/weatherStore';
+import { useTranslation } from '../utils/i18n';
+
+// Header button that shares a link to the screen it's on, for the city
+// being shown and in the units being used (see utils/links.js)
+const ShareButton = ({ route, tintColor }) => {
+  const locations = useLocations();
+  const [activeIndex] = useActiveIndex();
+  const settings = useDisplaySettings();
+  const { t } = useTranslation();
+  const [copied, setCopied] = useState(false);
+
+  // The day screen is for one location; the pagers show the active one
+  const params = route.params || {};
+  const location = params.locationId
+    ? locations.find(saved => saved.id === params.locationId)
+    : locations[activeIndex];
+
+  if (!location) {
+    return null;
+  }
+
+  // Function to share the link (or copy it, in browsers without sharing)
+  const share = async () => {
+    const url = buildShareUrl(route.name, {
+      location,
+      units: getUnitSystem(settings),
+      params
+    });
+    const result = await shareLink(url, t('share.title', { name: getDisplayName(location, t) }));
+
+    // Show a tick for a moment when the link was copied instead
+    if (result === 'copied') {
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    }
+  };
+
+  return (
+    <TouchableOpacity 
+      style={styles.button} 
+      onPress={share}
+      accessibilityLabel={copied ? t('share.copied') : t('share.button')}
+    >
+      <Ionicons name={copied ? 'checkmark' : 'share-outline'} size={22} color={tintColor} />
+    </TouchableOpacity>
+  );
+};
+
+const styles = StyleSheet.create({
+  button: {
+    paddingHorizontal: 16,
+  },
+});
+
+export default ShareButton;
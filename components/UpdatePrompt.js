@@ -0,0 +1,62 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { applyUpdate, dismissUpdate, useUpdateReady } from '../utils/serviceWorker';
+import { useTheme, useThemedStyles } from '../utils/theme';
+import { useTranslation } from '../utils/i18n';
+
+// Shown on the web app when a new version has been deployed
+// (see utils/serviceWorker.js), with a button to reload into it
+const UpdatePrompt = () => {
+  const updateReady = useUpdateReady();
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+
+  if (!updateReady) {
+    return null;
+  }
+
+  return (
+    <View style={styles.banner}>
+      <Ionicons name="cloud-download-outline" size={16} color={colors.primary} />
+      <Text style={styles.bannerText} numberOfLines={1}>
+        {t('update.available')}
+      </Text>
+      <TouchableOpacity onPress={dismissUpdate}>
+        <Text style={styles.laterText}>{t('update.later')}</Text>
+      </TouchableOpacity>
+      <TouchableOpacity onPress={applyUpdate}>
+        <Text style={styles.reloadText}>{t('update.reload')}</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  banner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.subtle,
+    paddingVertical: 8,
+    paddingHorizontal: 16,
+  },
+  bannerText: {
+    flex: 1,
+    fontSize: 13,
+    color: colors.textSecondary,
+    marginHorizontal: 6,
+  },
+  laterText: {
+    fontSize: 13,
+    color: colors.textMuted,
+    marginRight: 16,
+  },
+  reloadText: {
+    fontSize: 13,
+    fontWeight: 'bold',
+    color: colors.primary,
+  },
+});
+
+export default UpdatePrompt;
@@ -0,0 +1,197 @@
+import { useEffect, useRef } from 'react';
+import { Alert, AppState } from 'react-native';
+import * as Linking from 'expo-linking';
+import {
+  loadSettings,
+  loadStoredApiKey,
+  refreshWeather,
+  refreshStaleWeather,
+  applySession,
+  setSettings,
+  setCurrentLocation,
+  setActiveIndex,
+  useSetting,
+  useSettingsLoaded,
+  useLocations,
+  useSavedLocations,
+  useCurrentLocation,
+  useActiveIndex,
+  useApiKey,
+  useAlertRules,
+  useProviderSettings,
+  useSession
+} from '../utils/weatherStore';
+import { createCurrentLocation } from '../utils/locations';
+import { getLocationSource } from '../utils/locationSource';
+import { resolveLanguage, useTranslation } from '../utils/i18n';
+import { setBackgroundRefreshEnabled } from '../utils/backgroundRefresh';
+import { loadWebSession, parseLinkParams } from '../utils/links';
+
+// How often to check whether the weather needs an automatic refresh
+const AUTO_REFRESH_CHECK_INTERVAL = 60 * 1000;
+
+// Keeps the weather store (utils/weatherStore.js) up to date: loads what was
+// saved, fetches weather when it's needed, follows the device's location and
+// refreshes on a timer. App.js renders it once; it doesn't show anything, and
+// it lives beside the screens so its updates don't re-render them.
+const WeatherStoreSync = () => {
+  const { t } = useTranslation();
+  const settingsLoaded = useSettingsLoaded();
+  const { provider, demoScenario } = useProviderSettings();
+  const language = resolveLanguage(useSetting('language'));
+  const deviceLocationOn = useSetting('useDeviceLocation');
+  const locationDistance = useSetting('locationDistance');
+  const refreshInterval = useSetting('refreshInterval');
+  const backgroundRefresh = useSetting('backgroundRefresh');
+  const allLocations = useLocations();
+  const [locations] = useSavedLocations();
+  const currentLocation = useCurrentLocation();
+  const [activeIndex] = useActiveIndex();
+  const { apiKey, apiKeyStatus } = useApiKey();
+  const [alertRules] = useAlertRules();
+  const session = useSession();
+  const linkedLocation = session && session.location;
+  const apiKeyLoaded = apiKeyStatus !== 'loading';
+  const hasAlertRules = alertRules.some(rule => rule.enabled);
+
+  // Reordering the list shouldn't trigger a refetch, so only react to
+  // which cities are saved, not their order
+  const locationsKey = locations.map(location => location.id).sort().join('|');
+
+  // The link the app was opened with (or the page's URL on the web)
+  const url = Linking.useURL();
+  const sessionRestored = useRef(false);
+
+  // Load saved settings when app starts
+  useEffect(() => {
+    loadSettings();
+    loadStoredApiKey();
+  }, []);
+
+  // When the provider (or demo scenario), language, saved cities or the API
+  // key change, fetch new weather data. Units are converted on screen, so
+  // they don't need a refetch. Waits for the saved settings, so the first
+  // fetch uses the saved provider and language rather than the defaults
+  useEffect(() => {
+    if (settingsLoaded) {
+      refreshWeather();
+    }
+  }, [provider, demoScenario, language, locationsKey, apiKey, apiKeyLoaded, settingsLoaded]);
+
+  // Show the location and units a link asks for. Waits for the saved
+  // locations so a link to one of them just selects it. In the browser,
+  // a reload keeps what the tab was first opened with
+  useEffect(() => {
+    if (!settingsLoaded) {
+      return;
+    }
+    const linked = url ? parseLinkParams(url) : null;
+    if (linked) {
+      applySession(linked);
+    } else if (!sessionRestored.current) {
+      const saved = loadWebSession();
+      if (saved) {
+        applySession(saved);
+      }
+    }
+    sessionRestored.current = true;
+  }, [url, settingsLoaded]);
+
+  // Fetch weather for a location opened from a link
+  useEffect(() => {
+    if (linkedLocation) {
+      refreshWeather([linkedLocation]);
+    }
+  }, [linkedLocation && linkedLocation.id]);
+
+  // Keep the pagers pointing at a city that still exists
+  useEffect(() => {
+    if (activeIndex > allLocations.length - 1) {
+      setActiveIndex(Math.max(allLocations.length - 1, 0));
+    }
+  }, [allLocations.length]);
+
+  // Follow the device's position while "Use my current location" is on
+  useEffect(() => {
+    if (!deviceLocationOn) {
+      setCurrentLocation(null);
+      return;
+    }
+
+    let stopWatching = null;
+    let cancelled = false;
+
+    const startWatching = async () => {
+      const locationSource = getLocationSource();
+      const granted = await locationSource.requestPermission();
+
+      if (!granted) {
+        // Fall back to the saved cities
+        if (!cancelled) {
+          setCurrentLocation(null);
+          setSettings(current => ({ ...current, useDeviceLocation: false }));
+          Alert.alert(t('location.unavailableTitle'), t('location.deniedMessage'));
+        }
+        return;
+      }
+
+      const unsubscribe = await locationSource.watchPosition(
+        { distanceInterval: locationDistance },
+        (coords) => setCurrentLocation(createCurrentLocation(coords))
+      );
+
+      // The setting may have been switched off while we were waiting
+      if (cancelled) {
+        unsubscribe();
+      } else {
+        stopWatching = unsubscribe;
+      }
+    };
+
+    startWatching();
+
+    return () => {
+      cancelled = true;
+      if (stopWatching) {
+        stopWatching();
+      }
+    };
+  }, [deviceLocationOn, locationDistance]);
+
+  // Fetch weather for the new position whenever the device has moved far enough
+  useEffect(() => {
+    if (currentLocation) {
+      refreshWeather([currentLocation]);
+    }
+  }, [currentLocation]);
+
+  // Refresh in the background when asked to, or while there are alerts to check
+  useEffect(() => {
+    if (settingsLoaded) {
+      setBackgroundRefreshEnabled(backgroundRefresh || hasAlertRules, refreshInterval);
+    }
+  }, [backgroundRefresh, hasAlertRules, refreshInterval, settingsLoaded]);
+
+  // Refresh old weather every so often while the app is open
+  useEffect(() => {
+    if (!refreshInterval) {
+      return;
+    }
+    const timer = setInterval(refreshStaleWeather, AUTO_REFRESH_CHECK_INTERVAL);
+    return () => clearInterval(timer);
+  }, [refreshInterval]);
+
+  // Refresh old weather when the app comes back to the foreground
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') {
+        refreshStaleWeather();
+      }
+    });
+    return () => subscription.remove();
+  }, []);
+
+  return null;
+};
+
+export default WeatherStoreSync;
@@ -0,0 +1,446 @@
+// Arabic (right-to-left)
+const ar = {
+  tabs: {
+    home: 'الطقس الحالي',
+    forecast: 'توقعات 5 أيام',
+    dayDetail: 'توقعات اليوم',
+    compare: 'مقارنة',
+    history: 'السجل',
+    settings: 'الإعدادات',
+    alertRules: 'تنبيهات الطقس'
+  },
+
+  common: {
+    error: 'خطأ',
+    success: 'تم',
+    retry: 'إعادة المحاولة',
+    checkConnection: 'تحقق من اتصالك وحاول مرة أخرى',
+    cancel: 'إلغاء'
+  },
+
+  home: {
+    loading: 'جارٍ تحميل بيانات الطقس...',
+    unavailable: 'بيانات الطقس غير متوفرة لـ {name}',
+    currentLocation: 'الموقع الحالي',
+    feelsLike: 'الإحساس',
+    humidity: 'الرطوبة',
+    windSpeed: 'سرعة الرياح',
+    pressure: 'الضغط',
+    visibility: 'الرؤية',
+    cloudCover: 'الغطاء السحابي',
+    sunrise: 'الشروق',
+    sunset: 'الغروب'
+  },
+
+  forecast: {
+    loading: 'جارٍ تحميل التوقعات...',
+    unavailable: 'التوقعات غير متوفرة لـ {name}',
+    list: 'قائمة',
+    charts: 'رسوم بيانية'
+  },
+
+  dayDetail: {
+    unavailable: 'توقعات هذا اليوم لم تعد متوفرة',
+    goBack: 'ارجع لرؤية أحدث التوقعات',
+    precipChance: 'احتمال الهطول',
+    precipitation: 'الهطول',
+    maxWind: 'أقصى رياح',
+    feels: 'الإحساس {temp}',
+    slotStats: 'الرياح {wind}  ·  الرطوبة {humidity}  ·  المطر {pop}'
+  },
+
+  charts: {
+    hint: 'اسحب على الرسم البياني لرؤية القيم',
+    temperature: 'درجة الحرارة',
+    temperatureValue: '{temp} (الإحساس {feelsLike})',
+    temperatureLegend: 'درجة الحرارة ({unit})',
+    feelsLike: 'الإحساس',
+    precipitation: 'الهطول',
+    chance: 'الاحتمال (%)',
+    amount: 'الكمية (حتى {amount})',
+    wind: 'الرياح',
+    windGusts: '{speed} (هبات {gust})',
+    windLegend: 'سرعة الرياح ({unit})',
+    gusts: 'الهبات'
+  },
+
+  banner: {
+    lastUpdated: 'آخر تحديث {age}',
+    offline: 'غير متصل · آخر تحديث {age}',
+    justNow: 'الآن',
+    minutesAgo: {
+      one: 'قبل دقيقة',
+      two: 'قبل دقيقتين',
+      few: 'قبل {count} دقائق',
+      other: 'قبل {count} دقيقة'
+    },
+    hoursAgo: {
+      one: 'قبل ساعة',
+      two: 'قبل ساعتين',
+      few: 'قبل {count} ساعات',
+      other: 'قبل {count} ساعة'
+    },
+    daysAgo: {
+      one: 'قبل يوم',
+      two: 'قبل يومين',
+      few: 'قبل {count} أيام',
+      other: 'قبل {count} يوم'
+    }
+  },
+
+  search: {
+    placeholder: 'ابحث عن مدينة',
+    needsKey: 'أضف مفتاح API بالأسفل للبحث عن المدن',
+    noMatches: 'لم يتم العثور على أماكن مطابقة'
+  },
+
+  location: {
+    unavailableTitle: 'الموقع غير متاح',
+    deniedMessage: 'تم رفض إذن استخدام موقعك، لذلك ستظهر مدنك المحفوظة بدلاً منه.'
+  },
+
+  time: {
+    deviceTime: '{time} بتوقيتك'
+  },
+
+  language: {
+    restartTitle: 'يلزم إعادة التشغيل',
+    restartMessage: 'أغلق التطبيق وأعد فتحه لتغيير اتجاه الواجهة.'
+  },
+
+  alerts: {
+    title: 'تنبيهات الطقس',
+    manage: 'إدارة قواعد التنبيه',
+    ruleCount: {
+      zero: 'لا توجد قواعد',
+      one: 'قاعدة واحدة',
+      two: 'قاعدتان',
+      few: '{count} قواعد',
+      other: '{count} قاعدة'
+    },
+    rules: 'قواعد التنبيه',
+    help: 'احصل على إشعار عندما تطابق توقعات أي من مواقعك إحدى القواعد.',
+    noRules: 'لا توجد قواعد تنبيه بعد',
+    newRule: 'قاعدة جديدة',
+    metric: 'عندما',
+    comparison: 'يكون',
+    threshold: 'القيمة',
+    window: 'الفترة',
+    addRule: 'إضافة قاعدة',
+    invalidThreshold: 'أدخل رقماً للقاعدة',
+    permissionTitle: 'الإشعارات متوقفة',
+    permissionMessage: 'اسمح بإشعارات هذا التطبيق من إعدادات جهازك لتلقي تنبيهات الطقس.',
+    unsupported: 'تظهر التنبيهات كإشعارات، وهي تحتاج إلى تطبيق iOS أو Android.',
+    metrics: {
+      pop: 'احتمال المطر',
+      temp: 'درجة الحرارة',
+      windSpeed: 'سرعة الرياح',
+      windGust: 'هبات الرياح'
+    },
+    comparisons: {
+      above: 'أعلى من',
+      below: 'أقل من'
+    },
+    windowOptions: {
+      next24h: 'الـ 24 ساعة القادمة',
+      today: 'اليوم',
+      tomorrow: 'غداً',
+      next5Days: 'الأيام الخمسة القادمة'
+    },
+    above: '{metric} أعلى من {value}',
+    below: '{metric} أقل من {value}',
+    windows: {
+      next24h: 'خلال الـ 24 ساعة القادمة',
+      today: 'اليوم',
+      tomorrow: 'غداً',
+      next5Days: 'خلال الأيام الخمسة القادمة'
+    },
+    summary: '{condition} {window}',
+    notificationTitle: '{name}: {rule}',
+    notificationBody: 'التوقعات {value} يوم {day} الساعة {time}'
+  },
+
+  session: {
+    fromLink: 'من رابط: {details}',
+    clear: 'مسح',
+    units: {
+      metric: 'الوحدات المترية',
+      imperial: 'الوحدات الإمبراطورية'
+    }
+  },
+
+  share: {
+    title: 'الطقس في {name}',
+    button: 'مشاركة',
+    copied: 'تم نسخ الرابط'
+  },
+
+  update: {
+    available: 'يتوفر إصدار جديد',
+    later: 'لاحقًا',
+    reload: 'إعادة التحميل'
+  },
+
+  compare: {
+    cities: 'المدن',
+    pickHelp: 'اختر من {min} إلى {max} مدن لعرضها جنبًا إلى جنب. ابحث لإضافة مدينة غير محفوظة.',
+    pickMore: 'اختر {count} مدن على الأقل للمقارنة',
+    tooMany: 'يمكنك مقارنة {count} مدن كحد أقصى في المرة الواحدة',
+    warmest: 'الأدفأ',
+    wettest: 'الأكثر مطرًا',
+    windiest: 'الأكثر رياحًا',
+    now: 'الآن',
+    temperature: 'درجة الحرارة',
+    conditions: 'الحالة',
+    recentPrecipitation: 'المطر والثلج (آخر ساعة)',
+    highLow: 'العظمى / الصغرى'
+  },
+
+  history: {
+    currentLocation: 'لا يوجد سجل لموقعك الحالي',
+    currentLocationHint: 'يتغير عندما تتحرك، لذلك تُحفظ القراءات للمواقع المحفوظة فقط.',
+    off: 'السجل متوقف',
+    offHint: 'اختر عدد الأيام التي تريد الاحتفاظ بها في قسم السجل في الإعدادات.',
+    empty: 'لا يوجد سجل لـ {name} بعد',
+    emptyHint: 'تُحفظ قراءة في كل مرة يتم فيها تحديث الطقس، مرة كل 30 دقيقة على الأكثر.',
+    compareTitle: 'مقارنة بما سبق',
+    yesterdayWarmer: 'أدفأ بمقدار {difference} من أمس في مثل هذا الوقت',
+    yesterdayCooler: 'أبرد بمقدار {difference} من أمس في مثل هذا الوقت',
+    yesterdaySame: 'نفس درجة الحرارة أمس في مثل هذا الوقت',
+    lastWeekWarmer: 'أدفأ بمقدار {difference} من قبل أسبوع',
+    lastWeekCooler: 'أبرد بمقدار {difference} من قبل أسبوع',
+    lastWeekSame: 'نفس درجة الحرارة قبل أسبوع',
+    compareLater: 'تظهر المقارنات عند توفر قراءات من يوم سابق.',
+    trendTitle: 'درجات الحرارة اليومية',
+    highLow: 'العظمى {high} · الصغرى {low}',
+    high: 'العظمى',
+    low: 'الصغرى',
+    dayStats: 'المتوسط {average}  ·  الرطوبة {humidity}',
+    readings: {
+      one: 'قراءة واحدة',
+      two: 'قراءتان',
+      few: '{count} قراءات',
+      other: '{count} قراءة'
+    }
+  },
+
+  conditions: {
+    title: 'المزيد من الظروف',
+    windDirection: 'اتجاه الرياح',
+    from: 'من {direction} ({degrees})',
+    gusts: 'الهبات',
+    rainLastHour: 'المطر (آخر ساعة)',
+    snowLastHour: 'الثلج (آخر ساعة)',
+    todayRange: 'مدى اليوم',
+    compass: { N: 'ش', E: 'ق', S: 'ج', W: 'غ' },
+    directions: {
+      N: 'الشمال',
+      NE: 'الشمال الشرقي',
+      E: 'الشرق',
+      SE: 'الجنوب الشرقي',
+      S: 'الجنوب',
+      SW: 'الجنوب الغربي',
+      W: 'الغرب',
+      NW: 'الشمال الغربي'
+    }
+  },
+
+  comfort: {
+    title: 'الراحة',
+    dewPoint: 'نقطة الندى',
+    heatIndex: 'مؤشر الحرارة',
+    windChill: 'برودة الرياح',
+    humidex: 'مؤشر الرطوبة',
+    ratings: {
+      veryCold: 'بارد جدًا',
+      cold: 'بارد',
+      cool: 'منعش',
+      comfortable: 'مريح',
+      humid: 'رطب',
+      oppressive: 'خانق',
+      hot: 'حار',
+      veryHot: 'حار جدًا'
+    }
+  },
+
+  airQuality: {
+    title: 'جودة الهواء',
+    forecastTitle: 'جودة الهواء حسب اليوم (أسوأ ساعة)',
+    levels: {
+      good: 'جيدة',
+      fair: 'مقبولة',
+      moderate: 'متوسطة',
+      poor: 'سيئة',
+      veryPoor: 'سيئة جدًا'
+    },
+    advice: {
+      good: 'جودة الهواء مناسبة للعمل في الخارج.',
+      fair: 'مناسبة لمعظم الناس في الخارج.',
+      moderate: 'على الأشخاص الحساسين أخذ فترات راحة من الأعمال الشاقة في الخارج.',
+      poor: 'قلّل من الأعمال الشاقة في الخارج.',
+      veryPoor: 'تجنّب الأعمال الشاقة في الخارج.'
+    }
+  },
+
+  errors: {
+    missingKey: {
+      title: 'مفتاح API مطلوب',
+      message: 'أضف مفتاح OpenWeatherMap في الإعدادات، أو اختر مزوداً لا يحتاج إلى مفتاح.'
+    },
+    invalidKey: {
+      title: 'مفتاح API غير صالح',
+      message: 'رفضت خدمة الطقس مفتاح API. حدّثه في الإعدادات وحاول مرة أخرى.'
+    },
+    notFound: {
+      title: 'المدينة غير موجودة',
+      message: 'تحقق من كتابة اسم المدينة في الإعدادات.'
+    },
+    rateLimited: {
+      title: 'طلبات كثيرة جداً',
+      message: 'خدمة الطقس تحد من الطلبات. انتظر دقيقة وحاول مرة أخرى.'
+    },
+    offline: {
+      title: 'أنت غير متصل',
+      message: 'تحقق من اتصالك وحاول مرة أخرى.'
+    },
+    timeout: {
+      title: 'انتهت مهلة الطلب',
+      message: 'استغرقت خدمة الطقس وقتاً طويلاً للرد. حاول مرة أخرى.'
+    },
+    server: {
+      title: 'خدمة الطقس غير متاحة',
+      message: 'تواجه خدمة الطقس مشكلات. حاول لاحقاً.'
+    },
+    unknown: {
+      title: 'حدث خطأ ما',
+      message: 'تعذر تحميل الطقس. حاول مرة أخرى.'
+    }
+  },
+
+  settings: {
+    title: 'إعدادات الطقس',
+    savedLocations: 'المواقع المحفوظة',
+    alreadySaved: '{name} موجودة بالفعل في مواقعك',
+    added: 'تمت إضافة {name} إلى مواقعك',
+    needOneLocation: 'تحتاج إلى موقع محفوظ واحد على الأقل',
+    useCurrentLocation: 'استخدم موقعي الحالي',
+    refreshDistance: 'التحديث بعد التحرك مسافة لا تقل عن:',
+    metres: '{count} م',
+    kilometres: '{count} كم',
+    popularCities: 'مدن شائعة',
+    popularCitiesHelp: 'اضغط على مدينة للبحث عنها، ثم اختر النتيجة الصحيحة بالأعلى',
+    appearance: 'المظهر',
+    appearanceHelp: 'خيار النظام يتبع الوضع الفاتح أو الداكن لجهازك.',
+    themeModes: {
+      system: 'النظام',
+      light: 'فاتح',
+      dark: 'داكن'
+    },
+    language: 'اللغة',
+    languageHelp: 'تُستخدم أيضاً لأوصاف الطقس والتواريخ والأرقام.',
+    systemLanguage: 'النظام',
+    units: 'الوحدات',
+    unitTypes: {
+      temperatureUnit: 'درجة الحرارة',
+      windUnit: 'سرعة الرياح',
+      pressureUnit: 'الضغط',
+      distanceUnit: 'المسافة والرؤية'
+    },
+    timeZone: 'المنطقة الزمنية',
+    showDeviceTime: 'إظهار توقيت الجهاز أيضاً',
+    timeZoneHelp: 'تستخدم أيام التوقعات والشروق والغروب التوقيت المحلي لكل موقع. فعّل هذا الخيار لرؤية توقيتك أيضاً عندما يختلف.',
+    provider: 'مزود الطقس',
+    noKeyNeeded: 'هذا المزود لا يحتاج إلى مفتاح API',
+    demoHelp: 'طقس مسجل للندن ونيويورك وطوكيو وسيدني، دون شبكة أو مفتاح API. جرّب سيناريو:',
+    demoScenarios: {
+      recorded: 'كما سُجّل',
+      storm: 'عاصفة',
+      heatwave: 'موجة حر',
+      snow: 'ثلج',
+      slow: 'استجابات بطيئة'
+    },
+    apiKey: 'مفتاح OpenWeatherMap API',
+    keyStatus: {
+      loading: 'جارٍ التحقق...',
+      missing: 'لا يوجد مفتاح محفوظ',
+      valid: 'صالح',
+      invalid: 'غير صالح',
+      quotaExceeded: 'تم تجاوز الحصة'
+    },
+    removeKey: 'إزالة',
+    removeKeyMessage: 'هل تريد إزالة مفتاح API المحفوظ من هذا الجهاز؟ ستحتاج إلى إدخاله مرة أخرى لاستخدام OpenWeatherMap.',
+    keyPlaceholder: 'الصق مفتاح API',
+    saveKey: 'اختبار وحفظ المفتاح',
+    keyHelp: 'احصل على مفتاح مجاني من openweathermap.org. يُحفظ بأمان على هذا الجهاز.',
+    enterKey: 'الرجاء إدخال مفتاح API',
+    invalidKeyTitle: 'مفتاح غير صالح',
+    invalidKeyMessage: 'رفض OpenWeatherMap هذا المفتاح. قد تستغرق المفاتيح الجديدة بضع ساعات حتى تُفعّل.',
+    keySaved: 'تم حفظ مفتاح API',
+    keySavedOverQuota: 'تم حفظ مفتاح API، لكنه تجاوز حصة الطلبات حالياً',
+    keyCheckFailed: 'تعذر التحقق من المفتاح. تحقق من اتصالك وحاول مرة أخرى.',
+    offlineData: 'البيانات دون اتصال',
+    offlineDataHelp: 'الاحتفاظ بآخر طقس تم تنزيله للاستخدام دون اتصال لمدة تصل إلى:',
+    hours: '{count} س',
+    days: '{count} ي',
+    autoRefresh: 'التحديث التلقائي',
+    autoRefreshHelp: 'أثناء فتح التطبيق وعند العودة إليه، حدّث الطقس الأقدم من:',
+    refreshOff: 'إيقاف',
+    minutes: '{count} د',
+    backgroundRefresh: 'التحديث في الخلفية',
+    backgroundRefreshHelp: 'يبقي البيانات دون اتصال محدّثة أثناء إغلاق التطبيق. يحدد جهازك التوقيت بالضبط. قواعد التنبيه تُحدَّث دائماً في الخلفية.',
+    history: 'السجل',
+    historyHelp: 'احفظ قراءة في كل مرة يتم فيها تحديث الطقس، لعرض الاتجاهات في علامة تبويب السجل. الاحتفاظ بالقراءات لمدة:',
+    historyOff: 'إيقاف',
+    clearHistory: 'مسح السجل',
+    clearHistoryMessage: 'هل تريد حذف القراءات المحفوظة لكل المواقع؟',
+    clearHistoryConfirm: 'مسح',
+    historyCleared: 'تم مسح السجل',
+    backup: 'النسخ الاحتياطي والنقل',
+    backupHelp: 'احفظ إعداداتك ومدنك وقواعد التنبيه في ملف، أو حمّلها من ملف أُنشئ على جهاز آخر. لا يتم تضمين مفتاح API.',
+    exportSettings: 'تصدير الإعدادات',
+    importSettings: 'استيراد الإعدادات',
+    importConfirmMessage: 'هل تريد استبدال إعداداتك ومدنك وقواعد التنبيه بتلك الموجودة في هذا الملف؟',
+    importConfirm: 'استبدال',
+    exportUnavailable: 'مشاركة الملفات غير متاحة على هذا الجهاز.',
+    exportFailed: 'تعذر تصدير إعداداتك.',
+    importDone: 'تم استيراد الإعدادات',
+    importFailed: 'تعذرت قراءة الملف.',
+    importInvalid: 'هذا الملف ليس ملف إعدادات مُصدَّرًا من Weather Dashboard.',
+    importNewerVersion: 'هذه الإعدادات من إصدار أحدث من التطبيق. حدّث التطبيق وحاول مرة أخرى.',
+    about: 'حول',
+    aboutText: 'Weather Dashboard v1.0\nتم إنشاؤه باستخدام React Native و Expo\nالبيانات مقدمة من {provider}'
+  },
+
+  weatherCodes: {
+    0: 'سماء صافية',
+    1: 'صافٍ في الغالب',
+    2: 'غائم جزئياً',
+    3: 'غائم كلياً',
+    45: 'ضباب',
+    48: 'ضباب متجمد',
+    51: 'رذاذ خفيف',
+    53: 'رذاذ',
+    55: 'رذاذ كثيف',
+    56: 'رذاذ متجمد',
+    57: 'رذاذ متجمد كثيف',
+    61: 'مطر خفيف',
+    63: 'مطر متوسط',
+    65: 'مطر غزير',
+    66: 'مطر متجمد',
+    67: 'مطر متجمد غزير',
+    71: 'ثلج خفيف',
+    73: 'ثلج',
+    75: 'ثلج كثيف',
+    77: 'حبيبات ثلج',
+    80: 'زخات مطر خفيفة',
+    81: 'زخات مطر',
+    82: 'زخات مطر عنيفة',
+    85: 'زخات ثلج',
+    86: 'زخات ثلج كثيفة',
+    95: 'عاصفة رعدية',
+    96: 'عاصفة رعدية مع برد',
+    99: 'عاصفة رعدية مع برد كثيف'
+  }
+};
+
+export default ar;
@@ -0,0 +1,400 @@
+// English - the source for every other language. Any key missing from
+// another language falls back to the text here.
+//
+// {name} placeholders are filled in by t(key, { name }). A value can also be
+// { one, other, ... } to pick the right plural form for params.count.
+const en = {
+  tabs: {
+    home: 'Current Weather',
+    forecast: '5-Day Forecast',
+    dayDetail: 'Day Forecast',
+    compare: 'Compare',
+    history: 'History',
+    settings: 'Settings',
+    alertRules: 'Weather Alerts'
+  },
+
+  common: {
+    error: 'Error',
+    success: 'Success',
+    retry: 'Retry',
+    checkConnection: 'Check your connection and try again',
+    cancel: 'Cancel'
+  },
+
+  home: {
+    loading: 'Loading weather data...',
+    unavailable: 'Weather data unavailable for {name}',
+    currentLocation: 'Current location',
+    feelsLike: 'Feels Like',
+    humidity: 'Humidity',
+    windSpeed: 'Wind Speed',
+    pressure: 'Pressure',
+    visibility: 'Visibility',
+    cloudCover: 'Cloud Cover',
+    sunrise: 'Sunrise',
+    sunset: 'Sunset'
+  },
+
+  forecast: {
+    loading: 'Loading forecast data...',
+    unavailable: 'Forecast data unavailable for {name}',
+    list: 'List',
+    charts: 'Charts'
+  },
+
+  dayDetail: {
+    unavailable: 'Forecast for this day is no longer available',
+    goBack: 'Go back to see the latest forecast',
+    precipChance: 'Precip. Chance',
+    precipitation: 'Precipitation',
+    maxWind: 'Max Wind',
+    feels: 'Feels {temp}',
+    slotStats: 'Wind {wind}  ·  Humidity {humidity}  ·  Rain {pop}'
+  },
+
+  charts: {
+    hint: 'Drag across a chart to see values',
+    temperature: 'Temperature',
+    temperatureValue: '{temp} (feels {feelsLike})',
+    temperatureLegend: 'Temperature ({unit})',
+    feelsLike: 'Feels like',
+    precipitation: 'Precipitation',
+    chance: 'Chance (%)',
+    amount: 'Amount (up to {amount})',
+    wind: 'Wind',
+    windGusts: '{speed} (gusts {gust})',
+    windLegend: 'Wind speed ({unit})',
+    gusts: 'Gusts'
+  },
+
+  banner: {
+    lastUpdated: 'Last updated {age}',
+    offline: 'Offline · Last updated {age}',
+    justNow: 'just now',
+    minutesAgo: '{count} min ago',
+    hoursAgo: '{count} h ago',
+    daysAgo: '{count} d ago'
+  },
+
+  search: {
+    placeholder: 'Search for a city',
+    needsKey: 'Add an API key below to search for cities',
+    noMatches: 'No matching places found'
+  },
+
+  location: {
+    unavailableTitle: 'Location unavailable',
+    deniedMessage: 'Permission to use your location was denied, so your saved cities will be shown instead.'
+  },
+
+  time: {
+    deviceTime: '{time} your time'
+  },
+
+  language: {
+    restartTitle: 'Restart needed',
+    restartMessage: 'Close and reopen the app to switch the layout direction.'
+  },
+
+  // Titles and messages for each error type in utils/weatherErrors.js
+  alerts: {
+    title: 'Weather Alerts',
+    manage: 'Manage alert rules',
+    ruleCount: {
+      one: '{count} rule',
+      other: '{count} rules'
+    },
+    rules: 'Alert Rules',
+    help: 'Get a notification when the forecast for any of your locations matches a rule.',
+    noRules: 'No alert rules yet',
+    newRule: 'New Rule',
+    metric: 'When',
+    comparison: 'Is',
+    threshold: 'Value',
+    window: 'Time',
+    addRule: 'Add Rule',
+    invalidThreshold: 'Enter a number for the rule',
+    permissionTitle: 'Notifications are off',
+    permissionMessage: 'Allow notifications for this app in your device settings to get weather alerts.',
+    unsupported: 'Alerts are shown as notifications, which need the iOS or Android app.',
+    metrics: {
+      pop: 'Rain chance',
+      temp: 'Temperature',
+      windSpeed: 'Wind speed',
+      windGust: 'Wind gusts'
+    },
+    comparisons: {
+      above: 'Above',
+      below: 'Below'
+    },
+    windowOptions: {
+      next24h: 'Next 24 hours',
+      today: 'Today',
+      tomorrow: 'Tomorrow',
+      next5Days: 'Next 5 days'
+    },
+    above: '{metric} above {value}',
+    below: '{metric} below {value}',
+    windows: {
+      next24h: 'in the next 24 hours',
+      today: 'today',
+      tomorrow: 'tomorrow',
+      next5Days: 'in the next 5 days'
+    },
+    summary: '{condition} {window}',
+    notificationTitle: '{name}: {rule}',
+    notificationBody: 'Forecast {value} on {day} at {time}'
+  },
+
+  session: {
+    fromLink: 'From a link: {details}',
+    clear: 'Clear',
+    units: {
+      metric: 'metric units',
+      imperial: 'imperial units'
+    }
+  },
+
+  share: {
+    title: 'Weather for {name}',
+    button: 'Share',
+    copied: 'Link copied'
+  },
+
+  update: {
+    available: 'A new version is available',
+    later: 'Later',
+    reload: 'Reload'
+  },
+
+  compare: {
+    cities: 'Cities',
+    pickHelp: "Pick {min} to {max} cities to see side by side. Search to add one that isn't saved.",
+    pickMore: 'Pick at least {count} cities to compare',
+    tooMany: 'You can compare up to {count} cities at a time',
+    warmest: 'Warmest',
+    wettest: 'Wettest',
+    windiest: 'Windiest',
+    now: 'Now',
+    temperature: 'Temperature',
+    conditions: 'Conditions',
+    recentPrecipitation: 'Rain & Snow (last hour)',
+    highLow: 'High / Low'
+  },
+
+  history: {
+    currentLocation: 'No history for your current location',
+    currentLocationHint: 'It changes as you move, so readings are only kept for saved locations.',
+    off: 'History is turned off',
+    offHint: 'Choose how many days to keep under History in Settings.',
+    empty: 'No history for {name} yet',
+    emptyHint: 'A reading is saved each time the weather refreshes, at most every 30 minutes.',
+    compareTitle: 'Compared With Before',
+    yesterdayWarmer: '{difference} warmer than yesterday at this time',
+    yesterdayCooler: '{difference} cooler than yesterday at this time',
+    yesterdaySame: 'Same temperature as yesterday at this time',
+    lastWeekWarmer: '{difference} warmer than a week ago',
+    lastWeekCooler: '{difference} cooler than a week ago',
+    lastWeekSame: 'Same temperature as a week ago',
+    compareLater: 'Comparisons show up once there are readings from a day ago.',
+    trendTitle: 'Daily Temperatures',
+    highLow: 'High {high} · Low {low}',
+    high: 'High',
+    low: 'Low',
+    dayStats: 'Average {average}  ·  Humidity {humidity}',
+    readings: {
+      one: '{count} reading',
+      other: '{count} readings'
+    }
+  },
+
+  conditions: {
+    title: 'More Conditions',
+    windDirection: 'Wind Direction',
+    from: 'From {direction} ({degrees})',
+    gusts: 'Gusts',
+    rainLastHour: 'Rain (last hour)',
+    snowLastHour: 'Snow (last hour)',
+    todayRange: "Today's Range",
+    compass: { N: 'N', E: 'E', S: 'S', W: 'W' },
+    directions: {
+      N: 'N',
+      NE: 'NE',
+      E: 'E',
+      SE: 'SE',
+      S: 'S',
+      SW: 'SW',
+      W: 'W',
+      NW: 'NW'
+    }
+  },
+
+  comfort: {
+    title: 'Comfort',
+    dewPoint: 'Dew point',
+    heatIndex: 'Heat index',
+    windChill: 'Wind chill',
+    humidex: 'Humidex',
+    ratings: {
+      veryCold: 'Very cold',
+      cold: 'Cold',
+      cool: 'Cool',
+      comfortable: 'Comfortable',
+      humid: 'Humid',
+      oppressive: 'Oppressive',
+      hot: 'Hot',
+      veryHot: 'Very hot'
+    }
+  },
+
+  airQuality: {
+    title: 'Air Quality',
+    forecastTitle: 'Air quality by day (worst hour)',
+    levels: {
+      good: 'Good',
+      fair: 'Fair',
+      moderate: 'Moderate',
+      poor: 'Poor',
+      veryPoor: 'Very poor'
+    },
+    advice: {
+      good: 'Air quality is fine for working outdoors.',
+      fair: 'Fine for most people outdoors.',
+      moderate: 'Sensitive people should take breaks from heavy work outdoors.',
+      poor: 'Cut down on heavy work outdoors.',
+      veryPoor: 'Avoid heavy work outdoors.'
+    }
+  },
+
+  errors: {
+    missingKey: {
+      title: 'API key needed',
+      message: 'Add your OpenWeatherMap API key in Settings, or switch to a provider that does not need one.'
+    },
+    invalidKey: {
+      title: 'Invalid API key',
+      message: 'The weather service rejected the API key. Update it in Settings and try again.'
+    },
+    notFound: {
+      title: 'City not found',
+      message: 'Check the spelling of the city name in Settings.'
+    },
+    rateLimited: {
+      title: 'Too many requests',
+      message: 'The weather service is limiting requests. Wait a minute and try again.'
+    },
+    offline: {
+      title: "You're offline",
+      message: 'Check your connection and try again.'
+    },
+    timeout: {
+      title: 'Request timed out',
+      message: 'The weather service took too long to respond. Try again.'
+    },
+    server: {
+      title: 'Weather service unavailable',
+      message: 'The weather service is having problems. Try again later.'
+    },
+    unknown: {
+      title: 'Something went wrong',
+      message: 'We could not load the weather. Try again.'
+    }
+  },
+
+  settings: {
+    title: 'Weather Settings',
+    savedLocations: 'Saved Locations',
+    alreadySaved: '{name} is already in your locations',
+    added: '{name} added to your locations',
+    needOneLocation: 'You need at least one saved location',
+    useCurrentLocation: 'Use my current location',
+    refreshDistance: 'Refresh after moving at least:',
+    metres: '{count} m',
+    kilometres: '{count} km',
+    popularCities: 'Popular Cities',
+    popularCitiesHelp: 'Tap a city to search for it, then pick the right match above',
+    appearance: 'Appearance',
+    appearanceHelp: "System follows your device's light or dark mode.",
+    themeModes: {
+      system: 'System',
+      light: 'Light',
+      dark: 'Dark'
+    },
+    language: 'Language',
+    languageHelp: 'Also used for weather descriptions, dates and numbers.',
+    systemLanguage: 'System',
+    units: 'Units',
+    unitTypes: {
+      temperatureUnit: 'Temperature',
+      windUnit: 'Wind Speed',
+      pressureUnit: 'Pressure',
+      distanceUnit: 'Distance & Visibility'
+    },
+    timeZone: 'Time Zone',
+    showDeviceTime: 'Also show device time',
+    timeZoneHelp: "Forecast days, sunrise and sunset use each location's local time. Turn this on to see your own time alongside when it's different.",
+    provider: 'Weather Provider',
+    noKeyNeeded: 'No API key needed for this provider',
+    demoHelp: 'Recorded weather for London, New York, Tokyo and Sydney, with no network or API key. Try a scenario:',
+    demoScenarios: {
+      recorded: 'As recorded',
+      storm: 'Storm',
+      heatwave: 'Heatwave',
+      snow: 'Snow',
+      slow: 'Slow responses'
+    },
+    apiKey: 'OpenWeatherMap API Key',
+    keyStatus: {
+      loading: 'Checking...',
+      missing: 'No key saved',
+      valid: 'Valid',
+      invalid: 'Invalid',
+      quotaExceeded: 'Quota exceeded'
+    },
+    removeKey: 'Remove',
+    removeKeyMessage: "Remove the saved API key from this device? You'll need to enter it again to use OpenWeatherMap.",
+    keyPlaceholder: 'Paste your API key',
+    saveKey: 'Test & Save Key',
+    keyHelp: "Get a free key at openweathermap.org. It's stored securely on this device.",
+    enterKey: 'Please enter an API key',
+    invalidKeyTitle: 'Invalid key',
+    invalidKeyMessage: 'OpenWeatherMap rejected this key. New keys can take a couple of hours to activate.',
+    keySaved: 'API key saved',
+    keySavedOverQuota: 'API key saved, but it is over its request quota right now',
+    keyCheckFailed: 'Could not check the key. Check your connection and try again.',
+    offlineData: 'Offline Data',
+    offlineDataHelp: 'Keep the last downloaded weather for offline use for up to:',
+    hours: '{count} h',
+    days: '{count} d',
+    autoRefresh: 'Auto-Refresh',
+    autoRefreshHelp: 'While the app is open, and when you come back to it, refresh weather older than:',
+    refreshOff: 'Off',
+    minutes: '{count} min',
+    backgroundRefresh: 'Refresh in the background',
+    backgroundRefreshHelp: 'Keeps offline data up to date while the app is closed. Your device decides exactly when. Alert rules always refresh in the background.',
+    history: 'History',
+    historyHelp: 'Save a reading each time the weather refreshes, to see trends on the History tab. Keep readings for:',
+    historyOff: 'Off',
+    clearHistory: 'Clear history',
+    clearHistoryMessage: 'Delete the saved readings for every location?',
+    clearHistoryConfirm: 'Clear',
+    historyCleared: 'History cleared',
+    backup: 'Backup & Transfer',
+    backupHelp: "Save your settings, cities and alert rules to a file, or load them from a file made on another device. Your API key isn't included.",
+    exportSettings: 'Export Settings',
+    importSettings: 'Import Settings',
+    importConfirmMessage: 'Replace your settings, cities and alert rules with the ones in this file?',
+    importConfirm: 'Replace',
+    exportUnavailable: "Sharing files isn't available on this device.",
+    exportFailed: 'Could not export your settings.',
+    importDone: 'Settings imported',
+    importFailed: 'Could not read the file.',
+    importInvalid: "This file isn't a Weather Dashboard settings export.",
+    importNewerVersion: 'These settings come from a newer version of the app. Update the app and try again.',
+    about: 'About',
+    aboutText: 'Weather Dashboard v1.0\nCreated with React Native and Expo\nData provided by {provider}'
+  }
+};
+
+export default en;
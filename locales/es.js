@@ -0,0 +1,427 @@
+// Spanish
+const es = {
+  tabs: {
+    home: 'Tiempo actual',
+    forecast: 'Pronóstico de 5 días',
+    dayDetail: 'Pronóstico del día',
+    compare: 'Comparar',
+    history: 'Historial',
+    settings: 'Ajustes',
+    alertRules: 'Alertas meteorológicas'
+  },
+
+  common: {
+    error: 'Error',
+    success: 'Listo',
+    retry: 'Reintentar',
+    checkConnection: 'Comprueba tu conexión e inténtalo de nuevo',
+    cancel: 'Cancelar'
+  },
+
+  home: {
+    loading: 'Cargando datos del tiempo...',
+    unavailable: 'No hay datos del tiempo para {name}',
+    currentLocation: 'Ubicación actual',
+    feelsLike: 'Sensación',
+    humidity: 'Humedad',
+    windSpeed: 'Viento',
+    pressure: 'Presión',
+    visibility: 'Visibilidad',
+    cloudCover: 'Nubosidad',
+    sunrise: 'Amanecer',
+    sunset: 'Atardecer'
+  },
+
+  forecast: {
+    loading: 'Cargando pronóstico...',
+    unavailable: 'No hay pronóstico para {name}',
+    list: 'Lista',
+    charts: 'Gráficos'
+  },
+
+  dayDetail: {
+    unavailable: 'El pronóstico de este día ya no está disponible',
+    goBack: 'Vuelve atrás para ver el último pronóstico',
+    precipChance: 'Prob. de lluvia',
+    precipitation: 'Precipitación',
+    maxWind: 'Viento máx.',
+    feels: 'Sensación {temp}',
+    slotStats: 'Viento {wind}  ·  Humedad {humidity}  ·  Lluvia {pop}'
+  },
+
+  charts: {
+    hint: 'Desliza sobre un gráfico para ver los valores',
+    temperature: 'Temperatura',
+    temperatureValue: '{temp} (sensación {feelsLike})',
+    temperatureLegend: 'Temperatura ({unit})',
+    feelsLike: 'Sensación',
+    precipitation: 'Precipitación',
+    chance: 'Probabilidad (%)',
+    amount: 'Cantidad (hasta {amount})',
+    wind: 'Viento',
+    windGusts: '{speed} (ráfagas {gust})',
+    windLegend: 'Velocidad del viento ({unit})',
+    gusts: 'Ráfagas'
+  },
+
+  banner: {
+    lastUpdated: 'Actualizado {age}',
+    offline: 'Sin conexión · Actualizado {age}',
+    justNow: 'ahora mismo',
+    minutesAgo: 'hace {count} min',
+    hoursAgo: 'hace {count} h',
+    daysAgo: 'hace {count} d'
+  },
+
+  search: {
+    placeholder: 'Buscar una ciudad',
+    needsKey: 'Añade una clave de API abajo para buscar ciudades',
+    noMatches: 'No se encontraron lugares'
+  },
+
+  location: {
+    unavailableTitle: 'Ubicación no disponible',
+    deniedMessage: 'No se concedió permiso para usar tu ubicación, así que se mostrarán tus ciudades guardadas.'
+  },
+
+  time: {
+    deviceTime: '{time} tu hora'
+  },
+
+  language: {
+    restartTitle: 'Hay que reiniciar',
+    restartMessage: 'Cierra y vuelve a abrir la app para cambiar la dirección del texto.'
+  },
+
+  alerts: {
+    title: 'Alertas meteorológicas',
+    manage: 'Gestionar reglas de alerta',
+    ruleCount: {
+      one: '{count} regla',
+      other: '{count} reglas'
+    },
+    rules: 'Reglas de alerta',
+    help: 'Recibe una notificación cuando el pronóstico de cualquiera de tus ubicaciones cumpla una regla.',
+    noRules: 'Aún no hay reglas de alerta',
+    newRule: 'Nueva regla',
+    metric: 'Cuando',
+    comparison: 'Esté',
+    threshold: 'Valor',
+    window: 'Periodo',
+    addRule: 'Añadir regla',
+    invalidThreshold: 'Introduce un número para la regla',
+    permissionTitle: 'Las notificaciones están desactivadas',
+    permissionMessage: 'Permite las notificaciones de esta app en los ajustes del dispositivo para recibir alertas.',
+    unsupported: 'Las alertas se muestran como notificaciones, que necesitan la app de iOS o Android.',
+    metrics: {
+      pop: 'Probabilidad de lluvia',
+      temp: 'Temperatura',
+      windSpeed: 'Velocidad del viento',
+      windGust: 'Ráfagas de viento'
+    },
+    comparisons: {
+      above: 'Por encima',
+      below: 'Por debajo'
+    },
+    windowOptions: {
+      next24h: 'Próximas 24 horas',
+      today: 'Hoy',
+      tomorrow: 'Mañana',
+      next5Days: 'Próximos 5 días'
+    },
+    above: '{metric} por encima de {value}',
+    below: '{metric} por debajo de {value}',
+    windows: {
+      next24h: 'en las próximas 24 horas',
+      today: 'hoy',
+      tomorrow: 'mañana',
+      next5Days: 'en los próximos 5 días'
+    },
+    summary: '{condition} {window}',
+    notificationTitle: '{name}: {rule}',
+    notificationBody: 'Previsión de {value} el {day} a las {time}'
+  },
+
+  session: {
+    fromLink: 'Desde un enlace: {details}',
+    clear: 'Quitar',
+    units: {
+      metric: 'unidades métricas',
+      imperial: 'unidades imperiales'
+    }
+  },
+
+  share: {
+    title: 'El tiempo en {name}',
+    button: 'Compartir',
+    copied: 'Enlace copiado'
+  },
+
+  update: {
+    available: 'Hay una nueva versión disponible',
+    later: 'Más tarde',
+    reload: 'Recargar'
+  },
+
+  compare: {
+    cities: 'Ciudades',
+    pickHelp: 'Elige de {min} a {max} ciudades para verlas lado a lado. Busca para añadir una que no esté guardada.',
+    pickMore: 'Elige al menos {count} ciudades para comparar',
+    tooMany: 'Puedes comparar hasta {count} ciudades a la vez',
+    warmest: 'Más cálida',
+    wettest: 'Más lluviosa',
+    windiest: 'Más ventosa',
+    now: 'Ahora',
+    temperature: 'Temperatura',
+    conditions: 'Condiciones',
+    recentPrecipitation: 'Lluvia y nieve (última hora)',
+    highLow: 'Máx. / Mín.'
+  },
+
+  history: {
+    currentLocation: 'Sin historial para tu ubicación actual',
+    currentLocationHint: 'Cambia cuando te mueves, así que solo se guardan lecturas de las ubicaciones guardadas.',
+    off: 'El historial está desactivado',
+    offHint: 'Elige cuántos días conservar en Historial, en Ajustes.',
+    empty: 'Aún no hay historial para {name}',
+    emptyHint: 'Se guarda una lectura cada vez que se actualiza el tiempo, como mucho cada 30 minutos.',
+    compareTitle: 'Comparado con antes',
+    yesterdayWarmer: '{difference} más cálido que ayer a esta hora',
+    yesterdayCooler: '{difference} más fresco que ayer a esta hora',
+    yesterdaySame: 'La misma temperatura que ayer a esta hora',
+    lastWeekWarmer: '{difference} más cálido que hace una semana',
+    lastWeekCooler: '{difference} más fresco que hace una semana',
+    lastWeekSame: 'La misma temperatura que hace una semana',
+    compareLater: 'Las comparaciones aparecen cuando hay lecturas de hace un día.',
+    trendTitle: 'Temperaturas diarias',
+    highLow: 'Máx. {high} · Mín. {low}',
+    high: 'Máxima',
+    low: 'Mínima',
+    dayStats: 'Media {average}  ·  Humedad {humidity}',
+    readings: {
+      one: '{count} lectura',
+      other: '{count} lecturas'
+    }
+  },
+
+  conditions: {
+    title: 'Más condiciones',
+    windDirection: 'Dirección del viento',
+    from: 'Del {direction} ({degrees})',
+    gusts: 'Ráfagas',
+    rainLastHour: 'Lluvia (última hora)',
+    snowLastHour: 'Nieve (última hora)',
+    todayRange: 'Rango de hoy',
+    compass: { N: 'N', E: 'E', S: 'S', W: 'O' },
+    directions: {
+      N: 'N',
+      NE: 'NE',
+      E: 'E',
+      SE: 'SE',
+      S: 'S',
+      SW: 'SO',
+      W: 'O',
+      NW: 'NO'
+    }
+  },
+
+  comfort: {
+    title: 'Confort',
+    dewPoint: 'Punto de rocío',
+    heatIndex: 'Índice de calor',
+    windChill: 'Sensación por viento',
+    humidex: 'Humidex',
+    ratings: {
+      veryCold: 'Muy frío',
+      cold: 'Frío',
+      cool: 'Fresco',
+      comfortable: 'Agradable',
+      humid: 'Húmedo',
+      oppressive: 'Bochornoso',
+      hot: 'Caluroso',
+      veryHot: 'Muy caluroso'
+    }
+  },
+
+  airQuality: {
+    title: 'Calidad del aire',
+    forecastTitle: 'Calidad del aire por día (peor hora)',
+    levels: {
+      good: 'Buena',
+      fair: 'Aceptable',
+      moderate: 'Moderada',
+      poor: 'Mala',
+      veryPoor: 'Muy mala'
+    },
+    advice: {
+      good: 'La calidad del aire es buena para trabajar al aire libre.',
+      fair: 'Adecuada para la mayoría de las personas al aire libre.',
+      moderate: 'Las personas sensibles deberían hacer pausas en los trabajos pesados al aire libre.',
+      poor: 'Reduce los trabajos pesados al aire libre.',
+      veryPoor: 'Evita los trabajos pesados al aire libre.'
+    }
+  },
+
+  errors: {
+    missingKey: {
+      title: 'Falta la clave de API',
+      message: 'Añade tu clave de API de OpenWeatherMap en Ajustes o cambia a un proveedor que no la necesite.'
+    },
+    invalidKey: {
+      title: 'Clave de API no válida',
+      message: 'El servicio del tiempo rechazó la clave de API. Actualízala en Ajustes e inténtalo de nuevo.'
+    },
+    notFound: {
+      title: 'Ciudad no encontrada',
+      message: 'Revisa cómo está escrito el nombre de la ciudad en Ajustes.'
+    },
+    rateLimited: {
+      title: 'Demasiadas solicitudes',
+      message: 'El servicio del tiempo está limitando las solicitudes. Espera un minuto e inténtalo de nuevo.'
+    },
+    offline: {
+      title: 'Sin conexión',
+      message: 'Comprueba tu conexión e inténtalo de nuevo.'
+    },
+    timeout: {
+      title: 'Tiempo de espera agotado',
+      message: 'El servicio del tiempo tardó demasiado en responder. Inténtalo de nuevo.'
+    },
+    server: {
+      title: 'Servicio no disponible',
+      message: 'El servicio del tiempo tiene problemas. Inténtalo más tarde.'
+    },
+    unknown: {
+      title: 'Algo salió mal',
+      message: 'No pudimos cargar el tiempo. Inténtalo de nuevo.'
+    }
+  },
+
+  settings: {
+    title: 'Ajustes del tiempo',
+    savedLocations: 'Ubicaciones guardadas',
+    alreadySaved: '{name} ya está en tus ubicaciones',
+    added: '{name} se añadió a tus ubicaciones',
+    needOneLocation: 'Necesitas al menos una ubicación guardada',
+    useCurrentLocation: 'Usar mi ubicación actual',
+    refreshDistance: 'Actualizar al moverse al menos:',
+    metres: '{count} m',
+    kilometres: '{count} km',
+    popularCities: 'Ciudades populares',
+    popularCitiesHelp: 'Toca una ciudad para buscarla y elige el resultado correcto arriba',
+    appearance: 'Apariencia',
+    appearanceHelp: 'Sistema sigue el modo claro u oscuro de tu dispositivo.',
+    themeModes: {
+      system: 'Sistema',
+      light: 'Claro',
+      dark: 'Oscuro'
+    },
+    language: 'Idioma',
+    languageHelp: 'También se usa para las descripciones del tiempo, las fechas y los números.',
+    systemLanguage: 'Sistema',
+    units: 'Unidades',
+    unitTypes: {
+      temperatureUnit: 'Temperatura',
+      windUnit: 'Velocidad del viento',
+      pressureUnit: 'Presión',
+      distanceUnit: 'Distancia y visibilidad'
+    },
+    timeZone: 'Zona horaria',
+    showDeviceTime: 'Mostrar también la hora del dispositivo',
+    timeZoneHelp: 'Los días del pronóstico, el amanecer y el atardecer usan la hora local de cada ubicación. Actívalo para ver también tu hora cuando sea distinta.',
+    provider: 'Proveedor del tiempo',
+    noKeyNeeded: 'Este proveedor no necesita clave de API',
+    demoHelp: 'Tiempo grabado para Londres, Nueva York, Tokio y Sídney, sin red ni clave de API. Prueba un escenario:',
+    demoScenarios: {
+      recorded: 'Tal como se grabó',
+      storm: 'Tormenta',
+      heatwave: 'Ola de calor',
+      snow: 'Nieve',
+      slow: 'Respuestas lentas'
+    },
+    apiKey: 'Clave de API de OpenWeatherMap',
+    keyStatus: {
+      loading: 'Comprobando...',
+      missing: 'No hay clave guardada',
+      valid: 'Válida',
+      invalid: 'No válida',
+      quotaExceeded: 'Cuota superada'
+    },
+    removeKey: 'Eliminar',
+    removeKeyMessage: '¿Eliminar la clave de API guardada en este dispositivo? Tendrás que introducirla de nuevo para usar OpenWeatherMap.',
+    keyPlaceholder: 'Pega tu clave de API',
+    saveKey: 'Probar y guardar',
+    keyHelp: 'Consigue una clave gratis en openweathermap.org. Se guarda de forma segura en este dispositivo.',
+    enterKey: 'Introduce una clave de API',
+    invalidKeyTitle: 'Clave no válida',
+    invalidKeyMessage: 'OpenWeatherMap rechazó esta clave. Las claves nuevas pueden tardar un par de horas en activarse.',
+    keySaved: 'Clave de API guardada',
+    keySavedOverQuota: 'Clave de API guardada, pero ahora mismo ha superado su cuota de solicitudes',
+    keyCheckFailed: 'No se pudo comprobar la clave. Comprueba tu conexión e inténtalo de nuevo.',
+    offlineData: 'Datos sin conexión',
+    offlineDataHelp: 'Guardar el último tiempo descargado para usarlo sin conexión durante:',
+    hours: '{count} h',
+    days: '{count} d',
+    autoRefresh: 'Actualización automática',
+    autoRefreshHelp: 'Con la app abierta, y al volver a ella, actualizar el tiempo con más de:',
+    refreshOff: 'Nunca',
+    minutes: '{count} min',
+    backgroundRefresh: 'Actualizar en segundo plano',
+    backgroundRefreshHelp: 'Mantiene los datos sin conexión al día con la app cerrada. Tu dispositivo decide cuándo exactamente. Las reglas de alerta siempre se actualizan en segundo plano.',
+    history: 'Historial',
+    historyHelp: 'Guarda una lectura cada vez que se actualiza el tiempo, para ver tendencias en la pestaña Historial. Conservar lecturas durante:',
+    historyOff: 'Desactivado',
+    clearHistory: 'Borrar historial',
+    clearHistoryMessage: '¿Borrar las lecturas guardadas de todas las ubicaciones?',
+    clearHistoryConfirm: 'Borrar',
+    historyCleared: 'Historial borrado',
+    backup: 'Copia y transferencia',
+    backupHelp: 'Guarda tus ajustes, ciudades y reglas de alerta en un archivo, o cárgalos desde un archivo creado en otro dispositivo. Tu clave de API no se incluye.',
+    exportSettings: 'Exportar ajustes',
+    importSettings: 'Importar ajustes',
+    importConfirmMessage: '¿Sustituir tus ajustes, ciudades y reglas de alerta por los de este archivo?',
+    importConfirm: 'Sustituir',
+    exportUnavailable: 'No se pueden compartir archivos en este dispositivo.',
+    exportFailed: 'No se pudieron exportar tus ajustes.',
+    importDone: 'Ajustes importados',
+    importFailed: 'No se pudo leer el archivo.',
+    importInvalid: 'Este archivo no es una exportación de ajustes de Weather Dashboard.',
+    importNewerVersion: 'Estos ajustes son de una versión más reciente de la app. Actualiza la app e inténtalo de nuevo.',
+    about: 'Acerca de',
+    aboutText: 'Weather Dashboard v1.0\nCreado con React Native y Expo\nDatos de {provider}'
+  },
+
+  // Open-Meteo only sends WMO weather codes, so we describe them ourselves
+  weatherCodes: {
+    0: 'cielo despejado',
+    1: 'mayormente despejado',
+    2: 'parcialmente nublado',
+    3: 'cubierto',
+    45: 'niebla',
+    48: 'niebla con escarcha',
+    51: 'llovizna ligera',
+    53: 'llovizna',
+    55: 'llovizna densa',
+    56: 'llovizna helada',
+    57: 'llovizna helada densa',
+    61: 'lluvia ligera',
+    63: 'lluvia moderada',
+    65: 'lluvia intensa',
+    66: 'lluvia helada',
+    67: 'lluvia helada intensa',
+    71: 'nevada ligera',
+    73: 'nieve',
+    75: 'nevada intensa',
+    77: 'granos de nieve',
+    80: 'chubascos ligeros',
+    81: 'chubascos',
+    82: 'chubascos violentos',
+    85: 'chubascos de nieve',
+    86: 'chubascos de nieve intensos',
+    95: 'tormenta',
+    96: 'tormenta con granizo',
+    99: 'tormenta con granizo fuerte'
+  }
+};
+
+export default es;
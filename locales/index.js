@@ -0,0 +1,22 @@
+import en from './en';
+import es from './es';
+import ar from './ar';
+
+// Every language the app ships. id is the language code used for
+// translations, number and date formatting, and the weather APIs' lang
+// parameter; label is the language's own name, shown in Settings.
+export const LANGUAGES = [
+  { id: 'en', label: 'English', rtl: false, strings: en },
+  { id: 'es', label: 'Español', rtl: false, strings: es },
+  { id: 'ar', label: 'العربية', rtl: true, strings: ar }
+];
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// Find a language by id, falling back to English
+export const getLanguageInfo = (id) => {
+  return LANGUAGES.find(language => language.id === id) || LANGUAGES[0];
+};
+
+// The translated strings for a language
+export const getTranslations = (id) => getLanguageInfo(id).strings;
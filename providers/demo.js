@@ -0,0 +1,273 @@
+import { WeatherError, REQUEST_TIMEOUT } from '../utils/weatherErrors';
+import { hasCoordinates } from '../utils/locations';
+import { normalizeCurrent, normalizeForecast, normalizeAirQuality } from './openWeatherMap';
+import london from './fixtures/london.json';
+import newYork from './fixtures/new-york.json';
+import tokyo from './fixtures/tokyo.json';
+import sydney from './fixtures/sydney.json';
+
+// A provider that needs no API key or network: it serves OpenWeatherMap
+// /weather, /forecast and /air_pollution responses recorded in
+// providers/fixtures/, moved forward to today. Scenarios change the weather
+// or make requests fail, so every state of the screens can be seen (and
+// tested) offline. Condition descriptions are in English, as they were
+// recorded.
+
+// The recorded cities. Other places get the nearest one's weather
+const DEMO_CITIES = [
+  { name: 'London', state: 'England', country: 'GB', lat: 51.5073, lon: -0.1276, fixture: london },
+  { name: 'New York', state: 'New York', country: 'US', lat: 40.7128, lon: -74.006, fixture: newYork },
+  { name: 'Tokyo', state: null, country: 'JP', lat: 35.6895, lon: 139.6917, fixture: tokyo },
+  { name: 'Sydney', state: 'New South Wales', country: 'AU', lat: -33.8688, lon: 151.2093, fixture: sydney }
+];
+
+const HOUR = 60 * 60; // Seconds, like OpenWeatherMap's times
+const DAY = 24 * HOUR;
+const FORECAST_ITEMS = 40; // 5 days of 3-hour blocks
+
+// How long demo requests take, so loading states still show
+const RESPONSE_DELAY = 400;
+const SLOW_RESPONSE_DELAY = 6000; // Still under REQUEST_TIMEOUT
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Scenario changes, made to each block of a recorded response. period is
+// '1h' for current weather and '3h' for forecast blocks, as in the API
+
+// Change every temperature in a block's "main" with change(celsius)
+const changeTemperatures = (main, change) => {
+  ['temp', 'feels_like', 'temp_min', 'temp_max'].forEach(key => {
+    main[key] = Math.round(change(main[key]) * 100) / 100;
+  });
+};
+
+// Swap the condition, keeping whether it's day or night (e.g. '04n' -> '11n')
+const setCondition = (block, id, main, description, icon) => {
+  const dayOrNight = block.weather[0].icon.slice(-1);
+  block.weather = [{ id, main, description, icon: `${icon}${dayOrNight}` }];
+};
+
+const toStorm = (block, period) => {
+  setCondition(block, 211, 'Thunderstorm', 'thunderstorm', '11');
+  block.main.pressure -= 18;
+  block.main.humidity = 94;
+  block.wind.speed = Math.round((block.wind.speed * 2 + 9) * 10) / 10;
+  block.wind.gust = Math.round(block.wind.speed * 18) / 10;
+  block.clouds.all = 100;
+  block.visibility = 2500;
+  block.rain = { [period]: period === '1h' ? 4.2 : 9.6 };
+  if ('pop' in block) {
+    block.pop = 0.95;
+  }
+};
+
+const toHeatwave = (block) => {
+  setCondition(block, 800, 'Clear', 'clear sky', '01');
+  changeTemperatures(block.main, celsius => celsius + 20);
+  block.main.feels_like += 2;
+  block.main.humidity = 24;
+  block.clouds.all = 0;
+  block.visibility = 10000;
+  delete block.rain;
+  delete block.snow;
+  if ('pop' in block) {
+    block.pop = 0;
+  }
+};
+
+const toSnow = (block, period) => {
+  setCondition(block, 601, 'Snow', 'snow', '13');
+  changeTemperatures(block.main, celsius => Math.min(celsius - 12, -1));
+  block.main.feels_like -= 4;
+  block.main.humidity = 90;
+  block.clouds.all = 100;
+  block.visibility = 1500;
+  block.snow = { [period]: period === '1h' ? 0.8 : 1.9 };
+  delete block.rain;
+  if ('pop' in block) {
+    block.pop = 0.85;
+  }
+};
+
+// Changes to each entry of a recorded air pollution response
+
+// Rain washes the air clean
+const toStormAir = (entry) => {
+  Object.keys(entry.components).forEach(key => {
+    entry.components[key] = Math.round(entry.components[key] * 40) / 100;
+  });
+  entry.main.aqi = 1;
+};
+
+// Heat and sunshine build up ozone
+const toHeatwaveAir = (entry) => {
+  entry.components.o3 = Math.round(entry.components.o3 * 2 + 140);
+  entry.main.aqi = Math.max(entry.main.aqi, 4);
+};
+
+// The scenarios to pick from in Settings (labels are in locales/). Each one
+// changes the recorded weather (change) and air quality (changeAir), answers
+// slowly (delay) or fails the way the real API would (error, one of the
+// types in utils/weatherErrors.js)
+export const DEMO_SCENARIOS = [
+  { id: 'recorded' },
+  { id: 'storm', change: toStorm, changeAir: toStormAir },
+  { id: 'heatwave', change: toHeatwave, changeAir: toHeatwaveAir },
+  { id: 'snow', change: toSnow },
+  { id: 'slow', delay: SLOW_RESPONSE_DELAY },
+  { id: 'offline', error: 'offline' },
+  { id: 'timeout', error: 'timeout' },
+  { id: 'invalidKey', error: 'invalidKey' },
+  { id: 'rateLimited', error: 'rateLimited' },
+  { id: 'server', error: 'server' }
+];
+
+export const DEFAULT_DEMO_SCENARIO = 'recorded';
+
+const getScenario = (id) => {
+  return DEMO_SCENARIOS.find(scenario => scenario.id === id) || DEMO_SCENARIOS[0];
+};
+
+// EXPO_PUBLIC_DEMO_MODE starts the app in demo mode, e.g. for UI tests:
+//   EXPO_PUBLIC_DEMO_MODE=1       (the recorded weather)
+//   EXPO_PUBLIC_DEMO_MODE=storm   (any scenario id above)
+// This is the { provider, demoScenario } it asks for, used in place of the
+// saved ones (which it never changes), or null when it isn't set
+const getEnvDemoMode = (value) => {
+  if (!value) {
+    return null;
+  }
+  const demoScenario = DEMO_SCENARIOS.some(scenario => scenario.id === value) ? value : DEFAULT_DEMO_SCENARIO;
+  return { provider: 'demo', demoScenario };
+};
+
+export const envDemoMode = getEnvDemoMode(process.env.EXPO_PUBLIC_DEMO_MODE);
+
+// Fail like axios does, so classifyError treats it like a real failure
+const createRequestError = async (type) => {
+  if (type === 'offline') {
+    return Object.assign(new Error('Network Error'), { request: {} });
+  }
+  if (type === 'timeout') {
+    await wait(REQUEST_TIMEOUT);
+    return Object.assign(new Error(`timeout of ${REQUEST_TIMEOUT}ms exceeded`), { code: 'ECONNABORTED' });
+  }
+  const status = { invalidKey: 401, rateLimited: 429, server: 503 }[type];
+  await wait(RESPONSE_DELAY);
+  return Object.assign(new Error(`Request failed with status code ${status}`), { response: { status } });
+};
+
+// The recorded city nearest to a position
+const findNearestCity = ({ lat, lon }) => {
+  const distance = (city) => (city.lat - lat) ** 2 + (city.lon - lon) ** 2;
+  return DEMO_CITIES.reduce((nearest, city) => (distance(city) < distance(nearest) ? city : nearest));
+};
+
+// Find the recorded city for a location: by name for locations saved
+// without coordinates, otherwise the nearest one
+const findDemoCity = (location) => {
+  if (!hasCoordinates(location)) {
+    const city = DEMO_CITIES.find(demo => demo.name.toLowerCase() === location.name.toLowerCase());
+    if (!city) {
+      throw new WeatherError('notFound', `No demo weather for ${location.name}`);
+    }
+    return city;
+  }
+  return findNearestCity(location);
+};
+
+// Copy a city's recorded responses. They're moved forward by whole days so
+// forecasts start now and the times of day still match the weather
+const copyFixture = (city, now) => {
+  const fixture = JSON.parse(JSON.stringify(city.fixture));
+  const nowSeconds = Math.floor(now / 1000);
+  const shift = Math.round((nowSeconds - fixture.weather.dt) / DAY) * DAY;
+  return { ...fixture, nowSeconds, shift };
+};
+
+// The recorded weather for a location, as if it had just been fetched
+const replayFixture = (city, location, now) => {
+  const { weather, forecast, nowSeconds, shift } = copyFixture(city, now);
+
+  weather.dt = nowSeconds;
+  weather.sys.sunrise += shift;
+  weather.sys.sunset += shift;
+  forecast.list = forecast.list
+    .map(item => ({ ...item, dt: item.dt + shift }))
+    .filter(item => item.dt > nowSeconds - 3 * HOUR)
+    .slice(0, FORECAST_ITEMS);
+
+  // Show it under the location's own name and position
+  if (hasCoordinates(location)) {
+    weather.name = location.name;
+    weather.coord = { lat: location.lat, lon: location.lon };
+    forecast.city = { ...forecast.city, name: location.name, coord: weather.coord };
+  }
+  return { weather, forecast };
+};
+
+// Serve the recorded weather for a location, changed by the scenario
+// (settings.demoScenario)
+const fetchWeather = async (location, { scenario: scenarioId }) => {
+  const scenario = getScenario(scenarioId);
+  if (scenario.error) {
+    throw await createRequestError(scenario.error);
+  }
+
+  await wait(scenario.delay || RESPONSE_DELAY);
+  const { weather, forecast } = replayFixture(findDemoCity(location), location, Date.now());
+
+  if (scenario.change) {
+    scenario.change(weather, '1h');
+    forecast.list.forEach(item => scenario.change(item, '3h'));
+  }
+
+  return {
+    current: normalizeCurrent(weather),
+    forecast: normalizeForecast(forecast)
+  };
+};
+
+// Serve the recorded air quality nearest a position, changed by the scenario
+const fetchAirQuality = async (position, { scenario: scenarioId }) => {
+  const scenario = getScenario(scenarioId);
+  if (scenario.error) {
+    throw await createRequestError(scenario.error);
+  }
+
+  await wait(scenario.delay || RESPONSE_DELAY);
+  const { airPollution, airPollutionForecast, nowSeconds, shift } = copyFixture(
+    findNearestCity(position),
+    Date.now()
+  );
+  airPollution.list[0].dt = nowSeconds;
+  airPollutionForecast.list = airPollutionForecast.list
+    .map(entry => ({ ...entry, dt: entry.dt + shift }))
+    .filter(entry => entry.dt > nowSeconds - HOUR);
+
+  if (scenario.changeAir) {
+    [...airPollution.list, ...airPollutionForecast.list].forEach(scenario.changeAir);
+  }
+
+  return normalizeAirQuality(airPollution, airPollutionForecast);
+};
+
+// Search the recorded cities
+const searchLocations = async (query) => {
+  await wait(RESPONSE_DELAY);
+  const search = query.toLowerCase();
+  return DEMO_CITIES
+    .filter(city => city.name.toLowerCase().includes(search))
+    .map(({ name, state, country, lat, lon }) => ({ name, state, country, lat, lon }));
+};
+
+const demo = {
+  id: 'demo',
+  name: 'Demo',
+  requiresApiKey: false,
+  fetchWeather,
+  fetchAirQuality,
+  searchLocations
+};
+
+export default demo;
@@ -0,0 +1,49 @@
+import openWeatherMap from './openWeatherMap';
+import openMeteo from './openMeteo';
+import demo from './demo';
+
+// Every weather provider maps its own API onto the same model, so the
+// screens never need to know which one is in use.
+//
+// A provider looks like:
+// {
+//   id: 'openweathermap',       // Stored in settings.provider
+//   name: 'OpenWeatherMap',     // Shown in Settings
+//   requiresApiKey: true,
+//   fetchWeather: async (location, { apiKey, lang, scenario }) => ({ current, forecast }),
+//   fetchAirQuality: async ({ lat, lon }, { apiKey, scenario }) => airQuality, // Optional
+//   searchLocations: async (query, { apiKey }) => [{ name, state, country, lat, lon }],
+//   validateApiKey: async (apiKey) => 'valid' | 'invalid' | 'quotaExceeded' // With requiresApiKey
+// }
+//
+// current:  { location, time, temp, feelsLike, tempMin, tempMax, humidity,
+//             pressure, windSpeed, windDeg, windGust, visibility, clouds,
+//             rain, snow, condition, sunrise, sunset }
+// forecast: { location, items: [{ time, temp, feelsLike, tempMin, tempMax,
+//             humidity, pressure, windSpeed, windDeg, windGust, visibility,
+//             clouds, pop, rain, snow, condition }] }
+//
+// location is { name, country, lat, lon, timezoneOffset } and condition is
+// { main, description, icon }, with the description in the language
+// given as lang (e.g. 'es'). Times are in milliseconds, and any field
+// the provider doesn't supply is null. Values are always in metric units
+// (°C, m/s, hPa, metres, mm) - see utils/units.js. scenario is only used
+// by the demo provider (see providers/demo.js). Providers without
+// fetchAirQuality don't show air quality; its shape is in utils/airQuality.js.
+export const PROVIDERS = [openWeatherMap, openMeteo, demo];
+
+export const DEFAULT_PROVIDER_ID = openWeatherMap.id;
+
+// Find a provider by id, falling back to the default one
+export const getProvider = (id) => {
+  return PROVIDERS.find(provider => provider.id === id) || openWeatherMap;
+};
+
+// Check an API key before saving it. Only OpenWeatherMap needs a key,
+// so that's the provider the key in Settings belongs to
+export const validateApiKey = (apiKey) => openWeatherMap.validateApiKey(apiKey);
+
+// Condition icons use OpenWeatherMap's icon codes (e.g. '10d') for every provider
+export const getIconUrl = (icon, size = '2x') => {
+  return `https://openweathermap.org/img/wn/${icon}@${size}.png`;
+};
@@ -0,0 +1,250 @@
+import axios from 'axios';
+import { WeatherError, REQUEST_TIMEOUT } from '../utils/weatherErrors';
+import { hasCoordinates } from '../utils/locations';
+import { getTranslations } from '../locales';
+
+const GEOCODING_URL = 'https://geocoding-api.open-meteo.com/v1/search';
+const FORECAST_URL = 'https://api.open-meteo.com/v1/forecast';
+
+// Open-Meteo gives hourly data; we group it into 3-hour blocks to match
+// the other providers, and keep 5 days of them
+const HOURS_PER_ITEM = 3;
+const MAX_ITEMS = 40;
+
+const CURRENT_FIELDS = [
+  'temperature_2m',
+  'relative_humidity_2m',
+  'apparent_temperature',
+  'is_day',
+  'rain',
+  'snowfall',
+  'weather_code',
+  'cloud_cover',
+  'pressure_msl',
+  'wind_speed_10m',
+  'wind_direction_10m',
+  'wind_gusts_10m'
+];
+
+const HOURLY_FIELDS = [
+  'temperature_2m',
+  'relative_humidity_2m',
+  'apparent_temperature',
+  'is_day',
+  'precipitation_probability',
+  'rain',
+  'snowfall',
+  'weather_code',
+  'cloud_cover',
+  'pressure_msl',
+  'visibility',
+  'wind_speed_10m',
+  'wind_direction_10m',
+  'wind_gusts_10m'
+];
+
+const DAILY_FIELDS = [
+  'temperature_2m_max',
+  'temperature_2m_min',
+  'sunrise',
+  'sunset'
+];
+
+// WMO weather codes, mapped to a condition and the matching
+// OpenWeatherMap icon so every provider can share the same icon set
+const WEATHER_CODES = {
+  0: { main: 'Clear', description: 'clear sky', icon: '01' },
+  1: { main: 'Clouds', description: 'mainly clear', icon: '02' },
+  2: { main: 'Clouds', description: 'partly cloudy', icon: '03' },
+  3: { main: 'Clouds', description: 'overcast', icon: '04' },
+  45: { main: 'Fog', description: 'fog', icon: '50' },
+  48: { main: 'Fog', description: 'depositing rime fog', icon: '50' },
+  51: { main: 'Drizzle', description: 'light drizzle', icon: '09' },
+  53: { main: 'Drizzle', description: 'drizzle', icon: '09' },
+  55: { main: 'Drizzle', description: 'dense drizzle', icon: '09' },
+  56: { main: 'Drizzle', description: 'freezing drizzle', icon: '09' },
+  57: { main: 'Drizzle', description: 'dense freezing drizzle', icon: '09' },
+  61: { main: 'Rain', description: 'light rain', icon: '10' },
+  63: { main: 'Rain', description: 'moderate rain', icon: '10' },
+  65: { main: 'Rain', description: 'heavy rain', icon: '10' },
+  66: { main: 'Rain', description: 'freezing rain', icon: '13' },
+  67: { main: 'Rain', description: 'heavy freezing rain', icon: '13' },
+  71: { main: 'Snow', description: 'light snow', icon: '13' },
+  73: { main: 'Snow', description: 'snow', icon: '13' },
+  75: { main: 'Snow', description: 'heavy snow', icon: '13' },
+  77: { main: 'Snow', description: 'snow grains', icon: '13' },
+  80: { main: 'Rain', description: 'light rain showers', icon: '09' },
+  81: { main: 'Rain', description: 'rain showers', icon: '09' },
+  82: { main: 'Rain', description: 'violent rain showers', icon: '09' },
+  85: { main: 'Snow', description: 'snow showers', icon: '13' },
+  86: { main: 'Snow', description: 'heavy snow showers', icon: '13' },
+  95: { main: 'Thunderstorm', description: 'thunderstorm', icon: '11' },
+  96: { main: 'Thunderstorm', description: 'thunderstorm with hail', icon: '11' },
+  99: { main: 'Thunderstorm', description: 'thunderstorm with heavy hail', icon: '11' }
+};
+
+// Turn a WMO code into our condition model. Open-Meteo doesn't send
+// descriptions, so other languages use the weatherCodes in locales/
+const normalizeCondition = (code, isDay, lang) => {
+  const condition = WEATHER_CODES[code];
+  if (!condition) {
+    return { main: 'Unknown', description: 'Unknown', icon: null };
+  }
+
+  const translated = getTranslations(lang).weatherCodes || {};
+  return {
+    main: condition.main,
+    description: translated[code] || condition.description,
+    icon: `${condition.icon}${isDay ? 'd' : 'n'}`
+  };
+};
+
+// Open-Meteo reports snowfall in cm, the other providers use mm
+const snowfallToMm = (cm) => (cm === null || cm === undefined ? null : cm * 10);
+
+// Search for places with Open-Meteo's geocoding API
+const searchLocations = async (query, options, count = 5) => {
+  const response = await axios.get(GEOCODING_URL, {
+    params: { name: query, count, format: 'json' },
+    timeout: REQUEST_TIMEOUT
+  });
+
+  return (response.data.results || []).map(place => ({
+    name: place.name,
+    state: place.admin1 || null,
+    country: place.country_code,
+    lat: place.latitude,
+    lon: place.longitude
+  }));
+};
+
+// Work out where a saved location is (older saves only have a name)
+const resolveLocation = async (location) => {
+  if (hasCoordinates(location)) {
+    return location;
+  }
+
+  const results = await searchLocations(location.name, {}, 1);
+  if (results.length === 0) {
+    throw new WeatherError('notFound', `Could not find a location called ${location.name}`);
+  }
+
+  return results[0];
+};
+
+// Build the 3-hour forecast blocks from Open-Meteo's hourly arrays
+const buildForecastItems = (hourly, now, lang) => {
+  const items = [];
+
+  for (let i = 0; i < hourly.time.length && items.length < MAX_ITEMS; i++) {
+    const time = hourly.time[i] * 1000;
+    const hour = new Date(time).getUTCHours();
+
+    // Start each block on a UTC hour divisible by 3, like OpenWeatherMap
+    if (time < now || hour % HOURS_PER_ITEM !== 0) {
+      continue;
+    }
+
+    // Every hour that falls inside this block
+    const block = [];
+    for (let j = i; j < i + HOURS_PER_ITEM && j < hourly.time.length; j++) {
+      block.push(j);
+    }
+    const sum = (field) => block.reduce((total, j) => total + (hourly[field][j] || 0), 0);
+    const temps = block.map(j => hourly.temperature_2m[j]);
+
+    items.push({
+      time,
+      temp: hourly.temperature_2m[i],
+      feelsLike: hourly.apparent_temperature[i],
+      tempMin: Math.min(...temps),
+      tempMax: Math.max(...temps),
+      humidity: hourly.relative_humidity_2m[i],
+      pressure: hourly.pressure_msl[i],
+      windSpeed: hourly.wind_speed_10m[i],
+      windDeg: hourly.wind_direction_10m[i],
+      windGust: hourly.wind_gusts_10m[i],
+      visibility: hourly.visibility[i],
+      clouds: hourly.cloud_cover[i],
+      pop: Math.max(...block.map(j => hourly.precipitation_probability[j] || 0)) / 100,
+      rain: sum('rain'),
+      snow: snowfallToMm(sum('snowfall')),
+      condition: normalizeCondition(hourly.weather_code[i], hourly.is_day[i], lang)
+    });
+  }
+
+  return items;
+};
+
+// Fetch current weather and a 5-day / 3-hour forecast for a location
+const fetchWeather = async (savedLocation, { lang }) => {
+  const place = await resolveLocation(savedLocation);
+
+  const response = await axios.get(FORECAST_URL, {
+    params: {
+      latitude: place.lat,
+      longitude: place.lon,
+      current: CURRENT_FIELDS.join(','),
+      hourly: HOURLY_FIELDS.join(','),
+      daily: DAILY_FIELDS.join(','),
+      forecast_days: 6,
+      timezone: 'auto',
+      timeformat: 'unixtime',
+      // Always °C and m/s, converted for display on the device
+      temperature_unit: 'celsius',
+      wind_speed_unit: 'ms'
+    },
+    timeout: REQUEST_TIMEOUT
+  });
+
+  const data = response.data;
+  const location = {
+    name: place.name,
+    country: place.country,
+    lat: place.lat,
+    lon: place.lon,
+    timezoneOffset: data.utc_offset_seconds
+  };
+
+  // Current conditions don't include visibility, so borrow it from this hour
+  const currentHour = data.hourly.time.findIndex(time => time >= data.current.time);
+
+  const current = {
+    location,
+    time: data.current.time * 1000,
+    temp: data.current.temperature_2m,
+    feelsLike: data.current.apparent_temperature,
+    tempMin: data.daily.temperature_2m_min[0],
+    tempMax: data.daily.temperature_2m_max[0],
+    humidity: data.current.relative_humidity_2m,
+    pressure: data.current.pressure_msl,
+    windSpeed: data.current.wind_speed_10m,
+    windDeg: data.current.wind_direction_10m,
+    windGust: data.current.wind_gusts_10m,
+    visibility: currentHour >= 0 ? data.hourly.visibility[currentHour] : null,
+    clouds: data.current.cloud_cover,
+    rain: data.current.rain,
+    snow: snowfallToMm(data.current.snowfall),
+    condition: normalizeCondition(data.current.weather_code, data.current.is_day, lang),
+    sunrise: data.daily.sunrise[0] * 1000,
+    sunset: data.daily.sunset[0] * 1000
+  };
+
+  return {
+    current,
+    forecast: {
+      location,
+      items: buildForecastItems(data.hourly, Date.now(), lang)
+    }
+  };
+};
+
+const openMeteo = {
+  id: 'openmeteo',
+  name: 'Open-Meteo',
+  requiresApiKey: false,
+  fetchWeather,
+  searchLocations
+};
+
+export default openMeteo;
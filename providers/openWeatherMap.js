@@ -0,0 +1,191 @@
+import axios from 'axios';
+import { REQUEST_TIMEOUT } from '../utils/weatherErrors';
+import { hasCoordinates } from '../utils/locations';
+import { CANONICAL_UNITS } from '../utils/units';
+
+const BASE_URL = 'https://api.openweathermap.org/data/2.5';
+const GEOCODING_URL = 'https://api.openweathermap.org/geo/1.0/direct';
+
+// Return a value only if the API actually sent it, so the screens can
+// tell "0" apart from "missing"
+const valueOrNull = (value) => (value === undefined ? null : value);
+
+// Map OpenWeatherMap's "weather" array onto our condition model
+const normalizeCondition = (weather) => {
+  const first = weather && weather[0];
+  return {
+    main: first ? first.main : 'Unknown',
+    description: first ? first.description : 'Unknown',
+    icon: first ? first.icon : null
+  };
+};
+
+// Map the /weather response onto our current-conditions model
+// (also used by the demo provider, which serves recorded responses)
+export const normalizeCurrent = (data) => ({
+  location: {
+    name: data.name,
+    country: data.sys.country,
+    lat: data.coord.lat,
+    lon: data.coord.lon,
+    timezoneOffset: data.timezone // Seconds from UTC
+  },
+  time: data.dt * 1000,
+  temp: data.main.temp,
+  feelsLike: data.main.feels_like,
+  tempMin: data.main.temp_min,
+  tempMax: data.main.temp_max,
+  humidity: data.main.humidity,
+  pressure: data.main.pressure,
+  windSpeed: data.wind.speed,
+  windDeg: valueOrNull(data.wind.deg),
+  windGust: valueOrNull(data.wind.gust),
+  visibility: valueOrNull(data.visibility),
+  clouds: data.clouds ? data.clouds.all : null,
+  rain: data.rain ? valueOrNull(data.rain['1h']) : null,
+  snow: data.snow ? valueOrNull(data.snow['1h']) : null,
+  condition: normalizeCondition(data.weather),
+  sunrise: data.sys.sunrise * 1000,
+  sunset: data.sys.sunset * 1000
+});
+
+// Map one 3-hour block of the /forecast response onto our forecast model
+const normalizeForecastItem = (item) => ({
+  time: item.dt * 1000,
+  temp: item.main.temp,
+  feelsLike: item.main.feels_like,
+  tempMin: item.main.temp_min,
+  tempMax: item.main.temp_max,
+  humidity: item.main.humidity,
+  pressure: item.main.pressure,
+  windSpeed: item.wind.speed,
+  windDeg: valueOrNull(item.wind.deg),
+  windGust: valueOrNull(item.wind.gust),
+  visibility: valueOrNull(item.visibility),
+  clouds: item.clouds ? item.clouds.all : null,
+  pop: valueOrNull(item.pop), // Probability of precipitation, 0 to 1
+  rain: item.rain ? valueOrNull(item.rain['3h']) : null,
+  snow: item.snow ? valueOrNull(item.snow['3h']) : null,
+  condition: normalizeCondition(item.weather)
+});
+
+// Map one entry of an /air_pollution response onto our air quality model
+const normalizeAirQualityItem = (item) => ({
+  time: item.dt * 1000,
+  aqi: item.main.aqi,
+  pm2_5: valueOrNull(item.components.pm2_5),
+  pm10: valueOrNull(item.components.pm10),
+  o3: valueOrNull(item.components.o3),
+  no2: valueOrNull(item.components.no2)
+});
+
+// Map the /air_pollution and /air_pollution/forecast responses
+// (also used by the demo provider)
+export const normalizeAirQuality = (currentData, forecastData) => ({
+  current: normalizeAirQualityItem(currentData.list[0]),
+  forecast: forecastData.list.map(normalizeAirQualityItem)
+});
+
+// Map the /forecast response onto our forecast model
+export const normalizeForecast = (data) => ({
+  location: {
+    name: data.city.name,
+    country: data.city.country,
+    lat: data.city.coord.lat,
+    lon: data.city.coord.lon,
+    timezoneOffset: data.city.timezone
+  },
+  items: data.list.map(normalizeForecastItem)
+});
+
+// Fetch current weather and the 5-day / 3-hour forecast for a location
+const fetchWeather = async (location, { apiKey, lang }) => {
+  // Query by coordinates when we have them, otherwise by name
+  const place = hasCoordinates(location)
+    ? { lat: location.lat, lon: location.lon }
+    : { q: location.name };
+  const params = {
+    ...place,
+    units: CANONICAL_UNITS, // Converted for display on the device
+    lang, // Language for the condition descriptions
+    appid: apiKey
+  };
+
+  // Get current weather using axios
+  // With axios, we don't need to check response.ok or call .json()
+  const weatherResponse = await axios.get(`${BASE_URL}/weather`, {
+    params,
+    timeout: REQUEST_TIMEOUT
+  });
+
+  // Get forecast data (5 days, every 3 hours)
+  const forecastResponse = await axios.get(`${BASE_URL}/forecast`, {
+    params,
+    timeout: REQUEST_TIMEOUT
+  });
+
+  return {
+    current: normalizeCurrent(weatherResponse.data),
+    forecast: normalizeForecast(forecastResponse.data)
+  };
+};
+
+// Fetch the air quality now and the hourly forecast for a position
+const fetchAirQuality = async ({ lat, lon }, { apiKey }) => {
+  const params = { lat, lon, appid: apiKey };
+
+  const [currentResponse, forecastResponse] = await Promise.all([
+    axios.get(`${BASE_URL}/air_pollution`, { params, timeout: REQUEST_TIMEOUT }),
+    axios.get(`${BASE_URL}/air_pollution/forecast`, { params, timeout: REQUEST_TIMEOUT })
+  ]);
+
+  return normalizeAirQuality(currentResponse.data, forecastResponse.data);
+};
+
+// Search for places matching what the user typed, for the location picker
+const searchLocations = async (query, { apiKey }) => {
+  const response = await axios.get(GEOCODING_URL, {
+    params: { q: query, limit: 5, appid: apiKey },
+    timeout: REQUEST_TIMEOUT
+  });
+
+  return response.data.map(place => ({
+    name: place.name,
+    state: place.state || null,
+    country: place.country,
+    lat: place.lat,
+    lon: place.lon
+  }));
+};
+
+// Check an API key with a small test request
+// Returns 'valid', 'invalid' or 'quotaExceeded'; other failures are thrown
+const validateApiKey = async (apiKey) => {
+  try {
+    await axios.get(`${BASE_URL}/weather`, {
+      params: { q: 'London', appid: apiKey },
+      timeout: REQUEST_TIMEOUT
+    });
+    return 'valid';
+  } catch (error) {
+    if (error.response && error.response.status === 401) {
+      return 'invalid';
+    }
+    if (error.response && error.response.status === 429) {
+      return 'quotaExceeded';
+    }
+    throw error;
+  }
+};
+
+const openWeatherMap = {
+  id: 'openweathermap',
+  name: 'OpenWeatherMap',
+  requiresApiKey: true,
+  fetchWeather,
+  fetchAirQuality,
+  searchLocations,
+  validateApiKey
+};
+
+export default openWeatherMap;
@@ -0,0 +1,308 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TextInput,
+  TouchableOpacity,
+  Switch,
+  Alert,
+  ScrollView,
+  Platform
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import {
+  ALERT_METRICS,
+  ALERT_COMPARISONS,
+  ALERT_WINDOWS,
+  createRule,
+  describeRule
+} from '../utils/alertRules';
+import { requestNotificationPermission } from '../utils/weatherAlerts';
+import { useTheme, useThemedStyles } from '../utils/theme';
+import { useTranslation } from '../utils/i18n';
+import { useAlertRules, useDisplaySettings } from '../utils/weatherStore';
+
+// Notifications only work in the iOS and Android apps
+const notificationsSupported = Platform.OS !== 'web';
+
+const AlertRulesScreen = () => {
+  const [alertRules, setAlertRules] = useAlertRules();
+  const settings = useDisplaySettings();
+  // The rule being put together in the "New rule" form
+  const [metric, setMetric] = useState('pop');
+  const [comparison, setComparison] = useState('above');
+  const [thresholdInput, setThresholdInput] = useState('');
+  const [timeWindow, setTimeWindow] = useState('next24h');
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+
+  // The unit the threshold is typed in, e.g. "%" or "°C"
+  const { unitSetting, symbol } = ALERT_METRICS[metric];
+  const thresholdUnit = symbol(unitSetting ? settings[unitSetting] : null);
+
+  // Function to add the rule from the form
+  const addRule = async () => {
+    // Accept "0,5" as well as "0.5"
+    const threshold = parseFloat(thresholdInput.replace(',', '.'));
+    if (Number.isNaN(threshold)) {
+      Alert.alert(t('common.error'), t('alerts.invalidThreshold'));
+      return;
+    }
+
+    setAlertRules([...alertRules, createRule({ metric, comparison, threshold, window: timeWindow }, settings)]);
+    setThresholdInput('');
+
+    // Rules are still saved without permission, in case it's allowed later
+    const granted = await requestNotificationPermission();
+    if (!granted && notificationsSupported) {
+      Alert.alert(t('alerts.permissionTitle'), t('alerts.permissionMessage'));
+    }
+  };
+
+  // Function to switch a rule on or off
+  const toggleRule = (id) => {
+    setAlertRules(alertRules.map(rule => (
+      rule.id === id ? { ...rule, enabled: !rule.enabled } : rule
+    )));
+  };
+
+  // Function to delete a rule
+  const removeRule = (id) => {
+    setAlertRules(alertRules.filter(rule => rule.id !== id));
+  };
+
+  // A row of chips for one part of the form
+  const renderChoices = (label, options, selected, onSelect, getLabel) => (
+    <View style={styles.choiceGroup}>
+      <Text style={styles.choiceLabel}>{label}</Text>
+      <View style={styles.chipsContainer}>
+        {options.map(option => (
+          <TouchableOpacity
+            key={option}
+            style={[styles.chip, option === selected && styles.activeChip]}
+            onPress={() => onSelect(option)}
+          >
+            <Text style={[styles.chipText, option === selected && styles.activeChipText]}>
+              {getLabel(option)}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+    </View>
+  );
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.scrollContent}>
+      {!notificationsSupported && (
+        <View style={styles.warning}>
+          <Text style={styles.warningText}>{t('alerts.unsupported')}</Text>
+        </View>
+      )}
+
+      {/* Saved rules */}
+      <View style={styles.card}>
+        <Text style={styles.sectionTitle}>{t('alerts.rules')}</Text>
+        <Text style={styles.helpText}>{t('alerts.help')}</Text>
+        {alertRules.length === 0 && (
+          <Text style={styles.emptyText}>{t('alerts.noRules')}</Text>
+        )}
+        {alertRules.map(rule => (
+          <View key={rule.id} style={styles.ruleRow}>
+            <Text style={[styles.ruleText, !rule.enabled && styles.disabledRuleText]}>
+              {describeRule(rule, t)}
+            </Text>
+            <Switch
+              trackColor={{ false: colors.placeholder, true: colors.primary }}
+              thumbColor={colors.onPrimary}
+              ios_backgroundColor={colors.placeholder}
+              onValueChange={() => toggleRule(rule.id)}
+              value={rule.enabled}
+            />
+            <TouchableOpacity
+              style={styles.iconButton}
+              onPress={() => removeRule(rule.id)}
+            >
+              <Ionicons name="trash-outline" size={20} color={colors.danger} />
+            </TouchableOpacity>
+          </View>
+        ))}
+      </View>
+
+      {/* New rule form */}
+      <View style={styles.card}>
+        <Text style={styles.sectionTitle}>{t('alerts.newRule')}</Text>
+        {renderChoices(
+          t('alerts.metric'),
+          Object.keys(ALERT_METRICS),
+          metric,
+          setMetric,
+          option => t(`alerts.metrics.${option}`)
+        )}
+        {renderChoices(
+          t('alerts.comparison'),
+          ALERT_COMPARISONS,
+          comparison,
+          setComparison,
+          option => t(`alerts.comparisons.${option}`)
+        )}
+        <Text style={styles.choiceLabel}>{t('alerts.threshold')}</Text>
+        <View style={styles.thresholdRow}>
+          <TextInput
+            style={styles.input}
+            value={thresholdInput}
+            onChangeText={setThresholdInput}
+            placeholder="0"
+            placeholderTextColor={colors.placeholder}
+            keyboardType="numbers-and-punctuation"
+          />
+          <Text style={styles.thresholdUnit}>{thresholdUnit}</Text>
+        </View>
+        {renderChoices(
+          t('alerts.window'),
+          ALERT_WINDOWS,
+          timeWindow,
+          setTimeWindow,
+          option => t(`alerts.windowOptions.${option}`)
+        )}
+        <TouchableOpacity style={styles.button} onPress={addRule}>
+          <Text style={styles.buttonText}>{t('alerts.addRule')}</Text>
+        </TouchableOpacity>
+      </View>
+    </ScrollView>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  scrollContent: {
+    padding: 16,
+  },
+  card: {
+    backgroundColor: colors.card,
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+    shadowColor: colors.shadow,
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.2,
+    shadowRadius: 1.5,
+    elevation: 2,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: colors.text,
+    marginBottom: 12,
+  },
+  helpText: {
+    fontSize: 14,
+    color: colors.textMuted,
+    marginBottom: 8,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: colors.textMuted,
+    fontStyle: 'italic',
+    paddingVertical: 8,
+  },
+  warning: {
+    backgroundColor: colors.warningBackground,
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 16,
+  },
+  warningText: {
+    fontSize: 14,
+    color: colors.warningText,
+  },
+  ruleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.divider,
+  },
+  ruleText: {
+    flex: 1,
+    fontSize: 16,
+    color: colors.text,
+    marginRight: 8,
+  },
+  disabledRuleText: {
+    color: colors.textMuted,
+  },
+  iconButton: {
+    padding: 6,
+    marginLeft: 4,
+  },
+  choiceGroup: {
+    marginBottom: 8,
+  },
+  choiceLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.textSecondary,
+    marginBottom: 8,
+  },
+  chipsContainer: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    backgroundColor: colors.subtle,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 20,
+    margin: 4,
+  },
+  chipText: {
+    fontSize: 14,
+    color: colors.textSecondary,
+  },
+  activeChip: {
+    backgroundColor: colors.primary,
+  },
+  activeChipText: {
+    color: colors.onPrimary,
+    fontWeight: 'bold',
+  },
+  thresholdRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  input: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    color: colors.text,
+  },
+  thresholdUnit: {
+    fontSize: 16,
+    color: colors.textSecondary,
+    marginLeft: 8,
+    minWidth: 40,
+  },
+  button: {
+    backgroundColor: colors.primary,
+    padding: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  buttonText: {
+    color: colors.onPrimary,
+    fontSize: 16,
+    fontWeight: 'bold',
+  }
+});
+
+export default AlertRulesScreen;
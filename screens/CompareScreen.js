@@ -0,0 +1,483 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Image,
+  ActivityIndicator,
+  ScrollView,
+  TouchableOpacity,
+  Alert,
+  SafeAreaView
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import LocationSearch from '../components/LocationSearch';
+import { getIconUrl } from '../providers';
+import { createLocation, getDisplayName } from '../utils/locations';
+import { formatLocationDate } from '../utils/time';
+import {
+  formatTemperature,
+  formatWindSpeed,
+  formatPrecipitation
+} from '../utils/units';
+import { useTheme, useThemedStyles } from '../utils/theme';
+import { useTranslation, formatPercent } from '../utils/i18n';
+import { MIN_COMPARE, MAX_COMPARE, getLeaders, alignDailyForecasts } from '../utils/compare';
+import {
+  refreshWeather,
+  useApiKey,
+  useCityData,
+  useCompareLocations,
+  useDisplaySettings,
+  useLocations,
+  useProviderSettings
+} from '../utils/weatherStore';
+
+// How the warmest, wettest and windiest cities are marked (the colour is a
+// theme colour; labels are in locales/ as compare.<key>)
+const HIGHLIGHTS = {
+  warmest: { icon: 'thermometer-outline', color: 'warning' },
+  wettest: { icon: 'rainy-outline', color: 'primary' },
+  windiest: { icon: 'flag-outline', color: 'success' }
+};
+
+// Rain and snow in the last hour (missing means none was reported)
+const getRecentPrecipitation = (weatherData) => (weatherData.rain || 0) + (weatherData.snow || 0);
+
+// One row of the table: a label over one cell per city. leaders marks the
+// cells to highlight with the given highlight
+const CompareRow = ({ label, values, leaders, highlight, capitalize }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
+  return (
+    <View style={styles.row}>
+      <Text style={styles.rowLabel}>{label}</Text>
+      <View style={styles.cells}>
+        {values.map((value, index) => {
+          const leading = leaders && leaders[index];
+          return (
+            <View key={index} style={[styles.cell, leading && styles.leadingCell]}>
+              <Text
+                style={[
+                  styles.cellText,
+                  capitalize && styles.capitalize,
+                  leading && { color: colors[HIGHLIGHTS[highlight].color], fontWeight: 'bold' }
+                ]}
+              >
+                {value}
+              </Text>
+            </View>
+          );
+        })}
+      </View>
+    </View>
+  );
+};
+
+// Current conditions and the daily forecast for 2-4 cities side by side,
+// with the warmest, wettest and windiest marked. The cities can be any of
+// the dashboard's or others searched for here, and are fetched at once
+const CompareScreen = () => {
+  const [compareLocations, setCompareLocations] = useCompareLocations();
+  const dashboardLocations = useLocations();
+  const cityData = useCityData();
+  const settings = useDisplaySettings();
+  const { provider } = useProviderSettings();
+  const { apiKey } = useApiKey();
+  const [query, setQuery] = useState('');
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+
+  // The dashboard's cities, then any others picked here
+  const choices = [
+    ...dashboardLocations,
+    ...compareLocations.filter(
+      location => !dashboardLocations.some(shown => shown.id === location.id)
+    )
+  ];
+
+  const isSelected = (location) => compareLocations.some(picked => picked.id === location.id);
+
+  // Function to add a city to the comparison (or take it out)
+  const toggleLocation = (location) => {
+    if (isSelected(location)) {
+      setCompareLocations(compareLocations.filter(picked => picked.id !== location.id));
+      return;
+    }
+    if (compareLocations.length >= MAX_COMPARE) {
+      Alert.alert(t('common.error'), t('compare.tooMany', { count: MAX_COMPARE }));
+      return;
+    }
+    setCompareLocations([...compareLocations, location]);
+  };
+
+  // Function to add a place picked from the search results
+  const addSearchedLocation = (place) => {
+    setQuery('');
+    const location = createLocation(place);
+    if (!isSelected(location)) {
+      toggleLocation(location);
+    }
+  };
+
+  // Weather for each picked city, in the order they were picked
+  const columns = compareLocations.map(location => ({
+    location,
+    ...(cityData[location.id] || { loading: true })
+  }));
+  const current = columns.map(column => column.weatherData || null);
+  const days = alignDailyForecasts(columns.map(column => column.forecastData || null));
+
+  // Which city is warmest and windiest now, and wettest over the coming days
+  const totalPrecipitation = columns.map((column, index) => (
+    days.some(day => day.days[index])
+      ? days.reduce((total, day) => total + day.days[index].totalPrecipitation, 0)
+      : null
+  ));
+  const leaders = {
+    warmest: getLeaders(current.map(weatherData => (weatherData ? weatherData.temp : null))),
+    wettest: getLeaders(totalPrecipitation),
+    windiest: getLeaders(current.map(weatherData => (weatherData ? weatherData.windSpeed : null)))
+  };
+
+  // Format a value for each city, with "--" where there's no weather yet
+  const currentValues = (format) => current.map(weatherData => (weatherData ? format(weatherData) : '--'));
+  const dayValues = (day, format) => day.days.map(summary => (summary ? format(summary) : '--'));
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <ScrollView
+        contentContainerStyle={styles.scrollContent}
+        keyboardShouldPersistTaps="handled"
+      >
+        {/* Picking the cities */}
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>{t('compare.cities')}</Text>
+          <Text style={styles.helpText}>
+            {t('compare.pickHelp', { min: MIN_COMPARE, max: MAX_COMPARE })}
+          </Text>
+          <View style={styles.chips}>
+            {choices.map(location => (
+              <TouchableOpacity
+                key={location.id}
+                style={[styles.chip, isSelected(location) && styles.activeChip]}
+                onPress={() => toggleLocation(location)}
+              >
+                <Text style={[styles.chipText, isSelected(location) && styles.activeChipText]}>
+                  {location.isCurrent ? t('home.currentLocation') : location.name}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <LocationSearch
+            provider={provider}
+            apiKey={apiKey}
+            query={query}
+            setQuery={setQuery}
+            onSelect={addSearchedLocation}
+          />
+        </View>
+
+        {compareLocations.length < MIN_COMPARE ? (
+          <View style={styles.emptyContainer}>
+            <Ionicons name="git-compare-outline" size={64} color={colors.textMuted} />
+            <Text style={styles.emptyText}>{t('compare.pickMore', { count: MIN_COMPARE })}</Text>
+          </View>
+        ) : (
+          <>
+            {/* Who comes out on top */}
+            <View style={styles.highlights}>
+              {Object.keys(HIGHLIGHTS).map(key => {
+                const names = columns
+                  .filter((column, index) => leaders[key][index])
+                  .map(column => (column.location.isCurrent ? t('home.currentLocation') : column.location.name));
+                return (
+                  <View key={key} style={styles.highlight}>
+                    <Ionicons
+                      name={HIGHLIGHTS[key].icon}
+                      size={18}
+                      color={colors[HIGHLIGHTS[key].color]}
+                    />
+                    <Text style={styles.highlightLabel}>{t(`compare.${key}`)}</Text>
+                    <Text style={styles.highlightValue} numberOfLines={2}>
+                      {names.length > 0 ? names.join(', ') : '--'}
+                    </Text>
+                  </View>
+                );
+              })}
+            </View>
+
+            {/* City names, and how fetching each one went */}
+            <View style={[styles.card, styles.table]}>
+              <View style={styles.cells}>
+                {columns.map(column => (
+                  <View key={column.location.id} style={styles.headerCell}>
+                    <Text style={styles.cityName} numberOfLines={2}>
+                      {column.location.isCurrent
+                        ? t('home.currentLocation')
+                        : getDisplayName(column.location)}
+                    </Text>
+                    {column.loading && !column.weatherData && (
+                      <ActivityIndicator size="small" color={colors.primary} />
+                    )}
+                    {column.error && !column.weatherData && (
+                      <TouchableOpacity onPress={() => refreshWeather([column.location])}>
+                        <Text style={styles.errorText}>{t(`errors.${column.error.type}.title`)}</Text>
+                        <Text style={styles.retryText}>{t('common.retry')}</Text>
+                      </TouchableOpacity>
+                    )}
+                    {column.weatherData && column.weatherData.condition.icon && (
+                      <Image
+                        style={styles.icon}
+                        source={{ uri: getIconUrl(column.weatherData.condition.icon) }}
+                      />
+                    )}
+                  </View>
+                ))}
+              </View>
+
+              {/* Current conditions */}
+              <Text style={styles.groupTitle}>{t('compare.now')}</Text>
+              <CompareRow
+                label={t('compare.temperature')}
+                values={currentValues(weatherData => formatTemperature(weatherData.temp, settings.temperatureUnit))}
+                leaders={leaders.warmest}
+                highlight="warmest"
+              />
+              <CompareRow
+                label={t('compare.conditions')}
+                values={currentValues(weatherData => weatherData.condition.description)}
+                capitalize
+              />
+              <CompareRow
+                label={t('home.feelsLike')}
+                values={currentValues(weatherData => formatTemperature(weatherData.feelsLike, settings.temperatureUnit))}
+              />
+              <CompareRow
+                label={t('home.humidity')}
+                values={currentValues(weatherData => formatPercent(weatherData.humidity))}
+              />
+              <CompareRow
+                label={t('home.windSpeed')}
+                values={currentValues(weatherData => formatWindSpeed(weatherData.windSpeed, settings.windUnit))}
+                leaders={leaders.windiest}
+                highlight="windiest"
+              />
+              <CompareRow
+                label={t('compare.recentPrecipitation')}
+                values={currentValues(weatherData => (
+                  formatPrecipitation(getRecentPrecipitation(weatherData), settings.distanceUnit)
+                ))}
+                leaders={getLeaders(current.map(weatherData => (weatherData ? getRecentPrecipitation(weatherData) : null)))}
+                highlight="wettest"
+              />
+
+              {/* The same daily summaries as the Forecast tab, a day at a time */}
+              {days.map(day => (
+                <View key={day.key}>
+                  <Text style={styles.groupTitle}>
+                    {/* The key is the calendar date, so noon UTC is safely on that day */}
+                    {formatLocationDate(Date.parse(`${day.key}T12:00:00Z`), 0, {
+                      weekday: 'long',
+                      month: 'short',
+                      day: 'numeric'
+                    })}
+                  </Text>
+                  <CompareRow
+                    label={t('compare.highLow')}
+                    values={dayValues(day, summary => (
+                      `${formatTemperature(summary.maxTemp, settings.temperatureUnit)} / ${formatTemperature(summary.minTemp, settings.temperatureUnit)}`
+                    ))}
+                    leaders={getLeaders(day.days.map(summary => (summary ? summary.maxTemp : null)))}
+                    highlight="warmest"
+                  />
+                  <CompareRow
+                    label={t('dayDetail.precipitation')}
+                    values={dayValues(day, summary => (
+                      `${formatPrecipitation(summary.totalPrecipitation, settings.distanceUnit)} · ${formatPercent(summary.maxPop * 100)}`
+                    ))}
+                    leaders={getLeaders(day.days.map(summary => (summary ? summary.totalPrecipitation : null)))}
+                    highlight="wettest"
+                  />
+                  <CompareRow
+                    label={t('dayDetail.maxWind')}
+                    values={dayValues(day, summary => formatWindSpeed(summary.maxWind, settings.windUnit))}
+                    leaders={getLeaders(day.days.map(summary => (summary ? summary.maxWind : null)))}
+                    highlight="windiest"
+                  />
+                </View>
+              ))}
+            </View>
+          </>
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  scrollContent: {
+    padding: 16,
+  },
+  card: {
+    backgroundColor: colors.card,
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+    shadowColor: colors.shadow,
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.2,
+    shadowRadius: 1.5,
+    elevation: 2,
+  },
+  table: {
+    paddingHorizontal: 8,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: colors.text,
+    marginBottom: 12,
+  },
+  helpText: {
+    fontSize: 14,
+    color: colors.textMuted,
+    marginBottom: 12,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 8,
+  },
+  chip: {
+    backgroundColor: colors.subtle,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  activeChip: {
+    backgroundColor: colors.primary,
+  },
+  chipText: {
+    color: colors.textSecondary,
+  },
+  activeChipText: {
+    color: colors.onPrimary,
+    fontWeight: 'bold',
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    padding: 20,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: colors.textMuted,
+    textAlign: 'center',
+    marginTop: 12,
+  },
+  highlights: {
+    flexDirection: 'row',
+    marginBottom: 16,
+  },
+  highlight: {
+    flex: 1,
+    alignItems: 'center',
+    backgroundColor: colors.card,
+    borderRadius: 12,
+    padding: 8,
+    marginHorizontal: 4,
+    shadowColor: colors.shadow,
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.2,
+    shadowRadius: 1.5,
+    elevation: 2,
+  },
+  highlightLabel: {
+    fontSize: 12,
+    color: colors.textMuted,
+    marginTop: 4,
+  },
+  highlightValue: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.text,
+    textAlign: 'center',
+  },
+  cells: {
+    flexDirection: 'row',
+  },
+  headerCell: {
+    flex: 1,
+    alignItems: 'center',
+    paddingHorizontal: 4,
+  },
+  cityName: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: colors.text,
+    textAlign: 'center',
+  },
+  icon: {
+    width: 48,
+    height: 48,
+  },
+  errorText: {
+    fontSize: 12,
+    color: colors.danger,
+    textAlign: 'center',
+    marginTop: 4,
+  },
+  retryText: {
+    fontSize: 12,
+    color: colors.primary,
+    textAlign: 'center',
+  },
+  groupTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: colors.text,
+    marginTop: 16,
+    marginBottom: 4,
+    paddingHorizontal: 4,
+    paddingTop: 12,
+    borderTopWidth: 1,
+    borderTopColor: colors.divider,
+  },
+  row: {
+    marginTop: 8,
+  },
+  rowLabel: {
+    fontSize: 12,
+    color: colors.textMuted,
+    marginBottom: 2,
+    paddingHorizontal: 4,
+  },
+  cell: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 4,
+    paddingHorizontal: 2,
+    borderRadius: 6,
+  },
+  leadingCell: {
+    backgroundColor: colors.subtle,
+  },
+  cellText: {
+    fontSize: 14,
+    color: colors.text,
+    textAlign: 'center',
+  },
+  capitalize: {
+    textTransform: 'capitalize',
+  },
+});
+
+export default CompareScreen;
@@ -0,0 +1,323 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  Image,
+  SafeAreaView,
+  ActivityIndicator
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { getIconUrl } from '../providers';
+import { groupForecastByDay } from '../utils/forecast';
+import { getDisplayName } from '../utils/locations';
+import { formatLocationDate, formatLocationTime, formatDeviceTime } from '../utils/time';
+import { formatTemperature, formatWindSpeed, formatPrecipitation } from '../utils/units';
+import { useTheme, useThemedStyles } from '../utils/theme';
+import { useTranslation, formatPercent } from '../utils/i18n';
+import { getComfortMetrics } from '../utils/comfort';
+import { useForecast, useDisplaySettings } from '../utils/weatherStore';
+
+const DayDetailScreen = ({ route }) => {
+  const { locationId, dayKey } = route.params;
+  const { forecastData, loading } = useForecast(locationId);
+  const settings = useDisplaySettings();
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+
+  // Days and times are in the location's time zone
+  const timezoneOffset = forecastData && forecastData.location.timezoneOffset;
+
+  // Find this day's summary (it may have dropped out after a refresh)
+  const day = forecastData
+    ? groupForecastByDay(forecastData.items, timezoneOffset).find(item => item.key === dayKey)
+    : null;
+
+  // A link can open this screen before the weather has loaded
+  if (!day && loading) {
+    return (
+      <View style={styles.centerContainer}>
+        <ActivityIndicator size="large" color={colors.primary} />
+      </View>
+    );
+  }
+
+  if (!day) {
+    return (
+      <View style={styles.centerContainer}>
+        <Ionicons name="calendar-outline" size={64} color={colors.textMuted} />
+        <Text style={styles.errorText}>{t('dayDetail.unavailable')}</Text>
+        <Text style={styles.errorHint}>{t('dayDetail.goBack')}</Text>
+      </View>
+    );
+  }
+
+  // Get correct units based on user settings
+  const { temperatureUnit, windUnit, distanceUnit } = settings;
+
+  // Summary of the whole day, shown above the timeline
+  const renderHeader = () => (
+    <View style={styles.summaryCard}>
+      <Text style={styles.summaryDate}>
+        {formatLocationDate(day.date.getTime(), timezoneOffset, {
+          weekday: 'long',
+          month: 'long',
+          day: 'numeric'
+        })}
+      </Text>
+      <Text style={styles.summaryCity}>
+        {getDisplayName(forecastData.location, t)}
+      </Text>
+
+      <View style={styles.summaryContent}>
+        {day.weather.icon && (
+          <Image
+            style={styles.summaryIcon}
+            source={{ uri: getIconUrl(day.weather.icon) }}
+          />
+        )}
+        <View>
+          <Text style={styles.summaryDescription}>{day.weather.description}</Text>
+          <Text style={styles.summaryTemps}>
+            {formatTemperature(day.maxTemp, temperatureUnit)} / {formatTemperature(day.minTemp, temperatureUnit)}
+          </Text>
+        </View>
+      </View>
+
+      <View style={styles.summaryRow}>
+        <View style={styles.summaryItem}>
+          <Text style={styles.summaryLabel}>{t('dayDetail.precipChance')}</Text>
+          <Text style={styles.summaryValue}>{formatPercent(day.maxPop * 100)}</Text>
+        </View>
+        <View style={styles.summaryItem}>
+          <Text style={styles.summaryLabel}>{t('dayDetail.precipitation')}</Text>
+          <Text style={styles.summaryValue}>{formatPrecipitation(day.totalPrecipitation, distanceUnit)}</Text>
+        </View>
+        <View style={styles.summaryItem}>
+          <Text style={styles.summaryLabel}>{t('dayDetail.maxWind')}</Text>
+          <Text style={styles.summaryValue}>{formatWindSpeed(day.maxWind, windUnit)}</Text>
+        </View>
+      </View>
+    </View>
+  );
+
+  // Comfort rating and the comfort values that apply to a slot, e.g.
+  // "Comfortable  ·  Dew point 12°"
+  const formatComfort = (item) => {
+    const { dewPoint, heatIndex, windChill, humidex, rating } = getComfortMetrics(item);
+    const values = { dewPoint, heatIndex, windChill, humidex };
+    return [
+      rating && t(`comfort.ratings.${rating}`),
+      ...Object.keys(values)
+        .filter(key => values[key] !== null)
+        .map(key => `${t(`comfort.${key}`)} ${formatTemperature(values[key], temperatureUnit)}`)
+    ].filter(Boolean).join('  ·  ');
+  };
+
+  // Render one 3-hour slot
+  const renderSlot = ({ item }) => {
+    const deviceTime = settings.showDeviceTime && formatDeviceTime(item.time, timezoneOffset);
+    const comfort = formatComfort(item);
+
+    return (
+      <View style={styles.slot}>
+        <View style={styles.slotTimeColumn}>
+          <Text style={styles.slotTime}>
+            {formatLocationTime(item.time, timezoneOffset)}
+          </Text>
+          {deviceTime && <Text style={styles.slotDeviceTime}>{deviceTime}</Text>}
+        </View>
+
+        {item.condition.icon ? (
+          <Image
+            style={styles.slotIcon}
+            source={{ uri: getIconUrl(item.condition.icon) }}
+          />
+        ) : (
+          <View style={styles.slotIcon} />
+        )}
+
+        <View style={styles.slotDetails}>
+          <View style={styles.slotTempRow}>
+            <Text style={styles.slotTemp}>{formatTemperature(item.temp, temperatureUnit)}</Text>
+            <Text style={styles.slotFeelsLike}>
+              {t('dayDetail.feels', { temp: formatTemperature(item.feelsLike, temperatureUnit) })}
+            </Text>
+          </View>
+          <Text style={styles.slotDescription}>{item.condition.description}</Text>
+          <Text style={styles.slotStats}>
+            {t('dayDetail.slotStats', {
+              wind: formatWindSpeed(item.windSpeed, windUnit),
+              humidity: formatPercent(item.humidity),
+              pop: formatPercent((item.pop || 0) * 100)
+            })}
+          </Text>
+          {comfort !== '' && <Text style={styles.slotStats}>{comfort}</Text>}
+        </View>
+      </View>
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <FlatList
+        data={day.items}
+        renderItem={renderSlot}
+        keyExtractor={(item) => String(item.time)}
+        ListHeaderComponent={renderHeader}
+        contentContainerStyle={styles.listContent}
+      />
+    </SafeAreaView>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  centerContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  errorText: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: colors.text,
+    marginTop: 12,
+    marginBottom: 8,
+    textAlign: 'center',
+  },
+  errorHint: {
+    color: colors.textSecondary,
+  },
+  listContent: {
+    padding: 16,
+  },
+  summaryCard: {
+    backgroundColor: colors.card,
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+    shadowColor: colors.shadow,
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.2,
+    shadowRadius: 1.5,
+    elevation: 2,
+  },
+  summaryDate: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  summaryCity: {
+    fontSize: 16,
+    color: colors.textMuted,
+    marginBottom: 8,
+  },
+  summaryContent: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  summaryIcon: {
+    width: 80,
+    height: 80,
+    marginRight: 8,
+  },
+  summaryDescription: {
+    fontSize: 18,
+    color: colors.textSecondary,
+    textTransform: 'capitalize',
+  },
+  summaryTemps: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: colors.primary,
+  },
+  summaryRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    borderTopWidth: 1,
+    borderTopColor: colors.divider,
+    paddingTop: 12,
+  },
+  summaryItem: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  summaryLabel: {
+    fontSize: 13,
+    color: colors.textMuted,
+    marginBottom: 4,
+  },
+  summaryValue: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: colors.text,
+  },
+  slot: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.card,
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 8,
+    shadowColor: colors.shadow,
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.2,
+    shadowRadius: 1.5,
+    elevation: 2,
+  },
+  slotTimeColumn: {
+    width: 56,
+  },
+  slotTime: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: colors.text,
+  },
+  slotDeviceTime: {
+    fontSize: 11,
+    color: colors.textMuted,
+    marginTop: 2,
+  },
+  slotIcon: {
+    width: 50,
+    height: 50,
+  },
+  slotDetails: {
+    flex: 1,
+    marginLeft: 8,
+  },
+  slotTempRow: {
+    flexDirection: 'row',
+    alignItems: 'baseline',
+  },
+  slotTemp: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: colors.text,
+    marginRight: 8,
+  },
+  slotFeelsLike: {
+    fontSize: 14,
+    color: colors.textMuted,
+  },
+  slotDescription: {
+    fontSize: 14,
+    color: colors.textSecondary,
+    textTransform: 'capitalize',
+  },
+  slotStats: {
+    fontSize: 12,
+    color: colors.textMuted,
+    marginTop: 2,
+  },
+});
+
+export default DayDetailScreen;
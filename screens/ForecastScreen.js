@@ -6,117 +6,145 @@ import {
   ActivityIndicator, 
   FlatList, 
   Image,
+  TouchableOpacity,
+  ScrollView,
   SafeAreaView 
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
+import LocationPager from '../components/LocationPager';
+import SessionBanner from '../components/SessionBanner';
+import LastUpdatedBanner from '../components/LastUpdatedBanner';
+import ErrorMessage from '../components/ErrorMessage';
+import AirQualityForecast from '../components/AirQualityForecast';
+import ForecastCharts from '../components/ForecastCharts';
+import { getIconUrl } from '../providers';
+import { groupForecastByDay } from '../utils/forecast';
+import { getDisplayName } from '../utils/locations';
+import { formatLocationDate } from '../utils/time';
+import { formatTemperature } from '../utils/units';
+import { useTheme, useThemedStyles } from '../utils/theme';
+import { useTranslation } from '../utils/i18n';
+import {
+  refreshWeather,
+  useActiveIndex,
+  useForecast,
+  useLocations,
+  useDisplaySettings
+} from '../utils/weatherStore';
+
+// Switch between the daily list and the charts
+const ViewToggle = ({ viewMode, setViewMode }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+
+  return (
+    <View style={styles.toggle}>
+      {[
+        { mode: 'list', label: t('forecast.list'), icon: 'list' },
+        { mode: 'chart', label: t('forecast.charts'), icon: 'stats-chart' }
+      ].map(option => (
+        <TouchableOpacity
+          key={option.mode}
+          style={[styles.toggleButton, viewMode === option.mode && styles.activeToggle]}
+          onPress={() => setViewMode(option.mode)}
+        >
+          <Ionicons 
+            name={option.icon} 
+            size={16} 
+            color={viewMode === option.mode ? colors.onPrimary : colors.textSecondary} 
+          />
+          <Text 
+            style={[
+              styles.toggleText, 
+              viewMode === option.mode && styles.activeToggleText
+            ]}
+          >
+            {option.label}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+};
+
+// 5-day forecast for a single location (one page of the pager)
+const CityForecast = ({ location, navigation, viewMode, setViewMode }) => {
+  const { forecastData, loading, updatedAt, offline, error } = useForecast(location.id);
+  const settings = useDisplaySettings();
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const { t, isRTL } = useTranslation();
+
+  // Try fetching this location again after an error
+  const retry = () => refreshWeather([location]);
 
-const ForecastScreen = ({ forecastData, loading, settings }) => {
   // Show loading indicator when fetching data
   if (loading && !forecastData) {
     return (
       <View style={styles.centerContainer}>
-        <ActivityIndicator size="large" color="#0096c7" />
-        <Text style={styles.loadingText}>Loading forecast data...</Text>
+        <ActivityIndicator size="large" color={colors.primary} />
+        <Text style={styles.loadingText}>{t('forecast.loading')}</Text>
       </View>
     );
   }
 
+  // Show what went wrong if the fetch failed and there's nothing cached
+  if (!forecastData && error) {
+    return <ErrorMessage error={error} onRetry={retry} />;
+  }
+
   // Show error message if no forecast data
-  if (!forecastData || !forecastData.list) {
+  if (!forecastData || !forecastData.items) {
     return (
       <View style={styles.centerContainer}>
-        <Ionicons name="cloud-offline-outline" size={64} color="#6c757d" />
-        <Text style={styles.errorText}>Forecast data unavailable</Text>
-        <Text>Check your connection and try again</Text>
+        <Ionicons name="cloud-offline-outline" size={64} color={colors.textMuted} />
+        <Text style={styles.errorText}>
+          {t('forecast.unavailable', { name: getDisplayName(location, t) })}
+        </Text>
+        <Text style={styles.errorHint}>{t('common.checkConnection')}</Text>
       </View>
     );
   }
 
-  // Get correct temperature symbol
-  const tempSymbol = settings.units === 'metric' ? '°C' : '°F';
-
-  // Group forecast data by day
-  // The API gives us data in 3-hour blocks, so we need to group them
-  const groupedByDay = {};
-  
-  forecastData.list.forEach(item => {
-    // Get date without time
-    const date = new Date(item.dt * 1000).toLocaleDateString();
-    
-    // Create array for this date if it doesn't exist
-    if (!groupedByDay[date]) {
-      groupedByDay[date] = [];
-    }
-    
-    // Add this forecast to the array
-    groupedByDay[date].push(item);
-  });
-
-  // Convert the grouped forecast into an array for our FlatList
-  const dailyForecasts = Object.keys(groupedByDay).map(date => {
-    // Get all forecasts for this day
-    const items = groupedByDay[date];
-    
-    // Calculate min and max temperature for the day
-    const minTemp = Math.min(...items.map(item => item.main.temp_min));
-    const maxTemp = Math.max(...items.map(item => item.main.temp_max));
-    
-    // Count occurrences of each weather condition to find the most common
-    const weatherCounts = {};
-    items.forEach(item => {
-      const condition = item.weather[0].main;
-      weatherCounts[condition] = (weatherCounts[condition] || 0) + 1;
-    });
-    
-    // Find the most common weather condition
-    let mostCommonWeather = items[0].weather[0];
-    let maxCount = 0;
-    
-    Object.keys(weatherCounts).forEach(condition => {
-      if (weatherCounts[condition] > maxCount) {
-        maxCount = weatherCounts[condition];
-        // Find an item with this condition to get its details
-        mostCommonWeather = items.find(item => 
-          item.weather[0].main === condition
-        ).weather[0];
-      }
-    });
-    
-    // Return the processed data for this day
-    return {
-      date: new Date(items[0].dt * 1000),
-      minTemp,
-      maxTemp,
-      weather: mostCommonWeather,
-      items // Keep all items for detailed view if needed
-    };
-  });
-
-  // Sort by date
-  dailyForecasts.sort((a, b) => a.date - b.date);
+  // Group the 3-hour blocks into one summary per day, splitting days at
+  // midnight where the location is
+  const timezoneOffset = forecastData.location.timezoneOffset;
+  const dailyForecasts = groupForecastByDay(forecastData.items, timezoneOffset);
 
   // Render each day's forecast
   const renderForecastItem = ({ item }) => {
-    const dayName = item.date.toLocaleDateString(undefined, { weekday: 'long' });
-    const formattedDate = item.date.toLocaleDateString(undefined, {
+    const dayName = formatLocationDate(item.date.getTime(), timezoneOffset, { weekday: 'long' });
+    const formattedDate = formatLocationDate(item.date.getTime(), timezoneOffset, {
       month: 'short',
       day: 'numeric'
     });
     
     return (
-      <View style={styles.forecastItem}>
+      <TouchableOpacity
+        style={styles.forecastItem}
+        // Open the 3-hour timeline for this day
+        onPress={() => navigation.navigate('DayDetail', { 
+          locationId: location.id, 
+          dayKey: item.key 
+        })}
+      >
         <View style={styles.forecastHeader}>
           <Text style={styles.forecastDay}>{dayName}</Text>
           <Text style={styles.forecastDate}>{formattedDate}</Text>
         </View>
         
         <View style={styles.forecastContent}>
-          <Image
-            style={styles.forecastIcon}
-            source={{
-              uri: `https://openweathermap.org/img/wn/${item.weather.icon}@2x.png`
-            }}
-          />
+          {item.weather.icon ? (
+            <Image
+              style={styles.forecastIcon}
+              source={{
+                uri: getIconUrl(item.weather.icon)
+              }}
+            />
+          ) : (
+            <View style={styles.forecastIcon} />
+          )}
           
           <View style={styles.forecastDetails}>
             <Text style={styles.forecastDescription}>
@@ -125,34 +153,93 @@ const ForecastScreen = ({ forecastData, loading, settings }) => {
             
             <View style={styles.tempRow}>
               <Text style={styles.maxTemp}>
-                {Math.round(item.maxTemp)}{tempSymbol}
+                {formatTemperature(item.maxTemp, settings.temperatureUnit)}
               </Text>
               <Text style={styles.minTemp}>
-                {Math.round(item.minTemp)}{tempSymbol}
+                {formatTemperature(item.minTemp, settings.temperatureUnit)}
               </Text>
             </View>
           </View>
+          
+          {/* Points the way the detail screen slides in, which flips for right-to-left */}
+          <Ionicons 
+            name={isRTL ? 'chevron-back' : 'chevron-forward'} 
+            size={20} 
+            color={colors.placeholder} 
+          />
         </View>
-      </View>
+      </TouchableOpacity>
     );
   };
 
+  // Shown above both the list and the charts
+  const header = (
+    <View>
+      <LastUpdatedBanner updatedAt={updatedAt} offline={offline} />
+      {error && <ErrorMessage error={error} onRetry={retry} compact />}
+      <Text style={styles.cityName}>
+        {getDisplayName(forecastData.location, t)}
+      </Text>
+      <AirQualityForecast locationId={location.id} timezoneOffset={timezoneOffset} />
+      <ViewToggle viewMode={viewMode} setViewMode={setViewMode} />
+    </View>
+  );
+
+  if (viewMode === 'chart') {
+    return (
+      <ScrollView contentContainerStyle={styles.listContent}>
+        {header}
+        <ForecastCharts 
+          items={forecastData.items} 
+          settings={settings}
+          timezoneOffset={timezoneOffset}
+        />
+      </ScrollView>
+    );
+  }
+
+  return (
+    <FlatList
+      data={dailyForecasts}
+      renderItem={renderForecastItem}
+      keyExtractor={(item) => item.key}
+      contentContainerStyle={styles.listContent}
+      ListHeaderComponent={header}
+    />
+  );
+};
+
+const ForecastScreen = ({ navigation }) => {
+  const locations = useLocations();
+  const [activeIndex, setActiveIndex] = useActiveIndex();
+  // List or chart view, kept the same while swiping between cities
+  const [viewMode, setViewMode] = React.useState('list');
+  const styles = useThemedStyles(createStyles);
+
   return (
     <SafeAreaView style={styles.container}>
-      <FlatList
-        data={dailyForecasts}
-        renderItem={renderForecastItem}
-        keyExtractor={(item) => item.date.toISOString()}
-        contentContainerStyle={styles.listContent}
+      <SessionBanner />
+      <LocationPager
+        locations={locations}
+        activeIndex={activeIndex}
+        onChangeIndex={setActiveIndex}
+        renderPage={(location) => (
+          <CityForecast
+            location={location}
+            navigation={navigation}
+            viewMode={viewMode}
+            setViewMode={setViewMode}
+          />
+        )}
       />
     </SafeAreaView>
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
-    backgroundColor: '#f8f9fa',
+    backgroundColor: colors.background,
   },
   centerContainer: {
     flex: 1,
@@ -163,23 +250,60 @@ const styles = StyleSheet.create({
   loadingText: {
     marginTop: 10,
     fontSize: 16,
-    color: '#6c757d',
+    color: colors.textMuted,
   },
   errorText: {
     fontSize: 18,
     fontWeight: 'bold',
+    color: colors.text,
     marginTop: 12,
     marginBottom: 8,
   },
+  errorHint: {
+    color: colors.textSecondary,
+  },
   listContent: {
     padding: 16,
   },
+  toggle: {
+    flexDirection: 'row',
+    backgroundColor: colors.subtle,
+    borderRadius: 8,
+    padding: 2,
+    marginBottom: 12,
+  },
+  toggleButton: {
+    flex: 1,
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingVertical: 6,
+    borderRadius: 6,
+  },
+  activeToggle: {
+    backgroundColor: colors.primary,
+  },
+  toggleText: {
+    fontSize: 14,
+    color: colors.textSecondary,
+    marginLeft: 6,
+  },
+  activeToggleText: {
+    color: colors.onPrimary,
+    fontWeight: 'bold',
+  },
+  cityName: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: colors.text,
+    marginBottom: 12,
+  },
   forecastItem: {
-    backgroundColor: 'white',
+    backgroundColor: colors.card,
     borderRadius: 12,
     marginBottom: 12,
     padding: 16,
-    shadowColor: '#000',
+    shadowColor: colors.shadow,
     shadowOffset: { width: 0, height: 1 },
     shadowOpacity: 0.2,
     shadowRadius: 1.5,
@@ -191,16 +315,16 @@ const styles = StyleSheet.create({
     marginBottom: 8,
     paddingBottom: 8,
     borderBottomWidth: 1,
-    borderBottomColor: '#f1f3f5',
+    borderBottomColor: colors.divider,
   },
   forecastDay: {
     fontSize: 18,
     fontWeight: 'bold',
-    color: '#212529',
+    color: colors.text,
   },
   forecastDate: {
     fontSize: 16,
-    color: '#6c757d',
+    color: colors.textMuted,
   },
   forecastContent: {
     flexDirection: 'row',
@@ -216,7 +340,7 @@ const styles = StyleSheet.create({
   },
   forecastDescription: {
     fontSize: 16,
-    color: '#495057',
+    color: colors.textSecondary,
     textTransform: 'capitalize',
     marginBottom: 4,
   },
@@ -227,12 +351,12 @@ const styles = StyleSheet.create({
   maxTemp: {
     fontSize: 20,
     fontWeight: 'bold',
-    color: '#212529',
+    color: colors.text,
     marginRight: 12,
   },
   minTemp: {
     fontSize: 20,
-    color: '#6c757d',
+    color: colors.textMuted,
   },
 });
 
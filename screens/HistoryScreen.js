@@ -0,0 +1,404 @@
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ActivityIndicator,
+  ScrollView,
+  SafeAreaView
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import LocationPager from '../components/LocationPager';
+import Chart from '../components/Chart';
+import { getDisplayName } from '../utils/locations';
+import { formatLocationDate } from '../utils/time';
+import { convertTemperature, formatTemperature } from '../utils/units';
+import { useTheme, useThemedStyles } from '../utils/theme';
+import { useTranslation, formatNumber, formatPercent } from '../utils/i18n';
+import { pruneHistory, compareWithDaysAgo, getDailyHistory } from '../utils/weatherHistory';
+import {
+  loadWeatherHistory,
+  useActiveIndex,
+  useDisplaySettings,
+  useLocations,
+  useWeatherHistory
+} from '../utils/weatherStore';
+
+const CHART_HEIGHT = 140;
+
+// The comparisons shown at the top, with their labels in locales/ as
+// history.<comparison>Warmer, history.<comparison>Cooler and history.<comparison>Same
+const COMPARISONS = [
+  { key: 'yesterday', days: 1 },
+  { key: 'lastWeek', days: 7 }
+];
+
+// A centred icon and message, for when there's no history to show
+const HistoryMessage = ({ icon, title, hint }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
+  return (
+    <View style={styles.centerContainer}>
+      <Ionicons name={icon} size={64} color={colors.textMuted} />
+      <Text style={styles.messageTitle}>{title}</Text>
+      <Text style={styles.messageHint}>{hint}</Text>
+    </View>
+  );
+};
+
+// How the latest reading compares with the same time on earlier days,
+// e.g. "3° warmer than yesterday at this time"
+const ComparisonRow = ({ comparison, comparisonKey, temperatureUnit }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+
+  // Work out the difference in the display unit, to the nearest degree
+  const difference = Math.round(
+    convertTemperature(comparison.latest.temp, temperatureUnit)
+    - convertTemperature(comparison.past.temp, temperatureUnit)
+  );
+  const degrees = `${formatNumber(Math.abs(difference))}${temperatureUnit === 'kelvin' ? ' K' : '°'}`;
+
+  let icon = 'remove';
+  let label = t(`history.${comparisonKey}Same`);
+  if (difference > 0) {
+    icon = 'trending-up';
+    label = t(`history.${comparisonKey}Warmer`, { difference: degrees });
+  } else if (difference < 0) {
+    icon = 'trending-down';
+    label = t(`history.${comparisonKey}Cooler`, { difference: degrees });
+  }
+
+  return (
+    <View style={styles.comparisonRow}>
+      <Ionicons name={icon} size={20} color={colors.primary} />
+      <Text style={styles.comparisonText}>{label}</Text>
+    </View>
+  );
+};
+
+// Past readings for a single location (one page of the pager)
+const CityHistory = ({ location }) => {
+  const savedObservations = useWeatherHistory(location.id);
+  const settings = useDisplaySettings();
+  const [activeIndex, setActiveIndex] = useState(null);
+  const [width, setWidth] = useState(0);
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+
+  // Load the saved readings the first time this location is shown
+  useEffect(() => {
+    if (!location.isCurrent && savedObservations === undefined) {
+      loadWeatherHistory(location.id);
+    }
+  }, [location, savedObservations]);
+
+  // The device's position moves around, so it has no history of its own
+  if (location.isCurrent) {
+    return (
+      <HistoryMessage
+        icon="navigate-outline"
+        title={t('history.currentLocation')}
+        hint={t('history.currentLocationHint')}
+      />
+    );
+  }
+
+  if (!settings.historyDays) {
+    return (
+      <HistoryMessage icon="time-outline" title={t('history.off')} hint={t('history.offHint')} />
+    );
+  }
+
+  if (savedObservations === undefined) {
+    return (
+      <View style={styles.centerContainer}>
+        <ActivityIndicator size="large" color={colors.primary} />
+      </View>
+    );
+  }
+
+  // Leave out anything older than the history setting, in case it was
+  // shortened since the readings were saved
+  const observations = pruneHistory(savedObservations, settings.historyDays);
+  if (observations.length === 0) {
+    return (
+      <HistoryMessage
+        icon="time-outline"
+        title={t('history.empty', { name: getDisplayName(location) })}
+        hint={t('history.emptyHint')}
+      />
+    );
+  }
+
+  const { temperatureUnit } = settings;
+  const comparisons = COMPARISONS
+    .map(({ key, days }) => ({ key, comparison: compareWithDaysAgo(observations, days) }))
+    .filter(({ comparison }) => comparison);
+
+  // Oldest day first for the chart, newest first for the list
+  const days = getDailyHistory(observations);
+  const chartDays = [...days].reverse();
+  // The chart's cursor starts on today (and stays in range as days drop off)
+  const activeDayIndex = activeIndex === null
+    ? chartDays.length - 1
+    : Math.min(activeIndex, chartDays.length - 1);
+  const activeDay = chartDays[activeDayIndex];
+
+  return (
+    <ScrollView contentContainerStyle={styles.scrollViewContent}>
+      <Text style={styles.cityName}>{getDisplayName(location)}</Text>
+
+      {/* The latest reading against the same time on earlier days */}
+      <View style={styles.card}>
+        <Text style={styles.cardTitle}>{t('history.compareTitle')}</Text>
+        {comparisons.length > 0 ? (
+          comparisons.map(({ key, comparison }) => (
+            <ComparisonRow
+              key={key}
+              comparison={comparison}
+              comparisonKey={key}
+              temperatureUnit={temperatureUnit}
+            />
+          ))
+        ) : (
+          <Text style={styles.helpText}>{t('history.compareLater')}</Text>
+        )}
+      </View>
+
+      {/* Each day's high and low */}
+      <View
+        style={styles.card}
+        onLayout={(event) => setWidth(event.nativeEvent.layout.width - 32)}
+      >
+        <View style={styles.cardHeader}>
+          <Text style={styles.cardTitle}>{t('history.trendTitle')}</Text>
+          <Text style={styles.cardValue}>
+            {formatLocationDate(activeDay.time, activeDay.timezoneOffset, { weekday: 'short', day: 'numeric' })}
+            {'  '}
+            {t('history.highLow', {
+              high: formatTemperature(activeDay.high, temperatureUnit),
+              low: formatTemperature(activeDay.low, temperatureUnit)
+            })}
+          </Text>
+        </View>
+        <Chart
+          width={width}
+          height={CHART_HEIGHT}
+          activeIndex={activeDayIndex}
+          onScrub={setActiveIndex}
+          series={[
+            { type: 'line', values: chartDays.map(day => convertTemperature(day.high, temperatureUnit)), color: colors.chartHigh },
+            { type: 'line', values: chartDays.map(day => convertTemperature(day.low, temperatureUnit)), color: colors.chartLow },
+          ]}
+          formatAxis={(value) => `${formatNumber(value)}${temperatureUnit === 'kelvin' ? '' : '°'}`}
+        />
+        <View style={styles.legend}>
+          <View style={styles.legendItem}>
+            <View style={[styles.legendSwatch, { backgroundColor: colors.chartHigh }]} />
+            <Text style={styles.legendText}>{t('history.high')}</Text>
+          </View>
+          <View style={styles.legendItem}>
+            <View style={[styles.legendSwatch, { backgroundColor: colors.chartLow }]} />
+            <Text style={styles.legendText}>{t('history.low')}</Text>
+          </View>
+        </View>
+      </View>
+
+      {/* A summary of each day, newest first */}
+      {days.map(day => (
+        <View key={day.key} style={styles.dayItem}>
+          <View style={styles.dayHeader}>
+            <Text style={styles.dayName}>
+              {formatLocationDate(day.time, day.timezoneOffset, { weekday: 'long' })}
+            </Text>
+            <Text style={styles.dayDate}>
+              {formatLocationDate(day.time, day.timezoneOffset, { month: 'short', day: 'numeric' })}
+            </Text>
+          </View>
+          <View style={styles.tempRow}>
+            <Text style={styles.maxTemp}>{formatTemperature(day.high, temperatureUnit)}</Text>
+            <Text style={styles.minTemp}>{formatTemperature(day.low, temperatureUnit)}</Text>
+          </View>
+          <Text style={styles.dayStats}>
+            {t('history.dayStats', {
+              average: formatTemperature(day.average, temperatureUnit),
+              humidity: day.humidity !== null ? formatPercent(day.humidity) : '--'
+            })}
+          </Text>
+          <Text style={styles.readings}>{t('history.readings', { count: day.count })}</Text>
+        </View>
+      ))}
+    </ScrollView>
+  );
+};
+
+const HistoryScreen = () => {
+  const locations = useLocations();
+  const [activeIndex, setActiveIndex] = useActiveIndex();
+  const styles = useThemedStyles(createStyles);
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <LocationPager
+        locations={locations}
+        activeIndex={activeIndex}
+        onChangeIndex={setActiveIndex}
+        renderPage={(location) => (
+          <CityHistory location={location} />
+        )}
+      />
+    </SafeAreaView>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  scrollViewContent: {
+    padding: 16,
+  },
+  centerContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  messageTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: colors.text,
+    textAlign: 'center',
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  messageHint: {
+    color: colors.textSecondary,
+    textAlign: 'center',
+  },
+  cityName: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: colors.text,
+    marginBottom: 12,
+  },
+  card: {
+    backgroundColor: colors.card,
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 12,
+    shadowColor: colors.shadow,
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.2,
+    shadowRadius: 1.5,
+    elevation: 2,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'baseline',
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: colors.text,
+    marginBottom: 8,
+  },
+  cardValue: {
+    fontSize: 13,
+    color: colors.textSecondary,
+  },
+  helpText: {
+    fontSize: 14,
+    color: colors.textMuted,
+  },
+  comparisonRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 4,
+  },
+  comparisonText: {
+    flex: 1,
+    fontSize: 16,
+    color: colors.text,
+    marginLeft: 8,
+  },
+  legend: {
+    flexDirection: 'row',
+    marginTop: 8,
+  },
+  legendItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginRight: 16,
+  },
+  legendSwatch: {
+    width: 12,
+    height: 3,
+    borderRadius: 1.5,
+    marginRight: 6,
+  },
+  legendText: {
+    fontSize: 12,
+    color: colors.textMuted,
+  },
+  dayItem: {
+    backgroundColor: colors.card,
+    borderRadius: 12,
+    marginBottom: 12,
+    padding: 16,
+    shadowColor: colors.shadow,
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.2,
+    shadowRadius: 1.5,
+    elevation: 2,
+  },
+  dayHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+    paddingBottom: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.divider,
+  },
+  dayName: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  dayDate: {
+    fontSize: 16,
+    color: colors.textMuted,
+  },
+  tempRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  maxTemp: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: colors.text,
+    marginRight: 12,
+  },
+  minTemp: {
+    fontSize: 20,
+    color: colors.textMuted,
+  },
+  dayStats: {
+    fontSize: 14,
+    color: colors.textSecondary,
+  },
+  readings: {
+    fontSize: 12,
+    color: colors.textMuted,
+    marginTop: 2,
+  },
+});
+
+export default HistoryScreen;
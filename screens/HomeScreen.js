@@ -9,148 +9,225 @@ import {
   RefreshControl,
   SafeAreaView 
 } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import LocationPager from '../components/LocationPager';
+import SessionBanner from '../components/SessionBanner';
+import LastUpdatedBanner from '../components/LastUpdatedBanner';
+import ErrorMessage from '../components/ErrorMessage';
+import AirQualityCard from '../components/AirQualityCard';
+import ComfortCard from '../components/ComfortCard';
+import ConditionsPanel from '../components/ConditionsPanel';
+import { getIconUrl } from '../providers';
+import { getDisplayName } from '../utils/locations';
+import { formatLocationDate, formatLocationTime, formatDeviceTime } from '../utils/time';
+import { formatTemperature, formatWindSpeed, formatPressure } from '../utils/units';
+import { useTheme, useThemedStyles } from '../utils/theme';
+import { useTranslation, formatPercent } from '../utils/i18n';
+import {
+  refreshWeather,
+  useActiveIndex,
+  useCurrentWeather,
+  useLocations,
+  useDisplaySettings
+} from '../utils/weatherStore';
 
-const HomeScreen = ({ weatherData, loading, settings, refreshData }) => {
+// Current weather for a single location (one page of the pager)
+const CityWeather = ({ location }) => {
   const [refreshing, setRefreshing] = React.useState(false);
+  const { weatherData, loading, updatedAt, offline, error } = useCurrentWeather(location.id);
+  const settings = useDisplaySettings();
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
 
-  // Handle pull-to-refresh
+  // Handle pull-to-refresh for just this location
   const onRefresh = React.useCallback(() => {
     setRefreshing(true);
-    refreshData().then(() => setRefreshing(false));
-  }, [refreshData]);
+    refreshWeather([location]).then(() => setRefreshing(false));
+  }, [location]);
+
+  // Try fetching this location again after an error
+  const retry = () => refreshWeather([location]);
 
   // Show loading indicator when we're fetching data
   if (loading && !weatherData) {
     return (
       <View style={styles.centerContainer}>
-        <ActivityIndicator size="large" color="#0096c7" />
-        <Text style={styles.loadingText}>Loading weather data...</Text>
+        <ActivityIndicator size="large" color={colors.primary} />
+        <Text style={styles.loadingText}>{t('home.loading')}</Text>
       </View>
     );
   }
 
+  // Show what went wrong if the fetch failed and there's nothing cached
+  if (!weatherData && error) {
+    return <ErrorMessage error={error} onRetry={retry} />;
+  }
+
   // Show error message if we don't have weather data
   if (!weatherData) {
     return (
       <View style={styles.centerContainer}>
-        <Ionicons name="cloud-offline-outline" size={64} color="#6c757d" />
-        <Text style={styles.errorText}>Weather data unavailable</Text>
-        <Text>Check your connection and try again</Text>
+        <Ionicons name="cloud-offline-outline" size={64} color={colors.textMuted} />
+        <Text style={styles.errorText}>
+          {t('home.unavailable', { name: getDisplayName(location, t) })}
+        </Text>
+        <Text style={styles.errorHint}>{t('common.checkConnection')}</Text>
       </View>
     );
   }
 
-  // Get correct temperature symbol based on user settings
-  const tempSymbol = settings.units === 'metric' ? '°C' : '°F';
-  const windUnit = settings.units === 'metric' ? 'm/s' : 'mph';
+  // Dates and times are shown in the location's time zone
+  const timezoneOffset = weatherData.location.timezoneOffset;
+  const sunriseDeviceTime = settings.showDeviceTime
+    && formatDeviceTime(weatherData.sunrise, timezoneOffset);
+  const sunsetDeviceTime = settings.showDeviceTime
+    && formatDeviceTime(weatherData.sunset, timezoneOffset);
 
   return (
-    <SafeAreaView style={styles.container}>
-      <ScrollView
-        contentContainerStyle={styles.scrollViewContent}
-        refreshControl={
-          <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
-        }
-      >
-        {/* Location and current date */}
-        <Text style={styles.location}>
-          {weatherData.name}, {weatherData.sys.country}
-        </Text>
-        <Text style={styles.date}>
-          {new Date().toLocaleDateString(undefined, {
-            weekday: 'long',
-            year: 'numeric',
-            month: 'long',
-            day: 'numeric',
-          })}
-        </Text>
+    <ScrollView
+      contentContainerStyle={styles.scrollViewContent}
+      refreshControl={
+        <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+      }
+    >
+      {/* How fresh the data is (and whether it came from the offline cache) */}
+      <LastUpdatedBanner updatedAt={updatedAt} offline={offline} />
 
-        {/* Current weather display */}
-        <View style={styles.weatherContainer}>
-          {weatherData.weather && weatherData.weather[0] && (
-            <Image
-              style={styles.weatherIcon}
-              source={{
-                uri: `https://openweathermap.org/img/wn/${weatherData.weather[0].icon}@4x.png`,
-              }}
-            />
-          )}
-          
-          <Text style={styles.temperature}>
-            {Math.round(weatherData.main.temp)}{tempSymbol}
-          </Text>
-          
-          <Text style={styles.weatherDescription}>
-            {weatherData.weather && weatherData.weather[0]
-              ? weatherData.weather[0].description
-              : 'Unknown'}
-          </Text>
+      {/* The latest refresh failed, but we still have older data to show */}
+      {error && <ErrorMessage error={error} onRetry={retry} compact />}
+
+      {/* Location and current date */}
+      {location.isCurrent && (
+        <View style={styles.currentLocationRow}>
+          <Ionicons name="navigate" size={14} color={colors.primary} />
+          <Text style={styles.currentLocationText}>{t('home.currentLocation')}</Text>
         </View>
+      )}
+      <Text style={styles.location}>
+        {getDisplayName(weatherData.location, t)}
+      </Text>
+      <Text style={styles.date}>
+        {formatLocationDate(Date.now(), timezoneOffset, {
+          weekday: 'long',
+          year: 'numeric',
+          month: 'long',
+          day: 'numeric',
+        })}
+      </Text>
+
+      {/* Current weather display */}
+      <View style={styles.weatherContainer}>
+        {weatherData.condition.icon && (
+          <Image
+            style={styles.weatherIcon}
+            source={{
+              uri: getIconUrl(weatherData.condition.icon, '4x'),
+            }}
+          />
+        )}
+        
+        <Text style={styles.temperature}>
+          {formatTemperature(weatherData.temp, settings.temperatureUnit)}
+        </Text>
+        
+        <Text style={styles.weatherDescription}>
+          {weatherData.condition.description}
+        </Text>
+      </View>
 
-        {/* Weather details */}
-        <View style={styles.detailsContainer}>
-          <View style={styles.detailRow}>
-            <View style={styles.detailItem}>
-              <Text style={styles.detailLabel}>Feels Like</Text>
-              <Text style={styles.detailValue}>
-                {Math.round(weatherData.main.feels_like)}{tempSymbol}
-              </Text>
-            </View>
-            
-            <View style={styles.detailItem}>
-              <Text style={styles.detailLabel}>Humidity</Text>
-              <Text style={styles.detailValue}>{weatherData.main.humidity}%</Text>
-            </View>
+      {/* Weather details */}
+      <View style={styles.detailsContainer}>
+        <View style={styles.detailRow}>
+          <View style={styles.detailItem}>
+            <Text style={styles.detailLabel}>{t('home.feelsLike')}</Text>
+            <Text style={styles.detailValue}>
+              {formatTemperature(weatherData.feelsLike, settings.temperatureUnit)}
+            </Text>
           </View>
           
-          <View style={styles.detailRow}>
-            <View style={styles.detailItem}>
-              <Text style={styles.detailLabel}>Wind Speed</Text>
-              <Text style={styles.detailValue}>
-                {Math.round(weatherData.wind.speed)} {windUnit}
-              </Text>
-            </View>
-            
-            <View style={styles.detailItem}>
-              <Text style={styles.detailLabel}>Pressure</Text>
-              <Text style={styles.detailValue}>
-                {weatherData.main.pressure} hPa
-              </Text>
-            </View>
+          <View style={styles.detailItem}>
+            <Text style={styles.detailLabel}>{t('home.humidity')}</Text>
+            <Text style={styles.detailValue}>{formatPercent(weatherData.humidity)}</Text>
           </View>
         </View>
-
-        {/* Sunrise and sunset times */}
-        <View style={styles.sunInfoContainer}>
-          <View style={styles.sunInfoItem}>
-            <Text style={styles.sunInfoLabel}>Sunrise</Text>
-            <Text style={styles.sunInfoTime}>
-              {new Date(weatherData.sys.sunrise * 1000).toLocaleTimeString([], {
-                hour: '2-digit',
-                minute: '2-digit',
-              })}
+        
+        <View style={styles.detailRow}>
+          <View style={styles.detailItem}>
+            <Text style={styles.detailLabel}>{t('home.windSpeed')}</Text>
+            <Text style={styles.detailValue}>
+              {formatWindSpeed(weatherData.windSpeed, settings.windUnit)}
             </Text>
           </View>
           
-          <View style={styles.sunInfoItem}>
-            <Text style={styles.sunInfoLabel}>Sunset</Text>
-            <Text style={styles.sunInfoTime}>
-              {new Date(weatherData.sys.sunset * 1000).toLocaleTimeString([], {
-                hour: '2-digit',
-                minute: '2-digit',
-              })}
+          <View style={styles.detailItem}>
+            <Text style={styles.detailLabel}>{t('home.pressure')}</Text>
+            <Text style={styles.detailValue}>
+              {formatPressure(weatherData.pressure, settings.pressureUnit)}
             </Text>
           </View>
         </View>
-      </ScrollView>
+      </View>
+
+      {/* Wind direction, gusts, visibility, clouds, rain and today's range */}
+      <ConditionsPanel weatherData={weatherData} settings={settings} />
+
+      {/* Dew point, heat index, wind chill and how comfortable it is */}
+      <ComfortCard weatherData={weatherData} temperatureUnit={settings.temperatureUnit} />
+
+      {/* Air quality, when the provider has it */}
+      <AirQualityCard locationId={location.id} />
+
+      {/* Sunrise and sunset times */}
+      <View style={styles.sunInfoContainer}>
+        <View style={styles.sunInfoItem}>
+          <Text style={styles.sunInfoLabel}>{t('home.sunrise')}</Text>
+          <Text style={styles.sunInfoTime}>
+            {formatLocationTime(weatherData.sunrise, timezoneOffset)}
+          </Text>
+          {sunriseDeviceTime && (
+            <Text style={styles.deviceTime}>{sunriseDeviceTime}</Text>
+          )}
+        </View>
+        
+        <View style={styles.sunInfoItem}>
+          <Text style={styles.sunInfoLabel}>{t('home.sunset')}</Text>
+          <Text style={styles.sunInfoTime}>
+            {formatLocationTime(weatherData.sunset, timezoneOffset)}
+          </Text>
+          {sunsetDeviceTime && (
+            <Text style={styles.deviceTime}>{sunsetDeviceTime}</Text>
+          )}
+        </View>
+      </View>
+    </ScrollView>
+  );
+};
+
+const HomeScreen = () => {
+  const locations = useLocations();
+  const [activeIndex, setActiveIndex] = useActiveIndex();
+  const styles = useThemedStyles(createStyles);
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <SessionBanner />
+      <LocationPager
+        locations={locations}
+        activeIndex={activeIndex}
+        onChangeIndex={setActiveIndex}
+        renderPage={(location) => (
+          <CityWeather location={location} />
+        )}
+      />
     </SafeAreaView>
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
-    backgroundColor: '#f8f9fa',
+    backgroundColor: colors.background,
   },
   scrollViewContent: {
     flexGrow: 1,
@@ -165,23 +242,37 @@ const styles = StyleSheet.create({
   loadingText: {
     marginTop: 10,
     fontSize: 16,
-    color: '#6c757d',
+    color: colors.textMuted,
   },
   errorText: {
     fontSize: 18,
     fontWeight: 'bold',
+    color: colors.text,
     marginTop: 12,
     marginBottom: 8,
   },
+  errorHint: {
+    color: colors.textSecondary,
+  },
+  currentLocationRow: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  currentLocationText: {
+    fontSize: 14,
+    color: colors.primary,
+    marginLeft: 4,
+  },
   location: {
     fontSize: 28,
     fontWeight: 'bold',
     textAlign: 'center',
-    color: '#212529',
+    color: colors.text,
   },
   date: {
     fontSize: 16,
-    color: '#6c757d',
+    color: colors.textMuted,
     textAlign: 'center',
     marginBottom: 20,
   },
@@ -196,19 +287,19 @@ const styles = StyleSheet.create({
   temperature: {
     fontSize: 72,
     fontWeight: 'bold',
-    color: '#0096c7',
+    color: colors.primary,
   },
   weatherDescription: {
     fontSize: 20,
-    color: '#495057',
+    color: colors.textSecondary,
     textTransform: 'capitalize',
   },
   detailsContainer: {
-    backgroundColor: 'white',
+    backgroundColor: colors.card,
     borderRadius: 12,
     padding: 16,
     marginBottom: 16,
-    shadowColor: '#000',
+    shadowColor: colors.shadow,
     shadowOffset: { width: 0, height: 1 },
     shadowOpacity: 0.2,
     shadowRadius: 1.5,
@@ -225,21 +316,21 @@ const styles = StyleSheet.create({
   },
   detailLabel: {
     fontSize: 14,
-    color: '#6c757d',
+    color: colors.textMuted,
     marginBottom: 4,
   },
   detailValue: {
     fontSize: 18,
     fontWeight: '600',
-    color: '#212529',
+    color: colors.text,
   },
   sunInfoContainer: {
     flexDirection: 'row',
     justifyContent: 'space-between',
-    backgroundColor: 'white',
+    backgroundColor: colors.card,
     borderRadius: 12,
     padding: 16,
-    shadowColor: '#000',
+    shadowColor: colors.shadow,
     shadowOffset: { width: 0, height: 1 },
     shadowOpacity: 0.2,
     shadowRadius: 1.5,
@@ -251,13 +342,18 @@ const styles = StyleSheet.create({
   },
   sunInfoLabel: {
     fontSize: 14,
-    color: '#6c757d',
+    color: colors.textMuted,
     marginBottom: 4,
   },
   sunInfoTime: {
     fontSize: 18,
     fontWeight: '600',
-    color: '#212529',
+    color: colors.text,
+  },
+  deviceTime: {
+    fontSize: 12,
+    color: colors.textMuted,
+    marginTop: 2,
   },
 });
 
@@ -8,8 +8,36 @@ import {
   Switch,
   Alert,
   ScrollView,
-  SafeAreaView
+  SafeAreaView,
+  ActivityIndicator,
+  Platform
 } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { PROVIDERS } from '../providers';
+import { DEMO_SCENARIOS } from '../providers/demo';
+import LocationSearch from '../components/LocationSearch';
+import { createLocation, getDisplayName } from '../utils/locations';
+import { UNIT_OPTIONS } from '../utils/units';
+import { THEME_MODES, useTheme, useThemedStyles } from '../utils/theme';
+import { useTranslation } from '../utils/i18n';
+import { LANGUAGES } from '../locales';
+import { SettingsError } from '../utils/settingsSchema';
+import { saveSettingsFile, openSettingsFile } from '../utils/settingsFile';
+import { confirmDestructive } from '../utils/confirm';
+import { HISTORY_DAYS_OPTIONS } from '../utils/weatherHistory';
+import {
+  updateApiKey,
+  removeApiKey,
+  clearWeatherHistory,
+  exportPreferences,
+  importPreferences,
+  setProviderSettings,
+  useAlertRules,
+  useApiKey,
+  useProviderSettings,
+  useSavedLocations,
+  useSettings
+} from '../utils/weatherStore';
 
 // List of popular cities for quick selection
 const POPULAR_CITIES = [
@@ -23,85 +51,422 @@ const POPULAR_CITIES = [
   'Rio de Janeiro'
 ];
 
-const SettingsScreen = ({ settings, setSettings }) => {
-  // Local state for the location input
-  const [locationInput, setLocationInput] = useState(settings.location);
-  
-  // Function to update location
-  const updateLocation = () => {
-    // Check if location is not empty
-    if (locationInput.trim() === '') {
-      Alert.alert('Error', 'Please enter a valid location');
+// The theme colour for each API key status (labels are in locales/)
+const KEY_STATUS_COLORS = {
+  loading: 'textMuted',
+  missing: 'textMuted',
+  valid: 'success',
+  invalid: 'danger',
+  quotaExceeded: 'warning'
+};
+
+// Each unit setting in the Units section
+const UNIT_SETTINGS = ['temperatureUnit', 'windUnit', 'pressureUnit', 'distanceUnit'];
+
+// How far the device must move before the current location refreshes (metres)
+const LOCATION_DISTANCE_OPTIONS = [500, 1000, 5000, 10000];
+
+// How long cached weather can be shown while offline (in hours)
+const CACHE_AGE_OPTIONS = [1, 6, 24, 72];
+
+// How old weather can get before it's refreshed automatically (in minutes, 0 for never)
+const REFRESH_INTERVAL_OPTIONS = [0, 15, 30, 60, 180];
+
+// The OS can only refresh in the background in the iOS and Android apps
+const backgroundRefreshSupported = Platform.OS !== 'web';
+
+const SettingsScreen = ({ navigation }) => {
+  const [settings, setSettings] = useSettings();
+  const [locations, setLocations] = useSavedLocations();
+  const { apiKey, apiKeyStatus } = useApiKey();
+  const [alertRules] = useAlertRules();
+
+  // Local state for the location search and API key inputs
+  const [locationInput, setLocationInput] = useState('');
+  const [apiKeyInput, setApiKeyInput] = useState('');
+  const [checkingKey, setCheckingKey] = useState(false);
+  const { provider: activeProvider, demoScenario } = useProviderSettings();
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const { t, isRTL } = useTranslation();
+  
+  // Function to add a place picked from the search results
+  const addLocation = (place) => {
+    const location = createLocation(place);
+    
+    // Don't save the same place twice
+    if (locations.some(saved => saved.id === location.id)) {
+      Alert.alert(t('common.error'), t('settings.alreadySaved', { name: getDisplayName(location) }));
       return;
     }
     
-    // Update location in settings
+    setLocations([...locations, location]);
+    setLocationInput('');
+    Alert.alert(t('common.success'), t('settings.added', { name: getDisplayName(location) }));
+  };
+  
+  // Function to remove a saved location
+  const removeLocation = (location) => {
+    // Always keep at least one city to show on the dashboard
+    if (locations.length === 1) {
+      Alert.alert(t('common.error'), t('settings.needOneLocation'));
+      return;
+    }
+    
+    setLocations(locations.filter(saved => saved.id !== location.id));
+  };
+  
+  // Function to move a location up (-1) or down (+1) in the list
+  const moveLocation = (index, direction) => {
+    const newIndex = index + direction;
+    if (newIndex < 0 || newIndex >= locations.length) {
+      return;
+    }
+    
+    const reordered = [...locations];
+    [reordered[index], reordered[newIndex]] = [reordered[newIndex], reordered[index]];
+    setLocations(reordered);
+  };
+  
+  // Function to switch between light, dark and following the device
+  const selectThemeMode = (themeMode) => {
+    setSettings({
+      ...settings,
+      themeMode
+    });
+  };
+  
+  // Function to pick the app's language ('system' follows the device)
+  const selectLanguage = (language) => {
     setSettings({
       ...settings,
-      location: locationInput.trim()
+      language
     });
+  };
+  
+  // Function to change one of the display units (e.g. windUnit to 'knots').
+  // Weather is converted on screen, so this doesn't fetch anything
+  const selectUnit = (key, unit) => {
+    setSettings({
+      ...settings,
+      [key]: unit
+    });
+  };
+  
+  // Function to test the typed API key and save it if it works
+  const submitApiKey = async () => {
+    if (apiKeyInput.trim() === '') {
+      Alert.alert(t('common.error'), t('settings.enterKey'));
+      return;
+    }
     
-    Alert.alert('Success', `Location updated to ${locationInput.trim()}`);
+    setCheckingKey(true);
+    try {
+      const status = await updateApiKey(apiKeyInput.trim());
+      if (status === 'invalid') {
+        Alert.alert(t('settings.invalidKeyTitle'), t('settings.invalidKeyMessage'));
+      } else {
+        setApiKeyInput('');
+        Alert.alert(
+          t('common.success'), 
+          status === 'quotaExceeded' 
+            ? t('settings.keySavedOverQuota')
+            : t('settings.keySaved')
+        );
+      }
+    } catch (error) {
+      // Couldn't reach the server, so we can't tell if the key works
+      Alert.alert(t('common.error'), t('settings.keyCheckFailed'));
+    } finally {
+      setCheckingKey(false);
+    }
   };
   
-  // Function to toggle temperature units
-  const toggleUnits = () => {
-    const newUnits = settings.units === 'metric' ? 'imperial' : 'metric';
+  // Function to forget the saved API key, after checking
+  const removeKey = async () => {
+    const confirmed = await confirmDestructive({
+      title: t('settings.apiKey'),
+      message: t('settings.removeKeyMessage'),
+      confirmText: t('settings.removeKey'),
+      cancelText: t('common.cancel')
+    });
+    if (confirmed) {
+      removeApiKey();
+    }
+  };
+  
+  // Function to change how long cached weather is kept
+  const selectCacheAge = (hours) => {
     setSettings({
       ...settings,
-      units: newUnits
+      cacheMaxAge: hours
     });
   };
   
-  // Function to select a popular city
-  const selectCity = (city) => {
-    setLocationInput(city);
+  // Function to change how many days of past readings are kept (0 for none)
+  const selectHistoryDays = (days) => {
+    setSettings({
+      ...settings,
+      historyDays: days
+    });
+  };
+  
+  // Function to delete the saved history for every location, after checking
+  const clearHistory = async () => {
+    const confirmed = await confirmDestructive({
+      title: t('settings.clearHistory'),
+      message: t('settings.clearHistoryMessage'),
+      confirmText: t('settings.clearHistoryConfirm'),
+      cancelText: t('common.cancel')
+    });
+    if (confirmed) {
+      await clearWeatherHistory();
+      Alert.alert(t('common.success'), t('settings.historyCleared'));
+    }
+  };
+  
+  // Function to change how often the weather refreshes by itself
+  const selectRefreshInterval = (minutes) => {
     setSettings({
       ...settings,
-      location: city
+      refreshInterval: minutes
     });
   };
   
+  // Function to turn refreshing while the app is closed on or off
+  const toggleBackgroundRefresh = () => {
+    setSettings({
+      ...settings,
+      backgroundRefresh: !settings.backgroundRefresh
+    });
+  };
+  
+  // Function to switch weather provider
+  const selectProvider = (providerId) => {
+    setProviderSettings({ provider: providerId });
+  };
+  
+  // Function to pick what the demo provider shows
+  const selectDemoScenario = (scenarioId) => {
+    setProviderSettings({ demoScenario: scenarioId });
+  };
+  
+  // Function to turn following the device's location on or off
+  // (WeatherStoreSync asks for permission and falls back to saved cities if refused)
+  const toggleDeviceLocation = () => {
+    setSettings({
+      ...settings,
+      useDeviceLocation: !settings.useDeviceLocation
+    });
+  };
+  
+  // Function to turn showing device times next to location times on or off
+  const toggleDeviceTime = () => {
+    setSettings({
+      ...settings,
+      showDeviceTime: !settings.showDeviceTime
+    });
+  };
+  
+  // Function to save the settings, cities and alert rules to a file
+  const exportSettings = async () => {
+    try {
+      const saved = await saveSettingsFile(exportPreferences(), t('settings.exportSettings'));
+      if (!saved) {
+        Alert.alert(t('common.error'), t('settings.exportUnavailable'));
+      }
+    } catch (error) {
+      console.error('Failed to export settings', error);
+      Alert.alert(t('common.error'), t('settings.exportFailed'));
+    }
+  };
+  
+  // Function to load settings from a file exported on this or another device,
+  // after checking it's fine to replace the current ones
+  const importSettings = async () => {
+    try {
+      const contents = await openSettingsFile();
+      if (contents === null) {
+        return;
+      }
+      const confirmed = await confirmDestructive({
+        title: t('settings.importSettings'),
+        message: t('settings.importConfirmMessage'),
+        confirmText: t('settings.importConfirm'),
+        cancelText: t('common.cancel')
+      });
+      if (!confirmed) {
+        return;
+      }
+      importPreferences(contents);
+      Alert.alert(t('common.success'), t('settings.importDone'));
+    } catch (error) {
+      if (!(error instanceof SettingsError)) {
+        console.error('Failed to import settings', error);
+        Alert.alert(t('common.error'), t('settings.importFailed'));
+      } else if (error.type === 'newerVersion') {
+        Alert.alert(t('common.error'), t('settings.importNewerVersion'));
+      } else {
+        Alert.alert(t('common.error'), t('settings.importInvalid'));
+      }
+    }
+  };
+  
+  // Function to change how far the device must move before refreshing
+  const selectLocationDistance = (metres) => {
+    setSettings({
+      ...settings,
+      locationDistance: metres
+    });
+  };
+  
+  // Function to search for a popular city, so the right one can be picked
+  const selectCity = (city) => {
+    setLocationInput(city);
+  };
+  
+  // Whether a popular city is already in the saved list
+  const isSaved = (city) => locations.some(location => location.name === city);
+  
   return (
     <SafeAreaView style={styles.container}>
       <ScrollView contentContainerStyle={styles.scrollContent}>
-        <Text style={styles.title}>Weather Settings</Text>
+        <Text style={styles.title}>{t('settings.title')}</Text>
         
-        {/* Location input section */}
+        {/* Saved locations section */}
         <View style={styles.card}>
-          <Text style={styles.sectionTitle}>Location</Text>
-          <TextInput
-            style={styles.input}
-            value={locationInput}
-            onChangeText={setLocationInput}
-            placeholder="Enter city name"
-            placeholderTextColor="#adb5bd"
+          <Text style={styles.sectionTitle}>{t('settings.savedLocations')}</Text>
+          {locations.map((location, index) => (
+            <View key={location.id} style={styles.locationRow}>
+              <Text style={styles.locationName}>{getDisplayName(location)}</Text>
+              <TouchableOpacity
+                style={styles.iconButton}
+                onPress={() => moveLocation(index, -1)}
+                disabled={index === 0}
+              >
+                <Ionicons 
+                  name="chevron-up" 
+                  size={20} 
+                  color={index === 0 ? colors.border : colors.textSecondary} 
+                />
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.iconButton}
+                onPress={() => moveLocation(index, 1)}
+                disabled={index === locations.length - 1}
+              >
+                <Ionicons 
+                  name="chevron-down" 
+                  size={20} 
+                  color={index === locations.length - 1 ? colors.border : colors.textSecondary} 
+                />
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.iconButton}
+                onPress={() => removeLocation(location)}
+              >
+                <Ionicons name="trash-outline" size={20} color={colors.danger} />
+              </TouchableOpacity>
+            </View>
+          ))}
+          
+          <View style={styles.divider} />
+          
+          <LocationSearch
+            provider={activeProvider}
+            apiKey={apiKey}
+            query={locationInput}
+            setQuery={setLocationInput}
+            onSelect={addLocation}
           />
+        </View>
+        
+        {/* Current location section */}
+        <View style={styles.card}>
+          <View style={styles.switchRow}>
+            <Ionicons name="navigate" size={20} color={colors.primary} />
+            <Text style={styles.switchLabel}>{t('settings.useCurrentLocation')}</Text>
+            <Switch
+              trackColor={{ false: colors.placeholder, true: colors.primary }}
+              thumbColor={colors.onPrimary}
+              ios_backgroundColor={colors.placeholder}
+              onValueChange={toggleDeviceLocation}
+              value={settings.useDeviceLocation}
+            />
+          </View>
+          {settings.useDeviceLocation && (
+            <>
+              <Text style={[styles.helpText, styles.distanceHelpText]}>
+                {t('settings.refreshDistance')}
+              </Text>
+              <View style={styles.citiesContainer}>
+                {LOCATION_DISTANCE_OPTIONS.map(metres => (
+                  <TouchableOpacity
+                    key={metres}
+                    style={[
+                      styles.cityButton,
+                      metres === settings.locationDistance && styles.activeCity
+                    ]}
+                    onPress={() => selectLocationDistance(metres)}
+                  >
+                    <Text 
+                      style={[
+                        styles.cityButtonText,
+                        metres === settings.locationDistance && styles.activeCityText
+                      ]}
+                    >
+                      {metres < 1000 
+                        ? t('settings.metres', { count: metres }) 
+                        : t('settings.kilometres', { count: metres / 1000 })}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            </>
+          )}
+        </View>
+        
+        {/* Weather alerts section */}
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>{t('alerts.title')}</Text>
+          <Text style={styles.helpText}>{t('alerts.help')}</Text>
           <TouchableOpacity 
-            style={styles.button}
-            onPress={updateLocation}
+            style={styles.switchRow}
+            onPress={() => navigation.navigate('AlertRules')}
           >
-            <Text style={styles.buttonText}>Update Location</Text>
+            <Ionicons name="notifications-outline" size={20} color={colors.primary} />
+            <Text style={styles.switchLabel}>{t('alerts.manage')}</Text>
+            <Text style={styles.ruleCountText}>
+              {t('alerts.ruleCount', { count: alertRules.length })}
+            </Text>
+            <Ionicons 
+              name={isRTL ? 'chevron-back' : 'chevron-forward'} 
+              size={20} 
+              color={colors.placeholder} 
+            />
           </TouchableOpacity>
         </View>
         
         {/* Popular cities section */}
         <View style={styles.card}>
-          <Text style={styles.sectionTitle}>Popular Cities</Text>
+          <Text style={styles.sectionTitle}>{t('settings.popularCities')}</Text>
+          <Text style={styles.helpText}>
+            {t('settings.popularCitiesHelp')}
+          </Text>
           <View style={styles.citiesContainer}>
             {POPULAR_CITIES.map(city => (
               <TouchableOpacity
                 key={city}
                 style={[
                   styles.cityButton,
-                  city === settings.location && styles.activeCity
+                  isSaved(city) && styles.activeCity
                 ]}
                 onPress={() => selectCity(city)}
               >
                 <Text 
                   style={[
                     styles.cityButtonText,
-                    city === settings.location && styles.activeCityText
+                    isSaved(city) && styles.activeCityText
                   ]}
                 >
                   {city}
@@ -111,29 +476,356 @@ const SettingsScreen = ({ settings, setSettings }) => {
           </View>
         </View>
         
-        {/* Temperature units section */}
+        {/* Appearance section */}
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>{t('settings.appearance')}</Text>
+          <Text style={styles.helpText}>
+            {t('settings.appearanceHelp')}
+          </Text>
+          <View style={styles.citiesContainer}>
+            {THEME_MODES.map(mode => (
+              <TouchableOpacity
+                key={mode}
+                style={[
+                  styles.cityButton,
+                  settings.themeMode === mode && styles.activeCity
+                ]}
+                onPress={() => selectThemeMode(mode)}
+              >
+                <Text 
+                  style={[
+                    styles.cityButtonText,
+                    settings.themeMode === mode && styles.activeCityText
+                  ]}
+                >
+                  {t(`settings.themeModes.${mode}`)}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+        
+        {/* Language section */}
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>{t('settings.language')}</Text>
+          <Text style={styles.helpText}>{t('settings.languageHelp')}</Text>
+          <View style={styles.citiesContainer}>
+            {[{ id: 'system', label: t('settings.systemLanguage') }, ...LANGUAGES].map(language => (
+              <TouchableOpacity
+                key={language.id}
+                style={[
+                  styles.cityButton,
+                  settings.language === language.id && styles.activeCity
+                ]}
+                onPress={() => selectLanguage(language.id)}
+              >
+                <Text 
+                  style={[
+                    styles.cityButtonText,
+                    settings.language === language.id && styles.activeCityText
+                  ]}
+                >
+                  {language.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+        
+        {/* Units section */}
         <View style={styles.card}>
-          <Text style={styles.sectionTitle}>Temperature Units</Text>
-          <View style={styles.unitsContainer}>
-            <Text style={styles.unitText}>Celsius (°C)</Text>
+          <Text style={styles.sectionTitle}>{t('settings.units')}</Text>
+          {UNIT_SETTINGS.map(unitSetting => (
+            <View key={unitSetting} style={styles.unitGroup}>
+              <Text style={styles.unitLabel}>{t(`settings.unitTypes.${unitSetting}`)}</Text>
+              <View style={styles.citiesContainer}>
+                {UNIT_OPTIONS[unitSetting].map(option => (
+                  <TouchableOpacity
+                    key={option.id}
+                    style={[
+                      styles.cityButton,
+                      settings[unitSetting] === option.id && styles.activeCity
+                    ]}
+                    onPress={() => selectUnit(unitSetting, option.id)}
+                  >
+                    <Text 
+                      style={[
+                        styles.cityButtonText,
+                        settings[unitSetting] === option.id && styles.activeCityText
+                      ]}
+                    >
+                      {option.label}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            </View>
+          ))}
+        </View>
+        
+        {/* Time zone section */}
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>{t('settings.timeZone')}</Text>
+          <View style={styles.switchRow}>
+            <Ionicons name="time-outline" size={20} color={colors.primary} />
+            <Text style={styles.switchLabel}>{t('settings.showDeviceTime')}</Text>
             <Switch
-              trackColor={{ false: '#0096c7', true: '#0096c7' }}
-              thumbColor={'#ffffff'}
-              ios_backgroundColor="#adb5bd"
-              onValueChange={toggleUnits}
-              value={settings.units === 'imperial'} // on = imperial, off = metric
+              trackColor={{ false: colors.placeholder, true: colors.primary }}
+              thumbColor={colors.onPrimary}
+              ios_backgroundColor={colors.placeholder}
+              onValueChange={toggleDeviceTime}
+              value={settings.showDeviceTime}
             />
-            <Text style={styles.unitText}>Fahrenheit (°F)</Text>
           </View>
+          <Text style={[styles.helpText, styles.distanceHelpText]}>
+            {t('settings.timeZoneHelp')}
+          </Text>
+        </View>
+        
+        {/* Weather provider section */}
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>{t('settings.provider')}</Text>
+          <View style={styles.citiesContainer}>
+            {PROVIDERS.map(provider => (
+              <TouchableOpacity
+                key={provider.id}
+                style={[
+                  styles.cityButton,
+                  provider.id === activeProvider.id && styles.activeCity
+                ]}
+                onPress={() => selectProvider(provider.id)}
+              >
+                <Text 
+                  style={[
+                    styles.cityButtonText,
+                    provider.id === activeProvider.id && styles.activeCityText
+                  ]}
+                >
+                  {provider.name}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          {!activeProvider.requiresApiKey && (
+            <Text style={styles.helpText}>{t('settings.noKeyNeeded')}</Text>
+          )}
+          {activeProvider.id === 'demo' && (
+            <>
+              <View style={styles.divider} />
+              <Text style={styles.helpText}>{t('settings.demoHelp')}</Text>
+              <View style={styles.citiesContainer}>
+                {DEMO_SCENARIOS.map(scenario => (
+                  <TouchableOpacity
+                    key={scenario.id}
+                    style={[
+                      styles.cityButton,
+                      scenario.id === demoScenario && styles.activeCity
+                    ]}
+                    onPress={() => selectDemoScenario(scenario.id)}
+                  >
+                    <Text 
+                      style={[
+                        styles.cityButtonText,
+                        scenario.id === demoScenario && styles.activeCityText
+                      ]}
+                    >
+                      {/* Failures use the same titles as the real errors */}
+                      {scenario.error 
+                        ? t(`errors.${scenario.error}.title`) 
+                        : t(`settings.demoScenarios.${scenario.id}`)}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            </>
+          )}
+        </View>
+        
+        {/* API key section */}
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>{t('settings.apiKey')}</Text>
+          <View style={styles.keyStatusRow}>
+            <View 
+              style={[
+                styles.keyStatusDot, 
+                { backgroundColor: colors[KEY_STATUS_COLORS[apiKeyStatus]] }
+              ]} 
+            />
+            <Text style={styles.keyStatusText}>
+              {t(`settings.keyStatus.${apiKeyStatus}`)}
+              {apiKey ? `  (•••• ${apiKey.slice(-4)})` : ''}
+            </Text>
+            {apiKey && (
+              <TouchableOpacity onPress={removeKey}>
+                <Text style={styles.removeKeyText}>{t('settings.removeKey')}</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+          <TextInput
+            style={styles.input}
+            value={apiKeyInput}
+            onChangeText={setApiKeyInput}
+            placeholder={t('settings.keyPlaceholder')}
+            placeholderTextColor={colors.placeholder}
+            autoCapitalize="none"
+            autoCorrect={false}
+            secureTextEntry
+          />
+          <TouchableOpacity 
+            style={styles.button}
+            onPress={submitApiKey}
+            disabled={checkingKey}
+          >
+            {checkingKey ? (
+              <ActivityIndicator color={colors.onPrimary} />
+            ) : (
+              <Text style={styles.buttonText}>{t('settings.saveKey')}</Text>
+            )}
+          </TouchableOpacity>
+          <Text style={[styles.helpText, styles.keyHelpText]}>
+            {t('settings.keyHelp')}
+          </Text>
+        </View>
+        
+        {/* Offline cache section */}
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>{t('settings.offlineData')}</Text>
+          <Text style={styles.helpText}>
+            {t('settings.offlineDataHelp')}
+          </Text>
+          <View style={styles.citiesContainer}>
+            {CACHE_AGE_OPTIONS.map(hours => (
+              <TouchableOpacity
+                key={hours}
+                style={[
+                  styles.cityButton,
+                  hours === settings.cacheMaxAge && styles.activeCity
+                ]}
+                onPress={() => selectCacheAge(hours)}
+              >
+                <Text 
+                  style={[
+                    styles.cityButtonText,
+                    hours === settings.cacheMaxAge && styles.activeCityText
+                  ]}
+                >
+                  {hours < 24 
+                    ? t('settings.hours', { count: hours }) 
+                    : t('settings.days', { count: hours / 24 })}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+        
+        {/* Auto-refresh section */}
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>{t('settings.autoRefresh')}</Text>
+          <Text style={styles.helpText}>
+            {t('settings.autoRefreshHelp')}
+          </Text>
+          <View style={styles.citiesContainer}>
+            {REFRESH_INTERVAL_OPTIONS.map(minutes => (
+              <TouchableOpacity
+                key={minutes}
+                style={[
+                  styles.cityButton,
+                  minutes === settings.refreshInterval && styles.activeCity
+                ]}
+                onPress={() => selectRefreshInterval(minutes)}
+              >
+                <Text 
+                  style={[
+                    styles.cityButtonText,
+                    minutes === settings.refreshInterval && styles.activeCityText
+                  ]}
+                >
+                  {minutes === 0 
+                    ? t('settings.refreshOff') 
+                    : minutes < 60 
+                      ? t('settings.minutes', { count: minutes }) 
+                      : t('settings.hours', { count: minutes / 60 })}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          {backgroundRefreshSupported && (
+            <>
+              <View style={styles.divider} />
+              <View style={styles.switchRow}>
+                <Ionicons name="cloud-download-outline" size={20} color={colors.primary} />
+                <Text style={styles.switchLabel}>{t('settings.backgroundRefresh')}</Text>
+                <Switch
+                  trackColor={{ false: colors.placeholder, true: colors.primary }}
+                  thumbColor={colors.onPrimary}
+                  ios_backgroundColor={colors.placeholder}
+                  onValueChange={toggleBackgroundRefresh}
+                  value={settings.backgroundRefresh}
+                />
+              </View>
+              <Text style={[styles.helpText, styles.distanceHelpText]}>
+                {t('settings.backgroundRefreshHelp')}
+              </Text>
+            </>
+          )}
+        </View>
+        
+        {/* History section */}
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>{t('settings.history')}</Text>
+          <Text style={styles.helpText}>
+            {t('settings.historyHelp')}
+          </Text>
+          <View style={styles.citiesContainer}>
+            {HISTORY_DAYS_OPTIONS.map(days => (
+              <TouchableOpacity
+                key={days}
+                style={[
+                  styles.cityButton,
+                  days === settings.historyDays && styles.activeCity
+                ]}
+                onPress={() => selectHistoryDays(days)}
+              >
+                <Text 
+                  style={[
+                    styles.cityButtonText,
+                    days === settings.historyDays && styles.activeCityText
+                  ]}
+                >
+                  {days === 0 
+                    ? t('settings.historyOff') 
+                    : t('settings.days', { count: days })}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <View style={styles.divider} />
+          <TouchableOpacity style={styles.switchRow} onPress={clearHistory}>
+            <Ionicons name="trash-outline" size={20} color={colors.danger} />
+            <Text style={styles.switchLabel}>{t('settings.clearHistory')}</Text>
+          </TouchableOpacity>
+        </View>
+        
+        {/* Backup section */}
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>{t('settings.backup')}</Text>
+          <Text style={styles.helpText}>{t('settings.backupHelp')}</Text>
+          <TouchableOpacity style={styles.switchRow} onPress={exportSettings}>
+            <Ionicons name="share-outline" size={20} color={colors.primary} />
+            <Text style={styles.switchLabel}>{t('settings.exportSettings')}</Text>
+          </TouchableOpacity>
+          <View style={styles.divider} />
+          <TouchableOpacity style={styles.switchRow} onPress={importSettings}>
+            <Ionicons name="download-outline" size={20} color={colors.primary} />
+            <Text style={styles.switchLabel}>{t('settings.importSettings')}</Text>
+          </TouchableOpacity>
         </View>
         
         {/* About section */}
         <View style={styles.card}>
-          <Text style={styles.sectionTitle}>About</Text>
+          <Text style={styles.sectionTitle}>{t('settings.about')}</Text>
           <Text style={styles.aboutText}>
-            Weather Dashboard v1.0{'\n'}
-            Created with React Native and Expo{'\n'}
-            Data provided by OpenWeatherMap
+            {t('settings.aboutText', { provider: activeProvider.name })}
           </Text>
         </View>
       </ScrollView>
@@ -141,10 +833,10 @@ const SettingsScreen = ({ settings, setSettings }) => {
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
-    backgroundColor: '#f8f9fa',
+    backgroundColor: colors.background,
   },
   scrollContent: {
     padding: 16,
@@ -152,15 +844,15 @@ const styles = StyleSheet.create({
   title: {
     fontSize: 24,
     fontWeight: 'bold',
-    color: '#212529',
+    color: colors.text,
     marginBottom: 16,
   },
   card: {
-    backgroundColor: 'white',
+    backgroundColor: colors.card,
     borderRadius: 12,
     padding: 16,
     marginBottom: 16,
-    shadowColor: '#000',
+    shadowColor: colors.shadow,
     shadowOffset: { width: 0, height: 1 },
     shadowOpacity: 0.2,
     shadowRadius: 1.5,
@@ -169,34 +861,49 @@ const styles = StyleSheet.create({
   sectionTitle: {
     fontSize: 18,
     fontWeight: 'bold',
-    color: '#212529',
+    color: colors.text,
     marginBottom: 12,
   },
   input: {
     borderWidth: 1,
-    borderColor: '#ced4da',
+    borderColor: colors.border,
     borderRadius: 8,
     padding: 12,
     fontSize: 16,
+    color: colors.text,
     marginBottom: 12,
   },
   button: {
-    backgroundColor: '#0096c7',
+    backgroundColor: colors.primary,
     padding: 12,
     borderRadius: 8,
     alignItems: 'center',
   },
   buttonText: {
-    color: 'white',
+    color: colors.onPrimary,
     fontSize: 16,
     fontWeight: 'bold',
   },
+  locationRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+  },
+  locationName: {
+    flex: 1,
+    fontSize: 16,
+    color: colors.text,
+  },
+  iconButton: {
+    padding: 6,
+    marginLeft: 4,
+  },
   citiesContainer: {
     flexDirection: 'row',
     flexWrap: 'wrap',
   },
   cityButton: {
-    backgroundColor: '#e9ecef',
+    backgroundColor: colors.subtle,
     paddingVertical: 8,
     paddingHorizontal: 12,
     borderRadius: 20,
@@ -204,34 +911,80 @@ const styles = StyleSheet.create({
   },
   cityButtonText: {
     fontSize: 14,
-    color: '#495057',
+    color: colors.textSecondary,
   },
   activeCity: {
-    backgroundColor: '#0096c7',
+    backgroundColor: colors.primary,
   },
   activeCityText: {
-    color: 'white',
+    color: colors.onPrimary,
     fontWeight: 'bold',
   },
-  unitsContainer: {
+  unitGroup: {
+    marginBottom: 8,
+  },
+  unitLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.textSecondary,
+    marginBottom: 8,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  switchLabel: {
+    flex: 1,
+    fontSize: 16,
+    color: colors.text,
+    marginLeft: 8,
+  },
+  ruleCountText: {
+    fontSize: 14,
+    color: colors.textMuted,
+    marginHorizontal: 8,
+  },
+  distanceHelpText: {
+    marginTop: 12,
+  },
+  keyStatusRow: {
     flexDirection: 'row',
     alignItems: 'center',
-    justifyContent: 'center',
+    marginBottom: 12,
+  },
+  keyStatusDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    marginRight: 8,
   },
-  unitText: {
+  keyStatusText: {
+    flex: 1,
     fontSize: 16,
-    marginHorizontal: 12,
-    color: '#495057',
+    color: colors.text,
+  },
+  removeKeyText: {
+    fontSize: 14,
+    color: colors.danger,
+  },
+  keyHelpText: {
+    marginTop: 8,
+    marginBottom: 0,
+  },
+  helpText: {
+    fontSize: 14,
+    color: colors.textMuted,
+    marginBottom: 8,
   },
   aboutText: {
     fontSize: 14,
     lineHeight: 22,
     textAlign: 'center',
-    color: '#6c757d',
+    color: colors.textMuted,
   },
   divider: {
     height: 1,
-    backgroundColor: '#e9ecef',
+    backgroundColor: colors.subtle,
     marginVertical: 12,
   },
   helpButton: {
@@ -243,7 +996,7 @@ const styles = StyleSheet.create({
   },
   helpButtonText: {
     fontSize: 14,
-    color: '#0096c7',
+    color: colors.primary,
     marginLeft: 8,
   }
 });
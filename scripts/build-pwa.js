@@ -0,0 +1,150 @@
+// Turns the web export in dist/ into an installable, offline-capable app.
+// Runs after `expo export --platform web` (see "build:web" in package.json):
+//   1. resizes the app icons and writes manifest.json from app.json's "web" settings
+//   2. adds the manifest and theme colour to index.html
+//   3. writes service-worker.js from web/service-worker.js, with this build's
+//      id and the list of files to save for offline use
+// Every URL starts with app.json's experiments.baseUrl, so the app can be
+// hosted under a sub-path (e.g. /weather) as well as at the root.
+// Usage: node scripts/build-pwa.js
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+const ROOT = path.join(__dirname, '..');
+const DIST = path.join(ROOT, 'dist');
+const ICONS_DIR = 'icons';
+
+// Files in dist/ that aren't needed to run the app offline
+const SKIP_FILES = ['service-worker.js', 'metadata.json'];
+
+// The icons in the manifest. Browsers look for 192 and 512 pixel ones to
+// install the app. Android crops "maskable" icons to its own shape, so those
+// come from the adaptive icon, whose artwork stays inside the part that's
+// always shown
+const ICONS = [
+  { name: 'icon-192.png', size: 192, purpose: 'any' },
+  { name: 'icon-512.png', size: 512, purpose: 'any' },
+  { name: 'maskable-192.png', size: 192, purpose: 'maskable' },
+  { name: 'maskable-512.png', size: 512, purpose: 'maskable' }
+];
+
+// iOS uses its own icon for the home screen, at this size
+const APPLE_TOUCH_ICON = { name: 'apple-touch-icon.png', size: 180 };
+
+// Function to write a square icon into dist/icons/. A background colour
+// fills in any transparent parts
+const writeIcon = async (source, name, size, background) => {
+  fs.mkdirSync(path.join(DIST, ICONS_DIR), { recursive: true });
+  let image = sharp(path.join(ROOT, source)).resize(size, size);
+  if (background) {
+    image = image.flatten({ background });
+  }
+  await image.png().toFile(path.join(DIST, ICONS_DIR, name));
+};
+
+// Function to write every icon and describe them for the manifest
+const buildIcons = async (expo, baseUrl) => {
+  const adaptiveIcon = (expo.android && expo.android.adaptiveIcon) || {};
+  const icons = await Promise.all(ICONS.map(async ({ name, size, purpose }) => {
+    if (purpose === 'maskable' && adaptiveIcon.foregroundImage) {
+      await writeIcon(adaptiveIcon.foregroundImage, name, size, adaptiveIcon.backgroundColor || '#ffffff');
+    } else {
+      await writeIcon(expo.icon, name, size);
+    }
+    return { src: `${baseUrl}/${ICONS_DIR}/${name}`, sizes: `${size}x${size}`, type: 'image/png', purpose };
+  }));
+  await writeIcon(expo.icon, APPLE_TOUCH_ICON.name, APPLE_TOUCH_ICON.size);
+  return icons;
+};
+
+// Function to list every file under a folder, as paths relative to it
+const listFiles = (dir, prefix = '') => {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    return entry.isDirectory() ? listFiles(path.join(dir, entry.name), relative) : [relative];
+  });
+};
+
+// Function to write manifest.json, which lets browsers install the app
+const buildManifest = async (expo, baseUrl) => {
+  const web = expo.web || {};
+  const name = web.name || expo.name;
+  const manifest = {
+    name,
+    short_name: web.shortName || name,
+    description: web.description,
+    start_url: `${baseUrl}/`,
+    scope: `${baseUrl}/`,
+    display: web.display || 'standalone',
+    orientation: expo.orientation,
+    theme_color: web.themeColor,
+    background_color: web.backgroundColor,
+    icons: await buildIcons(expo, baseUrl)
+  };
+  fs.writeFileSync(path.join(DIST, 'manifest.json'), JSON.stringify(manifest, null, 2));
+  return manifest;
+};
+
+// Function to link the manifest (and the icon and colour browsers use before
+// reading it) from the page
+const updateIndexHtml = (manifest, baseUrl) => {
+  const file = path.join(DIST, 'index.html');
+  const tags = [
+    `<link rel="manifest" href="${baseUrl}/manifest.json" />`,
+    `<meta name="theme-color" content="${manifest.theme_color}" />`,
+    `<meta name="apple-mobile-web-app-title" content="${manifest.short_name}" />`,
+    '<meta name="mobile-web-app-capable" content="yes" />',
+    `<link rel="apple-touch-icon" href="${baseUrl}/${ICONS_DIR}/${APPLE_TOUCH_ICON.name}" />`
+  ];
+  const html = fs.readFileSync(file, 'utf8');
+  if (!html.includes('rel="manifest"')) {
+    fs.writeFileSync(file, html.replace('</head>', `${tags.join('\n')}\n</head>`));
+  }
+};
+
+// Function to write the service worker with the files to save offline.
+// The build id comes from their contents, so it only changes (and users are
+// only offered an update) when something did
+const writeServiceWorker = (baseUrl) => {
+  const files = listFiles(DIST).filter(file => !SKIP_FILES.includes(file) && !file.endsWith('.map'));
+
+  const hash = crypto.createHash('sha256');
+  files.forEach(file => {
+    hash.update(file);
+    hash.update(fs.readFileSync(path.join(DIST, file)));
+  });
+  const buildId = hash.digest('hex').slice(0, 12);
+
+  const urls = files.map(file => encodeURI(`${baseUrl}/${file}`));
+  const template = fs.readFileSync(path.join(ROOT, 'web', 'service-worker.js'), 'utf8');
+  const worker = template
+    .replace('__BUILD_ID__', buildId)
+    .replace('__BASE_URL__', baseUrl)
+    .replace('/* __PRECACHE_URLS__ */', urls.map(url => JSON.stringify(url)).join(', '));
+  fs.writeFileSync(path.join(DIST, 'service-worker.js'), worker);
+  return { buildId, count: urls.length };
+};
+
+const main = async () => {
+  if (!fs.existsSync(path.join(DIST, 'index.html'))) {
+    console.error('No web export found in dist/. Run `npx expo export --platform web` first.');
+    process.exit(1);
+  }
+
+  const { expo } = JSON.parse(fs.readFileSync(path.join(ROOT, 'app.json'), 'utf8'));
+  // e.g. '/weather', or '' at the root
+  const baseUrl = ((expo.experiments && expo.experiments.baseUrl) || '').replace(/\/$/, '');
+
+  const manifest = await buildManifest(expo, baseUrl);
+  updateIndexHtml(manifest, baseUrl);
+  const { buildId, count } = writeServiceWorker(baseUrl);
+  console.log(`PWA ready: build ${buildId}, ${count} files saved for offline use`);
+};
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,87 @@
+import { createRule, formatAlertValue, findRuleMatches } from '../alertRules';
+
+const HOUR = 60 * 60 * 1000;
+// Midday UTC, so "today" and "tomorrow" are easy to follow at offset 0
+const NOW = Date.UTC(2024, 5, 10, 12);
+
+// A forecast with a 3-hour block from now until the given number of hours ahead
+const buildForecast = (hours, values = () => ({})) => ({
+  location: { name: 'London', timezoneOffset: 0 },
+  items: Array.from({ length: hours / 3 }, (_, index) => ({
+    time: NOW + index * 3 * HOUR,
+    temp: 15,
+    windSpeed: 4,
+    windGust: null,
+    pop: 0,
+    ...values(index)
+  }))
+});
+
+const rule = (changes) => ({
+  id: 'r1',
+  metric: 'pop',
+  comparison: 'above',
+  threshold: 60,
+  unit: '%',
+  window: 'next5Days',
+  enabled: true,
+  ...changes
+});
+
+describe('createRule', () => {
+  it('uses the display unit for the metric', () => {
+    const settings = { temperatureUnit: 'fahrenheit', windUnit: 'kmh' };
+    expect(createRule({ metric: 'temp', comparison: 'below', threshold: 32, window: 'today' }, settings).unit)
+      .toBe('fahrenheit');
+    expect(createRule({ metric: 'windGust', comparison: 'above', threshold: 50, window: 'today' }, settings).unit)
+      .toBe('kmh');
+    expect(createRule({ metric: 'pop', comparison: 'above', threshold: 60, window: 'today' }, settings).unit)
+      .toBe('%');
+  });
+});
+
+describe('formatAlertValue', () => {
+  it('formats values in the rule unit', () => {
+    expect(formatAlertValue('pop', 60, '%')).toBe('60%');
+    expect(formatAlertValue('temp', 0, 'celsius')).toBe('0°C');
+    expect(formatAlertValue('temp', 300, 'kelvin')).toBe('300 K');
+    expect(formatAlertValue('windSpeed', 15, 'ms')).toBe('15 m/s');
+  });
+});
+
+describe('findRuleMatches', () => {
+  it('finds the first block that breaks a rule', () => {
+    const forecast = buildForecast(24, index => ({ pop: index >= 2 ? 0.8 : 0.1 }));
+    const [match] = findRuleMatches([rule()], 'london', forecast, NOW);
+    expect(match.item.time).toBe(NOW + 6 * HOUR);
+    expect(match.eventKey).toBe('r1|london|2024-06-10');
+  });
+
+  it('compares in the rule unit', () => {
+    const forecast = buildForecast(24, () => ({ temp: 10 }));
+    // 10°C is 50°F
+    expect(findRuleMatches([rule({ metric: 'temp', comparison: 'below', threshold: 55, unit: 'fahrenheit' })], 'london', forecast, NOW))
+      .toHaveLength(1);
+    expect(findRuleMatches([rule({ metric: 'temp', comparison: 'below', threshold: 45, unit: 'fahrenheit' })], 'london', forecast, NOW))
+      .toHaveLength(0);
+  });
+
+  it('only looks at blocks inside the window', () => {
+    // Rain only from tomorrow afternoon (more than 24 hours away)
+    const forecast = buildForecast(48, index => ({ pop: index >= 9 ? 0.9 : 0 }));
+    expect(findRuleMatches([rule({ window: 'next24h' })], 'london', forecast, NOW)).toHaveLength(0);
+    expect(findRuleMatches([rule({ window: 'today' })], 'london', forecast, NOW)).toHaveLength(0);
+    expect(findRuleMatches([rule({ window: 'tomorrow' })], 'london', forecast, NOW)).toHaveLength(1);
+  });
+
+  it('skips missing values and disabled rules', () => {
+    const forecast = buildForecast(24);
+    expect(findRuleMatches([rule({ metric: 'windGust', threshold: 0, unit: 'ms' })], 'london', forecast, NOW))
+      .toHaveLength(0);
+    expect(findRuleMatches([rule({ threshold: -1, enabled: false })], 'london', forecast, NOW)).toHaveLength(0);
+  });
+
+  it('returns nothing without a forecast', () => {
+    expect(findRuleMatches([rule()], 'london', null, NOW)).toEqual([]);
+  });
+});
@@ -0,0 +1,105 @@
+import {
+  getDewPoint,
+  getHeatIndex,
+  getWindChill,
+  getHumidex,
+  getComfortRating,
+  getComfortMetrics
+} from '../comfort';
+
+// Expected values come from the published tables for each index, which are
+// rounded to whole degrees
+
+describe('getDewPoint', () => {
+  it('matches the Magnus formula', () => {
+    expect(getDewPoint(20, 50)).toBeCloseTo(9.3, 1);
+    expect(getDewPoint(30, 70)).toBeCloseTo(23.9, 1);
+  });
+
+  it('equals the temperature in saturated air', () => {
+    expect(getDewPoint(15, 100)).toBeCloseTo(15, 5);
+  });
+
+  it('is null without humidity', () => {
+    expect(getDewPoint(20, null)).toBeNull();
+    expect(getDewPoint(20, 0)).toBeNull();
+    expect(getDewPoint(null, 50)).toBeNull();
+  });
+});
+
+describe('getHeatIndex', () => {
+  it('matches the NWS table', () => {
+    // 90°F at 70% is 106°F
+    expect(getHeatIndex(32.22, 70)).toBeCloseTo(41.1, 0);
+    // 100°F at 40% is 109°F
+    expect(getHeatIndex(37.78, 40)).toBeCloseTo(42.8, 0);
+  });
+
+  it('is null below about 27°C', () => {
+    expect(getHeatIndex(25, 90)).toBeNull();
+  });
+});
+
+describe('getWindChill', () => {
+  it('matches the Environment Canada table', () => {
+    // -10°C with 20 km/h of wind feels like -18°C
+    expect(getWindChill(-10, 20 / 3.6)).toBeCloseTo(-17.9, 0);
+    // -20°C with 40 km/h of wind feels like -34°C
+    expect(getWindChill(-20, 40 / 3.6)).toBeCloseTo(-34, 0);
+  });
+
+  it('is null when warm or calm', () => {
+    expect(getWindChill(15, 10)).toBeNull();
+    expect(getWindChill(0, 1)).toBeNull();
+    expect(getWindChill(0, null)).toBeNull();
+  });
+});
+
+describe('getHumidex', () => {
+  it('matches the Environment Canada table', () => {
+    // 30°C with a dew point of 20°C (about 55% humidity) is 38
+    expect(getHumidex(30, 55.1)).toBeCloseTo(38, 0);
+  });
+
+  it('is null below 20°C', () => {
+    expect(getHumidex(18, 90)).toBeNull();
+  });
+});
+
+describe('getComfortRating', () => {
+  const rating = (changes) => getComfortRating({ temp: 22, heatIndex: null, windChill: null, dewPoint: 10, ...changes });
+
+  it('rates by how warm it feels', () => {
+    expect(rating({ temp: -5 })).toBe('veryCold');
+    expect(rating({ temp: 5 })).toBe('cold');
+    expect(rating({ temp: 15 })).toBe('cool');
+    expect(rating({})).toBe('comfortable');
+    expect(rating({ temp: 33 })).toBe('hot');
+    expect(rating({ temp: 41 })).toBe('veryHot');
+  });
+
+  it('uses the heat index or wind chill over the temperature', () => {
+    expect(rating({ temp: 30, heatIndex: 41 })).toBe('veryHot');
+    expect(rating({ temp: 5, windChill: -3 })).toBe('veryCold');
+  });
+
+  it('rates muggy air by the dew point', () => {
+    expect(rating({ dewPoint: 17 })).toBe('humid');
+    expect(rating({ dewPoint: 22 })).toBe('oppressive');
+  });
+
+  it('is null without a temperature', () => {
+    expect(rating({ temp: null })).toBeNull();
+  });
+});
+
+describe('getComfortMetrics', () => {
+  it('works out every value for a weather entry', () => {
+    const metrics = getComfortMetrics({ temp: -5, humidity: 80, windSpeed: 8 });
+    expect(metrics.heatIndex).toBeNull();
+    expect(metrics.humidex).toBeNull();
+    expect(metrics.windChill).toBeLessThan(-5);
+    expect(metrics.dewPoint).toBeLessThan(-5);
+    expect(metrics.rating).toBe('veryCold');
+  });
+});
@@ -0,0 +1,67 @@
+import { getLeaders, alignDailyForecasts } from '../compare';
+
+const HOUR = 60 * 60 * 1000;
+
+// A forecast with 3-hour blocks from start for the given number of hours
+const buildForecast = (start, hours, timezoneOffset = 0) => ({
+  location: { timezoneOffset },
+  items: Array.from({ length: hours / 3 }, (_, index) => ({
+    time: start + index * 3 * HOUR,
+    tempMin: 10,
+    tempMax: 20,
+    windSpeed: 4,
+    pop: 0,
+    rain: null,
+    snow: null,
+    condition: { main: 'Clouds', description: 'clouds', icon: '03d' }
+  }))
+});
+
+describe('getLeaders', () => {
+  it('marks the highest value', () => {
+    expect(getLeaders([12, 18, 15])).toEqual([false, true, false]);
+  });
+
+  it('lets ties all lead', () => {
+    expect(getLeaders([18, 12, 18])).toEqual([true, false, true]);
+  });
+
+  it('marks nothing when every value is the same', () => {
+    expect(getLeaders([0, 0, 0])).toEqual([false, false, false]);
+  });
+
+  it('ignores missing values and needs two to compare', () => {
+    expect(getLeaders([null, 5, undefined, 3])).toEqual([false, true, false, false]);
+    expect(getLeaders([null, 5])).toEqual([false, false]);
+  });
+});
+
+describe('alignDailyForecasts', () => {
+  const start = Date.UTC(2024, 5, 10, 0);
+
+  it('lines the days up by date', () => {
+    const rows = alignDailyForecasts([buildForecast(start, 48), buildForecast(start, 48)]);
+    expect(rows.map(row => row.key)).toEqual(['2024-06-10', '2024-06-11']);
+    expect(rows[0].days).toHaveLength(2);
+    expect(rows[0].days[1].key).toBe('2024-06-10');
+  });
+
+  it('only keeps dates every city has', () => {
+    // Tokyo (UTC+9) is already on the 11th for most of the 10th in UTC
+    const rows = alignDailyForecasts([
+      buildForecast(start, 48),
+      buildForecast(start + 15 * HOUR, 48, 9 * 60 * 60)
+    ]);
+    expect(rows.map(row => row.key)).toEqual(['2024-06-11']);
+  });
+
+  it('leaves a gap for a city without a forecast', () => {
+    const rows = alignDailyForecasts([buildForecast(start, 24), null]);
+    expect(rows).toHaveLength(1);
+    expect(rows[0].days[1]).toBeNull();
+  });
+
+  it('returns nothing without any forecasts', () => {
+    expect(alignDailyForecasts([null, null])).toEqual([]);
+  });
+});
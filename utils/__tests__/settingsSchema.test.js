@@ -0,0 +1,161 @@
+import {
+  DEFAULT_SETTINGS,
+  SETTINGS_VERSION,
+  SettingsError,
+  validateSettings,
+  migrateSettings,
+  parseStoredSettings,
+  parseStoredLocations,
+  parseStoredAlertRules,
+  serializeSettings,
+  createSettingsExport,
+  parseSettingsExport
+} from '../settingsSchema';
+import { DEFAULT_LOCATION } from '../locations';
+
+const PARIS = { id: '48.8566,2.3522', name: 'Paris', state: null, country: 'FR', lat: 48.8566, lon: 2.3522 };
+
+describe('validateSettings', () => {
+  it('keeps valid fields and uses defaults for missing or wrong ones', () => {
+    const settings = validateSettings({ temperatureUnit: 'fahrenheit', refreshInterval: -5, themeMode: 'blue' });
+    expect(settings.temperatureUnit).toBe('fahrenheit');
+    expect(settings.refreshInterval).toBe(DEFAULT_SETTINGS.refreshInterval);
+    expect(settings.themeMode).toBe(DEFAULT_SETTINGS.themeMode);
+  });
+
+  it('drops fields it does not know about', () => {
+    expect(validateSettings({ somethingNew: true })).toEqual(DEFAULT_SETTINGS);
+  });
+
+  it('uses the defaults for anything that is not an object', () => {
+    expect(validateSettings(null)).toEqual(DEFAULT_SETTINGS);
+    expect(validateSettings('celsius')).toEqual(DEFAULT_SETTINGS);
+  });
+});
+
+describe('migrateSettings', () => {
+  it('turns the version 1 units switch into separate units', () => {
+    const settings = migrateSettings({ units: 'imperial', cacheMaxAge: 12, location: 'London' }, 1);
+    expect(settings).toMatchObject({
+      temperatureUnit: 'fahrenheit',
+      windUnit: 'mph',
+      pressureUnit: 'inhg',
+      distanceUnit: 'mi',
+      cacheMaxAge: 12
+    });
+    expect(settings).not.toHaveProperty('units');
+    expect(settings).not.toHaveProperty('location');
+  });
+
+  it('keeps the default units when version 1 had none', () => {
+    expect(migrateSettings({}, 1).temperatureUnit).toBe(DEFAULT_SETTINGS.temperatureUnit);
+  });
+
+  it('only validates settings that are already current', () => {
+    expect(migrateSettings({ language: 'es' }, SETTINGS_VERSION).language).toBe('es');
+  });
+});
+
+describe('parseStoredSettings', () => {
+  it('uses the defaults when nothing was saved', () => {
+    expect(parseStoredSettings(null)).toEqual({
+      settings: DEFAULT_SETTINGS,
+      version: SETTINGS_VERSION,
+      location: null
+    });
+  });
+
+  it('reads what serializeSettings saved', () => {
+    const saved = serializeSettings({ ...DEFAULT_SETTINGS, themeMode: 'dark' });
+    const { settings, version } = parseStoredSettings(saved);
+    expect(version).toBe(SETTINGS_VERSION);
+    expect(settings.themeMode).toBe('dark');
+  });
+
+  it('migrates a version 1 save and returns its city', () => {
+    const { settings, version, location } = parseStoredSettings(
+      JSON.stringify({ units: 'imperial', location: 'London' })
+    );
+    expect(version).toBe(1);
+    expect(settings.windUnit).toBe('mph');
+    expect(location).toEqual({ id: 'london', name: 'London' });
+  });
+
+  it('uses the defaults for corrupt JSON', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    expect(parseStoredSettings('{"version": 2, "sett').settings).toEqual(DEFAULT_SETTINGS);
+    console.error.mockRestore();
+  });
+
+  it('uses the defaults when a versioned save has no settings object', () => {
+    expect(parseStoredSettings(JSON.stringify({ version: 2 })).settings).toEqual(DEFAULT_SETTINGS);
+    expect(parseStoredSettings(JSON.stringify({ version: 2, settings: 'dark' })).settings).toEqual(DEFAULT_SETTINGS);
+    expect(parseStoredSettings(JSON.stringify([1, 2])).settings).toEqual(DEFAULT_SETTINGS);
+  });
+});
+
+describe('parseStoredLocations', () => {
+  it('reads saved locations and older plain city names', () => {
+    expect(parseStoredLocations(JSON.stringify([PARIS, 'Tokyo']))).toEqual([
+      PARIS,
+      { id: 'tokyo', name: 'Tokyo' }
+    ]);
+  });
+
+  it('drops entries that are not locations', () => {
+    expect(parseStoredLocations(JSON.stringify([PARIS, null, 42, { name: 'No id' }]))).toEqual([PARIS]);
+  });
+
+  it('returns null when there is no usable list', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    expect(parseStoredLocations(null)).toBeNull();
+    expect(parseStoredLocations('not json')).toBeNull();
+    expect(parseStoredLocations(JSON.stringify({ name: 'Paris' }))).toBeNull();
+    expect(parseStoredLocations(JSON.stringify([]))).toBeNull();
+    console.error.mockRestore();
+  });
+});
+
+describe('parseStoredAlertRules', () => {
+  const rule = { id: 'r1', metric: 'pop', comparison: 'above', threshold: 60, unit: '%', window: 'today', enabled: true };
+
+  it('keeps only usable rules', () => {
+    expect(parseStoredAlertRules(JSON.stringify([rule, null, { ...rule, metric: 'snowDepth' }]))).toEqual([rule]);
+  });
+
+  it('returns an empty list when there is no usable list', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    expect(parseStoredAlertRules(null)).toEqual([]);
+    expect(parseStoredAlertRules('not json')).toEqual([]);
+    expect(parseStoredAlertRules(JSON.stringify(rule))).toEqual([]);
+    console.error.mockRestore();
+  });
+});
+
+describe('settings export', () => {
+  const rule = { id: 1, metric: 'pop', comparison: 'above', threshold: 60, unit: '%', window: 'today', enabled: true };
+
+  it('reads back what it exported', () => {
+    const settings = { ...DEFAULT_SETTINGS, language: 'ar' };
+    const text = createSettingsExport({ settings, locations: [PARIS], alertRules: [rule] });
+    const imported = parseSettingsExport(text);
+    expect(imported.settings).toEqual(settings);
+    expect(imported.locations).toEqual([PARIS]);
+    expect(imported.alertRules).toEqual([{ ...rule, id: '1' }]);
+  });
+
+  it('keeps a city to show when the file has none', () => {
+    const text = JSON.stringify({ app: 'weather-dashboard', version: SETTINGS_VERSION, settings: {} });
+    expect(parseSettingsExport(text).locations).toEqual([DEFAULT_LOCATION]);
+  });
+
+  it('rejects files that are not exports', () => {
+    expect(() => parseSettingsExport('nope')).toThrow(SettingsError);
+    expect(() => parseSettingsExport(JSON.stringify({ version: 2 }))).toThrow(SettingsError);
+  });
+
+  it('rejects exports from a newer version', () => {
+    const text = JSON.stringify({ app: 'weather-dashboard', version: SETTINGS_VERSION + 1 });
+    expect(() => parseSettingsExport(text)).toThrow(expect.objectContaining({ type: 'newerVersion' }));
+  });
+});
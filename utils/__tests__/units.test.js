@@ -0,0 +1,100 @@
+import {
+  convertTemperature,
+  formatTemperature,
+  convertWindSpeed,
+  formatWindSpeed,
+  formatPressure,
+  formatVisibility,
+  convertPrecipitation,
+  formatPrecipitation,
+  getUnitsForSystem,
+  getUnitSystem
+} from '../units';
+
+describe('temperature', () => {
+  it('converts from celsius', () => {
+    expect(convertTemperature(20, 'celsius')).toBe(20);
+    expect(convertTemperature(20, 'fahrenheit')).toBe(68);
+    expect(convertTemperature(-40, 'fahrenheit')).toBe(-40);
+    expect(convertTemperature(0, 'kelvin')).toBeCloseTo(273.15);
+  });
+
+  it('keeps missing values missing', () => {
+    expect(convertTemperature(null, 'fahrenheit')).toBeNull();
+    expect(convertTemperature(undefined, 'kelvin')).toBeNull();
+  });
+
+  it('falls back to celsius for an unknown unit', () => {
+    expect(convertTemperature(20, 'rankine')).toBe(20);
+  });
+
+  it('formats with the symbol', () => {
+    expect(formatTemperature(21.4, 'celsius')).toBe('21°C');
+    expect(formatTemperature(21, 'fahrenheit')).toBe('70°F');
+    expect(formatTemperature(21, 'kelvin')).toBe('294 K');
+  });
+
+  it('shows missing values as --', () => {
+    expect(formatTemperature(null, 'celsius')).toBe('--');
+    expect(formatTemperature(undefined, 'fahrenheit')).toBe('--');
+  });
+});
+
+describe('wind speed', () => {
+  it('converts from m/s', () => {
+    expect(convertWindSpeed(10, 'kmh')).toBe(36);
+    expect(convertWindSpeed(10, 'mph')).toBeCloseTo(22.37, 2);
+    expect(convertWindSpeed(10, 'knots')).toBeCloseTo(19.44, 2);
+  });
+
+  it('keeps missing values missing', () => {
+    expect(convertWindSpeed(null, 'kmh')).toBeNull();
+    expect(convertWindSpeed(undefined, 'beaufort')).toBeNull();
+  });
+
+  it('finds the Beaufort force', () => {
+    expect(convertWindSpeed(0, 'beaufort')).toBe(0);
+    expect(convertWindSpeed(0.5, 'beaufort')).toBe(1);
+    expect(convertWindSpeed(10, 'beaufort')).toBe(5);
+    expect(convertWindSpeed(40, 'beaufort')).toBe(12);
+  });
+
+  it('formats with the symbol', () => {
+    expect(formatWindSpeed(5, 'ms')).toBe('5 m/s');
+    expect(formatWindSpeed(10, 'beaufort')).toBe('5 Bft');
+    expect(formatWindSpeed(null, 'kmh')).toBe('--');
+  });
+});
+
+describe('pressure, visibility and precipitation', () => {
+  it('formats pressure', () => {
+    expect(formatPressure(1013, 'hpa')).toBe('1,013 hPa');
+    expect(formatPressure(1013, 'inhg')).toBe('29.91 inHg');
+    expect(formatPressure(1013, 'mmhg')).toBe('760 mmHg');
+    expect(formatPressure(null, 'hpa')).toBe('--');
+  });
+
+  it('shows one decimal for short distances', () => {
+    expect(formatVisibility(10000, 'km')).toBe('10 km');
+    expect(formatVisibility(2500, 'km')).toBe('2.5 km');
+    expect(formatVisibility(10000, 'mi')).toBe('6.2 mi');
+  });
+
+  it('follows the distance unit for precipitation', () => {
+    expect(convertPrecipitation(25.4, 'mi')).toBe(1);
+    expect(formatPrecipitation(1.23, 'km')).toBe('1.2 mm');
+    expect(formatPrecipitation(1.27, 'mi')).toBe('0.05 in');
+    expect(formatPrecipitation(undefined, 'km')).toBe('--');
+  });
+});
+
+describe('unit systems', () => {
+  it('recognises settings that match a system', () => {
+    expect(getUnitSystem(getUnitsForSystem('metric'))).toBe('metric');
+    expect(getUnitSystem(getUnitsForSystem('imperial'))).toBe('imperial');
+  });
+
+  it('returns null for mixed units', () => {
+    expect(getUnitSystem({ ...getUnitsForSystem('metric'), windUnit: 'mph' })).toBeNull();
+  });
+});
@@ -0,0 +1,139 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  pruneHistory,
+  loadHistory,
+  addObservation,
+  clearHistory,
+  findObservationNear,
+  compareWithDaysAgo,
+  getDailyHistory
+} from '../weatherHistory';
+
+jest.mock('@react-native-async-storage/async-storage', () => (
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+));
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const NOW = Date.UTC(2024, 5, 10, 12);
+
+const observation = (time, temp = 20, humidity = 50) => ({ time, timezoneOffset: 0, temp, humidity });
+
+// A current-weather reading like the providers return
+const current = (time, temp = 20) => ({
+  location: { timezoneOffset: 0 },
+  time,
+  temp,
+  feelsLike: temp,
+  humidity: 60,
+  pressure: 1013,
+  windSpeed: 3,
+  clouds: 40,
+  rain: null,
+  snow: null
+});
+
+beforeEach(async () => {
+  jest.spyOn(Date, 'now').mockReturnValue(NOW);
+  await AsyncStorage.clear();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('pruneHistory', () => {
+  it('drops readings older than the days kept', () => {
+    const observations = [observation(NOW - 8 * DAY), observation(NOW - 6 * DAY), observation(NOW)];
+    expect(pruneHistory(observations, 7)).toEqual(observations.slice(1));
+  });
+
+  it('keeps at most 1440 readings', () => {
+    const observations = Array.from({ length: 1500 }, (_, index) => observation(NOW - index * MINUTE)).reverse();
+    const pruned = pruneHistory(observations, 30);
+    expect(pruned).toHaveLength(1440);
+    expect(pruned[pruned.length - 1].time).toBe(NOW);
+  });
+});
+
+describe('addObservation', () => {
+  it('saves readings per location', async () => {
+    await addObservation('London', current(NOW - HOUR, 18), 7);
+    const updated = await addObservation('London', current(NOW, 20), 7);
+    expect(updated.map(saved => saved.temp)).toEqual([18, 20]);
+    expect(await loadHistory('london')).toEqual(updated);
+    expect(await loadHistory('paris')).toEqual([]);
+  });
+
+  it('skips readings less than 30 minutes after the last one', async () => {
+    await addObservation('london', current(NOW - 10 * MINUTE), 7);
+    expect(await addObservation('london', current(NOW), 7)).toBeNull();
+    expect(await loadHistory('london')).toHaveLength(1);
+  });
+
+  it('saves nothing while history is off', async () => {
+    expect(await addObservation('london', current(NOW), 0)).toBeNull();
+    expect(await loadHistory('london')).toEqual([]);
+  });
+
+  it('clears every location', async () => {
+    await addObservation('london', current(NOW), 7);
+    await addObservation('paris', current(NOW), 7);
+    await AsyncStorage.setItem('weatherSettings', '{}');
+    await clearHistory();
+    expect(await loadHistory('london')).toEqual([]);
+    expect(await loadHistory('paris')).toEqual([]);
+    expect(await AsyncStorage.getItem('weatherSettings')).toBe('{}');
+  });
+});
+
+describe('loadHistory', () => {
+  it('returns an empty list for corrupt data', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await AsyncStorage.setItem('weatherHistory:london', '[{"time"');
+    expect(await loadHistory('london')).toEqual([]);
+    await AsyncStorage.setItem('weatherHistory:london', '{}');
+    expect(await loadHistory('london')).toEqual([]);
+  });
+});
+
+describe('comparisons', () => {
+  const observations = [
+    observation(NOW - DAY - 80 * MINUTE, 10),
+    observation(NOW - DAY + 20 * MINUTE, 12),
+    observation(NOW, 15)
+  ];
+
+  it('finds the closest reading within 90 minutes', () => {
+    expect(findObservationNear(observations, NOW - DAY).temp).toBe(12);
+    expect(findObservationNear(observations, NOW - 2 * DAY)).toBeNull();
+  });
+
+  it('compares the latest reading with the same time days ago', () => {
+    expect(compareWithDaysAgo(observations, 1)).toMatchObject({ difference: 3 });
+    expect(compareWithDaysAgo(observations, 7)).toBeNull();
+    expect(compareWithDaysAgo([], 1)).toBeNull();
+  });
+});
+
+describe('getDailyHistory', () => {
+  it('summarises each day, newest first', () => {
+    const days = getDailyHistory([
+      observation(Date.UTC(2024, 5, 9, 6), 10, 80),
+      observation(Date.UTC(2024, 5, 9, 15), 20, null),
+      observation(Date.UTC(2024, 5, 10, 9), 14, 60)
+    ]);
+    expect(days.map(day => day.key)).toEqual(['2024-06-10', '2024-06-09']);
+    expect(days[1]).toMatchObject({ high: 20, low: 10, average: 15, humidity: 80, count: 2 });
+  });
+
+  it('splits days at midnight where the location is', () => {
+    // 23:00 UTC is already the next day at UTC+2
+    const days = getDailyHistory([
+      { ...observation(Date.UTC(2024, 5, 9, 21)), timezoneOffset: 2 * 60 * 60 },
+      { ...observation(Date.UTC(2024, 5, 9, 23)), timezoneOffset: 2 * 60 * 60 }
+    ]);
+    expect(days.map(day => day.key)).toEqual(['2024-06-10', '2024-06-09']);
+  });
+});
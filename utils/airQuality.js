@@ -0,0 +1,57 @@
+import { getLocationDayKey } from './time';
+import { formatNumber } from './i18n';
+
+// Air quality from OpenWeatherMap's air pollution API, for providers that
+// have it (see fetchAirQuality in providers/). Looks like:
+// {
+//   current: { time, aqi, pm2_5, pm10, o3, no2 },
+//   forecast: [{ time, aqi, pm2_5, pm10, o3, no2 }]   // Hourly, about 4 days
+// }
+// aqi is OpenWeatherMap's index from 1 (good) to 5 (very poor), and the
+// pollutants are concentrations in μg/m³ (null when missing).
+
+// Label (translated in locales/ as airQuality.levels.<key>) and colours for
+// each index value. The colours follow the usual green to purple air quality
+// scale, so they're the same in both themes; textColor is for text on top
+export const AQI_LEVELS = {
+  1: { key: 'good', color: '#2f9e44', textColor: '#ffffff' },
+  2: { key: 'fair', color: '#94d82d', textColor: '#212529' },
+  3: { key: 'moderate', color: '#fab005', textColor: '#212529' },
+  4: { key: 'poor', color: '#f76707', textColor: '#ffffff' },
+  5: { key: 'veryPoor', color: '#ae3ec9', textColor: '#ffffff' }
+};
+
+// The pollutants shown on the air quality card
+export const POLLUTANTS = [
+  { key: 'pm2_5', label: 'PM2.5' },
+  { key: 'pm10', label: 'PM10' },
+  { key: 'o3', label: 'O₃' },
+  { key: 'no2', label: 'NO₂' }
+];
+
+// The level for an index value, or null if there isn't one
+export const getAqiLevel = (aqi) => AQI_LEVELS[aqi] || null;
+
+// Format a concentration, e.g. "12.4 μg/m³"
+export const formatConcentration = (value) => {
+  if (value === null || value === undefined) {
+    return '--';
+  }
+  return `${formatNumber(value, value < 10 ? 1 : 0)} μg/m³`;
+};
+
+// The worst index for each day of the forecast, with days split at midnight
+// in the location's time zone. Returns [{ key, time, aqi }]
+export const getDailyAirQuality = (forecast, timezoneOffset) => {
+  const days = [];
+  forecast.forEach(item => {
+    const key = getLocationDayKey(item.time, timezoneOffset);
+    const day = days.find(existing => existing.key === key);
+    if (day) {
+      day.aqi = Math.max(day.aqi, item.aqi);
+    } else {
+      days.push({ key, time: item.time, aqi: item.aqi });
+    }
+  });
+  return days;
+};
@@ -0,0 +1,138 @@
+import { getLocationDayKey } from './time';
+import { convertTemperature, convertWindSpeed, getTemperatureSymbol, getWindSymbol } from './units';
+import { formatNumber, formatPercent } from './i18n';
+
+// Weather alert rules, e.g. "rain chance above 60% tomorrow".
+// A rule looks like:
+// {
+//   id: '1718000000000',
+//   metric: 'pop',         // One of ALERT_METRICS
+//   comparison: 'above',   // 'above' or 'below'
+//   threshold: 60,         // In the rule's own unit
+//   unit: '%',             // e.g. 'celsius' or 'ms' - see utils/units.js
+//   window: 'tomorrow',    // One of ALERT_WINDOWS
+//   enabled: true
+// }
+// Thresholds keep the unit they were entered in, so "wind above 15 m/s"
+// still means 15 m/s after the display units change.
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// What a rule can check in each forecast block. value() turns the block's
+// metric value into the rule's unit, and symbol() gives that unit's label.
+// unitSetting is the setting whose unit new rules use (see utils/units.js)
+export const ALERT_METRICS = {
+  pop: {
+    unitSetting: null,
+    value: (item) => (item.pop === null ? null : item.pop * 100),
+    symbol: () => '%'
+  },
+  temp: {
+    unitSetting: 'temperatureUnit',
+    value: (item, unit) => (item.temp === null ? null : convertTemperature(item.temp, unit)),
+    symbol: getTemperatureSymbol
+  },
+  windSpeed: {
+    unitSetting: 'windUnit',
+    value: (item, unit) => (item.windSpeed === null ? null : convertWindSpeed(item.windSpeed, unit)),
+    symbol: getWindSymbol
+  },
+  windGust: {
+    unitSetting: 'windUnit',
+    value: (item, unit) => (item.windGust === null ? null : convertWindSpeed(item.windGust, unit)),
+    symbol: getWindSymbol
+  }
+};
+
+export const ALERT_COMPARISONS = ['above', 'below'];
+
+// Which forecast blocks a rule looks at. Days are the location's own days
+export const ALERT_WINDOWS = ['next24h', 'today', 'tomorrow', 'next5Days'];
+
+// Build a new rule, using the display units from settings
+export const createRule = ({ metric, comparison, threshold, window }, settings) => {
+  const { unitSetting } = ALERT_METRICS[metric];
+  return {
+    id: String(Date.now()),
+    metric,
+    comparison,
+    threshold,
+    unit: unitSetting ? settings[unitSetting] : '%',
+    window,
+    enabled: true
+  };
+};
+
+// Format a value in a rule's unit, e.g. "60%", "0°C" or "15 m/s"
+export const formatAlertValue = (metric, value, unit) => {
+  if (metric === 'pop') {
+    return formatPercent(value);
+  }
+  const number = formatNumber(value, Number.isInteger(value) ? 0 : 1);
+  const symbol = ALERT_METRICS[metric].symbol(unit);
+  return metric === 'temp' && unit !== 'kelvin' ? `${number}${symbol}` : `${number} ${symbol}`;
+};
+
+// Describe a rule, e.g. "Rain chance above 60% tomorrow"
+export const describeRule = (rule, t) => {
+  return t('alerts.summary', {
+    condition: t(`alerts.${rule.comparison}`, {
+      metric: t(`alerts.metrics.${rule.metric}`),
+      value: formatAlertValue(rule.metric, rule.threshold, rule.unit)
+    }),
+    window: t(`alerts.windows.${rule.window}`)
+  });
+};
+
+// Whether a forecast block falls inside a rule's time window
+const isInWindow = (item, window, now, timezoneOffset) => {
+  if (item.time < now - 3 * HOUR) {
+    // Blocks that have already finished
+    return false;
+  }
+  if (window === 'next24h') {
+    return item.time <= now + DAY;
+  }
+  if (window === 'today') {
+    return getLocationDayKey(item.time, timezoneOffset) === getLocationDayKey(now, timezoneOffset);
+  }
+  if (window === 'tomorrow') {
+    return getLocationDayKey(item.time, timezoneOffset) === getLocationDayKey(now + DAY, timezoneOffset);
+  }
+  return true;
+};
+
+// Whether one forecast block breaks a rule
+const matchesRule = (rule, item) => {
+  const value = ALERT_METRICS[rule.metric].value(item, rule.unit);
+  if (value === null || value === undefined) {
+    return false;
+  }
+  return rule.comparison === 'above' ? value > rule.threshold : value < rule.threshold;
+};
+
+// Check a location's forecast against the rules.
+// Returns one match per broken rule: the first block that breaks it, and an
+// eventKey that stays the same across refreshes (rule, location and the
+// location's day), so the same event is only notified about once
+export const findRuleMatches = (rules, locationId, forecast, now = Date.now()) => {
+  if (!forecast || !forecast.items) {
+    return [];
+  }
+  const timezoneOffset = forecast.location ? forecast.location.timezoneOffset : null;
+
+  return rules
+    .filter(rule => rule.enabled && ALERT_METRICS[rule.metric])
+    .map(rule => {
+      const item = forecast.items.find(block => (
+        isInWindow(block, rule.window, now, timezoneOffset) && matchesRule(rule, block)
+      ));
+      if (!item) {
+        return null;
+      }
+      const day = getLocationDayKey(item.time, timezoneOffset);
+      return { rule, item, eventKey: `${rule.id}|${locationId}|${day}` };
+    })
+    .filter(Boolean);
+};
@@ -0,0 +1,40 @@
+import { Platform } from 'react-native';
+import * as SecureStore from 'expo-secure-store';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const API_KEY_STORAGE_KEY = 'openWeatherMapApiKey';
+
+// SecureStore uses the iOS Keychain / Android Keystore. It isn't available
+// on the web, so there we fall back to AsyncStorage (browser localStorage)
+const useSecureStore = Platform.OS !== 'web';
+
+// Load the saved API key, or null if there isn't one
+export const loadApiKey = async () => {
+  try {
+    if (useSecureStore) {
+      return await SecureStore.getItemAsync(API_KEY_STORAGE_KEY);
+    }
+    return await AsyncStorage.getItem(API_KEY_STORAGE_KEY);
+  } catch (error) {
+    console.error('Failed to load API key', error);
+    return null;
+  }
+};
+
+// Save the API key on the device
+export const saveApiKey = async (apiKey) => {
+  if (useSecureStore) {
+    await SecureStore.setItemAsync(API_KEY_STORAGE_KEY, apiKey);
+  } else {
+    await AsyncStorage.setItem(API_KEY_STORAGE_KEY, apiKey);
+  }
+};
+
+// Remove the saved API key
+export const deleteApiKey = async () => {
+  if (useSecureStore) {
+    await SecureStore.deleteItemAsync(API_KEY_STORAGE_KEY);
+  } else {
+    await AsyncStorage.removeItem(API_KEY_STORAGE_KEY);
+  }
+};
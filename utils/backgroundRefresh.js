@@ -0,0 +1,146 @@
+import { Platform } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as BackgroundFetch from 'expo-background-fetch';
+import * as TaskManager from 'expo-task-manager';
+import { getProvider } from '../providers';
+import { envDemoMode } from '../providers/demo';
+import { loadCachedWeather, saveCachedWeather, isExpired } from './weatherCache';
+import { addObservation } from './weatherHistory';
+import { loadApiKey } from './apiKeyStorage';
+import { DEFAULT_LOCATION } from './locations';
+import { CANONICAL_UNITS } from './units';
+import { resolveLanguage, setLanguage } from './i18n';
+import { checkWeatherAlerts, loadAlertRules } from './weatherAlerts';
+import { parseStoredSettings, parseStoredLocations } from './settingsSchema';
+
+// Lets the OS wake the app now and then to fetch the saved locations'
+// weather, so the cache stays fresh and alert rules are checked even while
+// the app is closed. It runs when settings.backgroundRefresh is on or there
+// are alert rules. The device's current location isn't refreshed here,
+// since that needs the app to be open.
+
+const BACKGROUND_REFRESH_TASK = 'weather-background-refresh';
+
+// The OS decides when to run the task and won't go below 15 minutes.
+// We ask for the auto-refresh interval, or this when that's off
+const MINIMUM_INTERVAL = 15; // Minutes
+const DEFAULT_INTERVAL = 30; // Minutes
+
+// Background fetch isn't available in a browser
+const backgroundFetchSupported = Platform.OS !== 'web';
+
+// Fetch and cache one location's weather, add it to the history, then
+// check the alert rules. Skips locations whose cached weather is newer than the refresh interval
+const refreshLocation = async (location, { provider, demoScenario, apiKey, language, rules, settings }) => {
+  const cached = await loadCachedWeather(location.id, {
+    units: CANONICAL_UNITS,
+    provider: provider.id,
+    lang: language,
+    maxAgeHours: settings.cacheMaxAge
+  });
+  const freshMinutes = settings.refreshInterval || DEFAULT_INTERVAL;
+  if (cached && !isExpired(cached.updatedAt, freshMinutes / 60)) {
+    return false;
+  }
+
+  const options = { apiKey, lang: language, scenario: demoScenario };
+  const { current, forecast } = await provider.fetchWeather(location, options);
+
+  // Air quality is extra, so the weather is still saved without it
+  let airQuality = null;
+  if (provider.fetchAirQuality) {
+    try {
+      const { lat, lon } = current.location;
+      airQuality = await provider.fetchAirQuality({ lat, lon }, options);
+    } catch (error) {
+      console.error('Error fetching air quality in the background:', error);
+    }
+  }
+
+  await saveCachedWeather(location.id, {
+    weatherData: current,
+    forecastData: forecast,
+    airQuality,
+    updatedAt: Date.now(),
+    units: CANONICAL_UNITS,
+    provider: provider.id,
+    lang: language
+  });
+  await addObservation(location.id, current, settings.historyDays);
+  await checkWeatherAlerts(rules, location.id, forecast, language);
+  return true;
+};
+
+// Refresh every saved location using what the app last saved
+const refreshSavedLocations = async () => {
+  const savedSettings = await AsyncStorage.getItem('weatherSettings');
+  const savedLocations = await AsyncStorage.getItem('weatherLocations');
+  const { settings, location } = parseStoredSettings(savedSettings);
+
+  // Both were switched off since the task was registered
+  const rules = await loadAlertRules();
+  if (!settings.backgroundRefresh && !rules.some(rule => rule.enabled)) {
+    return BackgroundFetch.BackgroundFetchResult.NoData;
+  }
+
+  const locations = parseStoredLocations(savedLocations) || [location || DEFAULT_LOCATION];
+
+  // Demo mode from EXPO_PUBLIC_DEMO_MODE takes over here too
+  const { provider: providerId, demoScenario } = envDemoMode || settings;
+  const provider = getProvider(providerId);
+  const apiKey = await loadApiKey();
+  if (provider.requiresApiKey && !apiKey) {
+    return BackgroundFetch.BackgroundFetchResult.Failed;
+  }
+
+  // Notifications and dates use the app's language
+  const language = resolveLanguage(settings.language);
+  setLanguage(language);
+
+  const results = await Promise.allSettled(
+    locations.map(location => refreshLocation(location, { provider, demoScenario, apiKey, language, rules, settings }))
+  );
+  if (results.some(result => result.status === 'fulfilled' && result.value)) {
+    return BackgroundFetch.BackgroundFetchResult.NewData;
+  }
+  return results.some(result => result.status === 'rejected')
+    ? BackgroundFetch.BackgroundFetchResult.Failed
+    : BackgroundFetch.BackgroundFetchResult.NoData;
+};
+
+// Tasks have to be defined when the app's JavaScript first loads, so
+// App.js imports this file at the top
+if (backgroundFetchSupported) {
+  TaskManager.defineTask(BACKGROUND_REFRESH_TASK, async () => {
+    try {
+      return await refreshSavedLocations();
+    } catch (error) {
+      console.error('Background refresh failed', error);
+      return BackgroundFetch.BackgroundFetchResult.Failed;
+    }
+  });
+}
+
+// Start or stop the background refresh, asking to run about every
+// intervalMinutes (settings.refreshInterval). Registering again updates the interval
+export const setBackgroundRefreshEnabled = async (enabled, intervalMinutes) => {
+  if (!backgroundFetchSupported) {
+    return;
+  }
+
+  try {
+    const registered = await TaskManager.isTaskRegisteredAsync(BACKGROUND_REFRESH_TASK);
+    if (enabled) {
+      const minutes = Math.max(intervalMinutes || DEFAULT_INTERVAL, MINIMUM_INTERVAL);
+      await BackgroundFetch.registerTaskAsync(BACKGROUND_REFRESH_TASK, {
+        minimumInterval: minutes * 60, // Seconds
+        stopOnTerminate: false, // Android: keep running after the app is closed
+        startOnBoot: true
+      });
+    } else if (registered) {
+      await BackgroundFetch.unregisterTaskAsync(BACKGROUND_REFRESH_TASK);
+    }
+  } catch (error) {
+    console.error('Failed to update background refresh', error);
+  }
+};
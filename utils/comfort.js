@@ -0,0 +1,103 @@
+// How the weather feels, worked out on the device from temperature (°C),
+// relative humidity (%) and wind speed (m/s) - no extra API calls.
+// Everything is in °C like the rest of the weather data, and converted for
+// display with formatTemperature (see utils/units.js). Each value is null
+// when it doesn't apply, e.g. wind chill on a warm day.
+
+// Dew point, using the Magnus formula
+export const getDewPoint = (temp, humidity) => {
+  if (temp === null || !humidity) {
+    return null;
+  }
+  const a = 17.625;
+  const b = 243.04;
+  const gamma = Math.log(humidity / 100) + (a * temp) / (b + temp);
+  return (b * gamma) / (a - gamma);
+};
+
+// Heat index, using the US National Weather Service's formula. It's only
+// meaningful from about 27°C (80°F)
+export const getHeatIndex = (temp, humidity) => {
+  if (temp === null || humidity === null || temp < 26.7) {
+    return null;
+  }
+
+  // The formula works in Fahrenheit
+  const t = temp * 9 / 5 + 32;
+  const rh = humidity;
+
+  // Simple estimate first; the full regression only applies above 80°F
+  let index = 0.5 * (t + 61 + (t - 68) * 1.2 + rh * 0.094);
+  if ((index + t) / 2 >= 80) {
+    index = -42.379 + 2.04901523 * t + 10.14333127 * rh
+      - 0.22475541 * t * rh - 0.00683783 * t * t
+      - 0.05481717 * rh * rh + 0.00122874 * t * t * rh
+      + 0.00085282 * t * rh * rh - 0.00000199 * t * t * rh * rh;
+
+    // Adjustments for very dry and very humid air
+    if (rh < 13 && t <= 112) {
+      index -= ((13 - rh) / 4) * Math.sqrt((17 - Math.abs(t - 95)) / 17);
+    } else if (rh > 85 && t <= 87) {
+      index += ((rh - 85) / 10) * ((87 - t) / 5);
+    }
+  }
+
+  return (index - 32) * 5 / 9;
+};
+
+// Wind chill, using the formula shared by Environment Canada and the US
+// National Weather Service. Only for 10°C and below with some wind
+export const getWindChill = (temp, windSpeed) => {
+  if (temp === null || windSpeed === null || temp > 10) {
+    return null;
+  }
+  const kmh = windSpeed * 3.6;
+  if (kmh <= 4.8) {
+    return null;
+  }
+  const v = Math.pow(kmh, 0.16);
+  return 13.12 + 0.6215 * temp - 11.37 * v + 0.3965 * temp * v;
+};
+
+// Humidex, the Canadian measure of how humid heat feels. Only from 20°C
+export const getHumidex = (temp, humidity) => {
+  const dewPoint = getDewPoint(temp, humidity);
+  if (dewPoint === null || temp < 20) {
+    return null;
+  }
+  // Vapour pressure in hPa
+  const vapourPressure = 6.11 * Math.exp(5417.753 * (1 / 273.16 - 1 / (273.15 + dewPoint)));
+  return temp + 0.5555 * (vapourPressure - 10);
+};
+
+// A simple comfort rating from how warm it feels (with heat index or wind
+// chill) and how muggy the air is (dew point). One of 'veryCold', 'cold',
+// 'cool', 'comfortable', 'humid', 'oppressive', 'hot' or 'veryHot'
+// (labels are in locales/ as comfort.ratings.<rating>)
+export const getComfortRating = ({ temp, heatIndex, windChill, dewPoint }) => {
+  if (temp === null) {
+    return null;
+  }
+  const apparent = heatIndex !== null ? heatIndex : windChill !== null ? windChill : temp;
+
+  if (apparent < 0) return 'veryCold';
+  if (apparent < 10) return 'cold';
+  if (apparent < 18) return 'cool';
+  if (apparent >= 40) return 'veryHot';
+  if (apparent >= 32) return 'hot';
+  if (dewPoint !== null && dewPoint >= 21) return 'oppressive';
+  if (dewPoint !== null && dewPoint >= 16) return 'humid';
+  return 'comfortable';
+};
+
+// Every comfort value for a current-weather or forecast entry:
+// { dewPoint, heatIndex, windChill, humidex, rating }
+export const getComfortMetrics = ({ temp, humidity, windSpeed }) => {
+  const metrics = {
+    dewPoint: getDewPoint(temp, humidity),
+    heatIndex: getHeatIndex(temp, humidity),
+    windChill: getWindChill(temp, windSpeed),
+    humidex: getHumidex(temp, humidity)
+  };
+  return { ...metrics, rating: getComfortRating({ temp, ...metrics }) };
+};
@@ -0,0 +1,47 @@
+import { groupForecastByDay } from './forecast';
+
+// Helpers for the Compare tab, which shows 2-4 cities side by side
+
+export const MIN_COMPARE = 2;
+export const MAX_COMPARE = 4;
+
+// Which values lead a row, e.g. the warmest city. Returns one true/false
+// per value. Nothing leads when the values are all the same (like no rain
+// anywhere) or there's only one to go on; ties all lead
+export const getLeaders = (values) => {
+  const known = values.filter(value => value !== null && value !== undefined);
+  if (known.length < 2) {
+    return values.map(() => false);
+  }
+  const max = Math.max(...known);
+  const min = Math.min(...known);
+  return values.map(value => max > min && value === max);
+};
+
+// The daily summaries for each city (see utils/forecast.js), lined up by
+// calendar date so each row of the comparison is the same day everywhere.
+// Days are split at midnight in each city's own time zone. Takes one
+// forecast (or null) per city and returns
+//   [{ key, days: [summary or null for each city] }]
+// for the dates every city with a forecast has
+export const alignDailyForecasts = (forecasts) => {
+  const dailyByCity = forecasts.map(forecast => (
+    forecast ? groupForecastByDay(forecast.items, forecast.location.timezoneOffset) : null
+  ));
+
+  const withDays = dailyByCity.filter(Boolean);
+  if (withDays.length === 0) {
+    return [];
+  }
+
+  // The forecast starts and ends at different local dates around the world,
+  // so only keep dates they all share
+  const keys = withDays[0]
+    .map(day => day.key)
+    .filter(key => withDays.every(daily => daily.some(day => day.key === key)));
+
+  return keys.map(key => ({
+    key,
+    days: dailyByCity.map(daily => (daily ? daily.find(day => day.key === key) : null))
+  }));
+};
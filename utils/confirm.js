@@ -0,0 +1,22 @@
+import { Alert, Platform } from 'react-native';
+
+// Ask before doing something that can't be undone, e.g. clearing the
+// history. Resolves to true if the user goes ahead. Alert buttons don't
+// work in a browser, so the web app asks with window.confirm instead
+export const confirmDestructive = ({ title, message, confirmText, cancelText }) => {
+  if (Platform.OS === 'web') {
+    return Promise.resolve(window.confirm(message));
+  }
+  return new Promise(resolve => {
+    Alert.alert(
+      title,
+      message,
+      [
+        { text: cancelText, style: 'cancel', onPress: () => resolve(false) },
+        { text: confirmText, style: 'destructive', onPress: () => resolve(true) }
+      ],
+      // Android can also close the dialog by tapping outside it
+      { cancelable: true, onDismiss: () => resolve(false) }
+    );
+  });
+};
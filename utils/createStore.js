@@ -0,0 +1,34 @@
+import { useSyncExternalStore } from 'react';
+
+// A tiny store for state shared across screens, e.g.
+//   const store = createStore({ count: 0 });
+//   store.setState(state => ({ count: state.count + 1 }));
+//   const count = store.useStore(state => state.count);
+// A component using useStore only re-renders when the part of the state
+// its selector returns changes, so selectors should return values straight
+// from the state rather than building new objects or arrays.
+export const createStore = (initialState) => {
+  let state = initialState;
+  const listeners = new Set();
+
+  const getState = () => state;
+
+  // Merge changes into the state. changes can be an object or a function
+  // that gets the current state and returns one
+  const setState = (changes) => {
+    const next = typeof changes === 'function' ? changes(state) : changes;
+    state = { ...state, ...next };
+    listeners.forEach(listener => listener());
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  const useStore = (selector) => {
+    return useSyncExternalStore(subscribe, () => selector(state));
+  };
+
+  return { getState, setState, subscribe, useStore };
+};
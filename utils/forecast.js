@@ -0,0 +1,83 @@
+import { getLocationDayKey } from './time';
+
+// Helpers for turning the 3-hour forecast blocks into daily summaries.
+// Used by the Forecast list and the day detail screen.
+
+// Key used to group blocks by day (the date without time). Days split at
+// midnight in the location's time zone, not the device's
+export const getDayKey = (time, timezoneOffset) => getLocationDayKey(time, timezoneOffset);
+
+// Group forecast items by day and summarise each day
+export const groupForecastByDay = (forecastItems, timezoneOffset) => {
+  // The API gives us data in 3-hour blocks, so we need to group them
+  const groupedByDay = {};
+
+  forecastItems.forEach(item => {
+    const date = getDayKey(item.time, timezoneOffset);
+
+    // Create array for this date if it doesn't exist
+    if (!groupedByDay[date]) {
+      groupedByDay[date] = [];
+    }
+
+    // Add this forecast to the array
+    groupedByDay[date].push(item);
+  });
+
+  // Convert the grouped forecast into an array of daily summaries
+  const dailyForecasts = Object.keys(groupedByDay).map(date => {
+    // Get all forecasts for this day
+    const items = groupedByDay[date];
+
+    // Calculate min and max temperature for the day
+    const minTemp = Math.min(...items.map(item => item.tempMin));
+    const maxTemp = Math.max(...items.map(item => item.tempMax));
+
+    // Highest chance of rain/snow, total precipitation and strongest wind
+    const maxPop = Math.max(...items.map(item => item.pop || 0));
+    const totalPrecipitation = items.reduce(
+      (total, item) => total + (item.rain || 0) + (item.snow || 0),
+      0
+    );
+    const maxWind = Math.max(...items.map(item => item.windSpeed));
+
+    // Count occurrences of each weather condition to find the most common
+    const weatherCounts = {};
+    items.forEach(item => {
+      const condition = item.condition.main;
+      weatherCounts[condition] = (weatherCounts[condition] || 0) + 1;
+    });
+
+    // Find the most common weather condition
+    let mostCommonWeather = items[0].condition;
+    let maxCount = 0;
+
+    Object.keys(weatherCounts).forEach(condition => {
+      if (weatherCounts[condition] > maxCount) {
+        maxCount = weatherCounts[condition];
+        // Find an item with this condition to get its details
+        mostCommonWeather = items.find(item =>
+          item.condition.main === condition
+        ).condition;
+      }
+    });
+
+    // Return the processed data for this day
+    return {
+      key: date,
+      date: new Date(items[0].time),
+      minTemp,
+      maxTemp,
+      maxPop,
+      totalPrecipitation,
+      maxWind,
+      weather: mostCommonWeather,
+      items // Every 3-hour block, for the day detail screen
+    };
+  });
+
+  // Sort by date
+  dailyForecasts.sort((a, b) => a.date - b.date);
+
+  return dailyForecasts;
+};
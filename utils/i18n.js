@@ -0,0 +1,119 @@
+import { createContext, useContext } from 'react';
+import { I18nManager, Platform } from 'react-native';
+import { getLocales } from 'expo-localization';
+import { DEFAULT_LANGUAGE, getLanguageInfo, getTranslations } from '../locales';
+
+// Translations, plus number and date formatting for the chosen language.
+// settings.language is a language id from locales/ or 'system' to follow
+// the device. App.js resolves it and keeps the active language here, so
+// formatting helpers (utils/units.js, utils/time.js) can use it too.
+
+let activeLanguage = DEFAULT_LANGUAGE;
+
+// The language everything is currently shown in
+export const getLanguage = () => activeLanguage;
+
+export const setLanguage = (language) => {
+  activeLanguage = language;
+};
+
+// Turn the language setting into a language we ship
+export const resolveLanguage = (setting) => {
+  if (setting && setting !== 'system') {
+    return getLanguageInfo(setting).id;
+  }
+
+  // Use the first of the device's preferred languages that we have
+  const deviceLanguages = getLocales().map(locale => locale.languageCode);
+  const supported = deviceLanguages.find(code => getLanguageInfo(code).id === code);
+  return supported || DEFAULT_LANGUAGE;
+};
+
+export const isRTLLanguage = (language) => getLanguageInfo(language).rtl;
+
+// Look up "section.key" in a set of strings
+const lookup = (strings, key) => {
+  return key.split('.').reduce((value, part) => (value ? value[part] : undefined), strings);
+};
+
+// Translate a key, e.g. translate('es', 'home.unavailable', { name: 'Paris' }).
+// Missing keys fall back to English, then to the key itself.
+export const translate = (language, key, params = {}) => {
+  let value = lookup(getTranslations(language), key);
+  if (value === undefined) {
+    value = lookup(getTranslations(DEFAULT_LANGUAGE), key);
+  }
+  if (value === undefined) {
+    return key;
+  }
+
+  // Pick the plural form, e.g. { one: '1 day', other: '{count} days' }
+  if (typeof value === 'object') {
+    const form = new Intl.PluralRules(language).select(params.count);
+    value = value[form] || value.other;
+  }
+
+  // Fill in the {placeholders}, formatting numbers for the language
+  return value.replace(/\{(\w+)\}/g, (match, name) => {
+    const param = params[name];
+    if (param === undefined) {
+      return match;
+    }
+    return typeof param === 'number' ? formatNumber(param, 0, language) : String(param);
+  });
+};
+
+// Format a number with the language's digits and separators
+// ('--' for a missing value)
+export const formatNumber = (value, decimals = 0, language = activeLanguage) => {
+  if (value === null || value === undefined) {
+    return '--';
+  }
+  // Round first so -0.4 shows as "0" rather than "-0"
+  const rounded = Number(value.toFixed(decimals)) || 0;
+  return new Intl.NumberFormat(language, {
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals
+  }).format(rounded);
+};
+
+// Format a percentage given from 0 to 100, e.g. "80%" or "٨٠٪"
+export const formatPercent = (value, language = activeLanguage) => {
+  if (value === null || value === undefined) {
+    return '--';
+  }
+  return new Intl.NumberFormat(language, {
+    style: 'percent',
+    maximumFractionDigits: 0
+  }).format(value / 100);
+};
+
+// Lay the app out right-to-left for languages like Arabic.
+// The web switches straight away; native apps only pick the new direction
+// up after a restart, so this returns true when one is needed.
+export const applyLayoutDirection = (language) => {
+  const rtl = isRTLLanguage(language);
+
+  if (Platform.OS === 'web') {
+    document.documentElement.dir = rtl ? 'rtl' : 'ltr';
+    document.documentElement.lang = language;
+    return false;
+  }
+
+  I18nManager.allowRTL(rtl);
+  I18nManager.forceRTL(rtl);
+  return I18nManager.isRTL !== rtl;
+};
+
+// App.js provides the active language to every screen and component
+export const I18nContext = createContext(DEFAULT_LANGUAGE);
+
+// const { t, language, isRTL } = useTranslation();
+export const useTranslation = () => {
+  const language = useContext(I18nContext);
+  return {
+    language,
+    isRTL: isRTLLanguage(language),
+    t: (key, params) => translate(language, key, params)
+  };
+};
@@ -0,0 +1,157 @@
+import { Platform, Share } from 'react-native';
+import * as Linking from 'expo-linking';
+import { createLocation, hasCoordinates, normalizeLocation } from './locations';
+
+// Links into the app, e.g.
+//   weatherdashboard://forecast?city=Tokyo&units=imperial
+//   https://<web app>/forecast?city=Tokyo&lat=35.6895&lon=139.6917
+// The path picks the screen (see linking below) and the query picks what it
+// shows: city (with lat/lon when known) and units ('metric' or 'imperial').
+// These only last for the session and never change the saved settings.
+
+// Paths for each screen. DayDetail also needs locationId in the query
+const SCREEN_PATHS = {
+  Home: '',
+  ForecastList: 'forecast',
+  DayDetail: 'forecast/:dayKey',
+  Compare: 'compare',
+  History: 'history',
+  SettingsMain: 'settings',
+  AlertRules: 'settings/alerts'
+};
+
+// The unit systems a link can ask for (see getUnitsForSystem in utils/units.js)
+const LINK_UNIT_SYSTEMS = ['metric', 'imperial'];
+
+// React Navigation's linking config, passed to NavigationContainer
+export const linking = {
+  prefixes: [Linking.createURL('/'), 'weatherdashboard://'],
+  config: {
+    screens: {
+      Home: SCREEN_PATHS.Home,
+      Forecast: {
+        screens: {
+          ForecastList: SCREEN_PATHS.ForecastList,
+          DayDetail: SCREEN_PATHS.DayDetail
+        }
+      },
+      Compare: SCREEN_PATHS.Compare,
+      History: SCREEN_PATHS.History,
+      Settings: {
+        screens: {
+          SettingsMain: SCREEN_PATHS.SettingsMain,
+          AlertRules: SCREEN_PATHS.AlertRules
+        }
+      }
+    }
+  }
+};
+
+// Read the location and units from a link's query.
+// Returns null when the link doesn't ask for either
+export const parseLinkParams = (url) => {
+  const { queryParams } = Linking.parse(url);
+  const { city, lat, lon, units } = queryParams || {};
+  const latitude = parseFloat(lat);
+  const longitude = parseFloat(lon);
+
+  let location = null;
+  if (!Number.isNaN(latitude) && !Number.isNaN(longitude)) {
+    location = createLocation({ name: city || `${lat}, ${lon}`, lat: latitude, lon: longitude });
+  } else if (city) {
+    // Fetched by name, like locations saved by older versions
+    location = normalizeLocation(city);
+  }
+
+  const unitSystem = LINK_UNIT_SYSTEMS.includes(units) ? units : null;
+
+  if (!location && !unitSystem) {
+    return null;
+  }
+  return { location, units: unitSystem };
+};
+
+// The id a location gets when a link opens it, so DayDetail links can find it
+const getLinkLocationId = (location) => {
+  return hasCoordinates(location)
+    ? createLocation(location).id
+    : normalizeLocation(location.name).id;
+};
+
+// Build a link to a screen showing a location, e.g. for the share button.
+// units is 'metric', 'imperial' or null to leave the receiver's own units
+export const buildShareUrl = (routeName, { location, units, params = {} }) => {
+  const path = (SCREEN_PATHS[routeName] || '').replace(':dayKey', params.dayKey || '');
+  // The current location has no name to send
+  const queryParams = location.name ? { city: location.name } : {};
+
+  if (hasCoordinates(location)) {
+    queryParams.lat = location.lat.toFixed(4);
+    queryParams.lon = location.lon.toFixed(4);
+  }
+  if (routeName === 'DayDetail') {
+    queryParams.locationId = getLinkLocationId(location);
+  }
+  if (units) {
+    queryParams.units = units;
+  }
+
+  return Linking.createURL(path, { queryParams });
+};
+
+// Share a link with the system share sheet. Browsers without one get the
+// link copied to the clipboard instead.
+// Returns 'shared', 'copied' or null if neither worked
+export const shareLink = async (url, title) => {
+  try {
+    await Share.share(Platform.OS === 'ios' ? { url, title } : { message: url, title });
+    return 'shared';
+  } catch (error) {
+    if (Platform.OS === 'web' && navigator.clipboard) {
+      // Browsers refuse this without permission or when the page isn't focused
+      try {
+        await navigator.clipboard.writeText(url);
+        return 'copied';
+      } catch (copyError) {
+        console.error('Failed to copy link', copyError);
+        return null;
+      }
+    }
+    console.error('Failed to share link', error);
+    return null;
+  }
+};
+
+// In the browser the link's choices are kept in sessionStorage, so they
+// survive a reload (React Navigation drops the query once you move between
+// tabs) but not a new tab
+
+const SESSION_STORAGE_KEY = 'weatherSession';
+
+export const loadWebSession = () => {
+  if (Platform.OS !== 'web') {
+    return null;
+  }
+  try {
+    const saved = window.sessionStorage.getItem(SESSION_STORAGE_KEY);
+    return saved ? JSON.parse(saved) : null;
+  } catch (error) {
+    console.error('Failed to load session', error);
+    return null;
+  }
+};
+
+export const saveWebSession = (session) => {
+  if (Platform.OS !== 'web') {
+    return;
+  }
+  try {
+    if (session) {
+      window.sessionStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+    } else {
+      window.sessionStorage.removeItem(SESSION_STORAGE_KEY);
+    }
+  } catch (error) {
+    console.error('Failed to save session', error);
+  }
+};
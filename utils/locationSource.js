@@ -0,0 +1,92 @@
+import * as Location from 'expo-location';
+
+// Where "Use my current location" gets its position from.
+// A location source looks like:
+// {
+//   requestPermission: async () => true | false,
+//   watchPosition: async ({ distanceInterval }, onChange) => unsubscribe
+// }
+// onChange is called with { latitude, longitude } whenever the device has
+// moved at least distanceInterval metres.
+
+// The real device location, through expo-location
+const deviceLocationSource = {
+  requestPermission: async () => {
+    const { status } = await Location.requestForegroundPermissionsAsync();
+    return status === 'granted';
+  },
+
+  watchPosition: async ({ distanceInterval }, onChange) => {
+    const subscription = await Location.watchPositionAsync(
+      {
+        accuracy: Location.Accuracy.Balanced,
+        distanceInterval
+      },
+      (position) => onChange(position.coords)
+    );
+    return () => subscription.remove();
+  }
+};
+
+// Distance between two points in metres (haversine formula)
+export const distanceBetween = (from, to) => {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const earthRadius = 6371000;
+
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * earthRadius * Math.asin(Math.sqrt(a));
+};
+
+// A fake location source for testing on a desktop or simulator.
+// It moves through the given positions, one every `interval` ms, and
+// only reports moves bigger than distanceInterval like the real one.
+export const createMockLocationSource = ({ positions, interval = 10000, granted = true }) => ({
+  requestPermission: async () => granted,
+
+  watchPosition: async ({ distanceInterval }, onChange) => {
+    let index = 0;
+    let lastReported = positions[0];
+    onChange(positions[0]);
+
+    const timer = setInterval(() => {
+      index = (index + 1) % positions.length;
+      if (distanceBetween(lastReported, positions[index]) >= distanceInterval) {
+        lastReported = positions[index];
+        onChange(positions[index]);
+      }
+    }, interval);
+
+    return () => clearInterval(timer);
+  }
+});
+
+// EXPO_PUBLIC_MOCK_LOCATION can replace the device location, e.g.
+//   EXPO_PUBLIC_MOCK_LOCATION="51.5074,-0.1278;48.8566,2.3522"  (travel London -> Paris)
+//   EXPO_PUBLIC_MOCK_LOCATION="denied"                           (permission refused)
+const createSourceFromEnv = (value) => {
+  if (value === 'denied') {
+    return createMockLocationSource({ positions: [], granted: false });
+  }
+
+  const positions = value.split(';').map(pair => {
+    const [latitude, longitude] = pair.split(',').map(Number);
+    return { latitude, longitude };
+  });
+  return createMockLocationSource({ positions });
+};
+
+let activeSource = process.env.EXPO_PUBLIC_MOCK_LOCATION
+  ? createSourceFromEnv(process.env.EXPO_PUBLIC_MOCK_LOCATION)
+  : deviceLocationSource;
+
+// The location source the app should use
+export const getLocationSource = () => activeSource;
+
+// Swap in another location source (e.g. a mock in tests)
+export const setLocationSource = (source) => {
+  activeSource = source;
+};
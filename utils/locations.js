@@ -0,0 +1,62 @@
+// Saved locations are objects like
+// { id, name, state, country, lat, lon }
+// chosen from a geocoding search, so weather is fetched by coordinates.
+// Older installs saved plain city names; those become { id, name } and are
+// still fetched by name until they're replaced with a searched place.
+
+// Build a saved location from a geocoding result
+export const createLocation = ({ name, state, country, lat, lon }) => ({
+  id: `${lat.toFixed(4)},${lon.toFixed(4)}`,
+  name,
+  state: state || null,
+  country: country || null,
+  lat,
+  lon
+});
+
+// Turn anything we might find in storage into a location object
+export const normalizeLocation = (saved) => {
+  if (typeof saved === 'string') {
+    return { id: saved.toLowerCase(), name: saved };
+  }
+  return saved;
+};
+
+// Whether we know where this location is, or only its name
+export const hasCoordinates = (location) => {
+  return typeof location.lat === 'number' && typeof location.lon === 'number';
+};
+
+// "Paris, Texas, US" - enough detail to tell places with the same name apart.
+// The current location may have no name (Open-Meteo doesn't look one up),
+// so pass t to show the translated "Current location" instead of nothing
+export const getDisplayName = (location, t) => {
+  const name = [location.name, location.state, location.country]
+    .filter(Boolean)
+    .join(', ');
+  return name || (t ? t('home.currentLocation') : '');
+};
+
+// The location used on first launch
+export const DEFAULT_LOCATION = createLocation({
+  name: 'London',
+  state: 'England',
+  country: 'GB',
+  lat: 51.5073,
+  lon: -0.1276
+});
+
+// The device's own position ("Use my current location"). It isn't part of the
+// saved list; the weather store puts it in front of the saved locations while it's on.
+// It has no name until the weather names the place, see getDisplayName
+export const CURRENT_LOCATION_ID = 'current';
+
+export const createCurrentLocation = ({ latitude, longitude }) => ({
+  id: CURRENT_LOCATION_ID,
+  name: null,
+  state: null,
+  country: null,
+  lat: latitude,
+  lon: longitude,
+  isCurrent: true
+});
@@ -0,0 +1,88 @@
+import { Platform } from 'react-native';
+import { createStore } from './createStore';
+
+// Registers the service worker that lets the web app install and work
+// offline (web/service-worker.js, copied into the build by
+// scripts/build-pwa.js). When a new version has been deployed, the new
+// worker waits and updateReady turns on so components/UpdatePrompt.js can
+// offer to reload into it.
+
+// How often an open app checks for a new version
+const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000;
+
+// Where the app is hosted, from experiments.baseUrl in app.json
+// (e.g. '/weather', or '' at the root)
+const BASE_URL = (process.env.EXPO_BASE_URL || '').replace(/\/$/, '');
+
+// Only the exported web build has a service worker to register; the
+// development server doesn't
+const serviceWorkerSupported = Platform.OS === 'web'
+  && !__DEV__
+  && typeof navigator !== 'undefined'
+  && 'serviceWorker' in navigator;
+
+const store = createStore({
+  // The new version's worker, waiting to take over (null when there's none)
+  waitingWorker: null
+});
+
+// Function to note a new version once its worker has finished installing.
+// The first install isn't an update, so it only counts when a worker is
+// already in charge of the page
+const watchInstalling = (worker) => {
+  worker.addEventListener('statechange', () => {
+    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+      store.setState({ waitingWorker: worker });
+    }
+  });
+};
+
+// Function to register the service worker and watch for new versions
+export const registerServiceWorker = async () => {
+  if (!serviceWorkerSupported) {
+    return;
+  }
+
+  try {
+    const registration = await navigator.serviceWorker.register(`${BASE_URL}/service-worker.js`, {
+      scope: `${BASE_URL}/`
+    });
+
+    // A new version may have finished installing while the app was closed
+    if (registration.waiting && navigator.serviceWorker.controller) {
+      store.setState({ waitingWorker: registration.waiting });
+    }
+    registration.addEventListener('updatefound', () => watchInstalling(registration.installing));
+
+    // Reload once the new version has taken over
+    let reloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (!reloading) {
+        reloading = true;
+        window.location.reload();
+      }
+    });
+
+    // Browsers only check for a new version when the page loads, and the
+    // app tends to stay open
+    setInterval(() => registration.update(), UPDATE_CHECK_INTERVAL);
+  } catch (error) {
+    console.error('Failed to register the service worker', error);
+  }
+};
+
+// Function to switch to the new version (the page reloads when it's ready)
+export const applyUpdate = () => {
+  const { waitingWorker } = store.getState();
+  if (waitingWorker) {
+    waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+  }
+};
+
+// Function to keep the current version until the next time the app opens
+export const dismissUpdate = () => {
+  store.setState({ waitingWorker: null });
+};
+
+// Whether a new version is ready to switch to
+export const useUpdateReady = () => store.useStore(state => state.waitingWorker !== null);
@@ -0,0 +1,53 @@
+import { Platform } from 'react-native';
+import * as DocumentPicker from 'expo-document-picker';
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+
+// Saving and opening settings export files (see utils/settingsSchema.js).
+// The apps write the file and hand it to the share sheet, so it can be
+// saved to Files, emailed or AirDropped to another device; browsers
+// download it instead.
+
+const EXPORT_FILE_NAME = 'weather-dashboard-settings.json';
+const JSON_TYPE = 'application/json';
+
+// Function to save an export file. Returns false if there's no way to
+// share it on this device
+export const saveSettingsFile = async (contents, title) => {
+  if (Platform.OS === 'web') {
+    const url = URL.createObjectURL(new Blob([contents], { type: JSON_TYPE }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = EXPORT_FILE_NAME;
+    link.click();
+    URL.revokeObjectURL(url);
+    return true;
+  }
+
+  if (!(await Sharing.isAvailableAsync())) {
+    return false;
+  }
+  const uri = `${FileSystem.cacheDirectory}${EXPORT_FILE_NAME}`;
+  await FileSystem.writeAsStringAsync(uri, contents);
+  await Sharing.shareAsync(uri, { mimeType: JSON_TYPE, dialogTitle: title, UTI: 'public.json' });
+  return true;
+};
+
+// Function to let the user pick an export file. Returns its text, or null
+// if they cancelled
+export const openSettingsFile = async () => {
+  const result = await DocumentPicker.getDocumentAsync({
+    type: [JSON_TYPE, 'text/plain'],
+    copyToCacheDirectory: true
+  });
+  if (result.canceled) {
+    return null;
+  }
+
+  const [file] = result.assets;
+  if (Platform.OS === 'web') {
+    const response = await fetch(file.uri);
+    return response.text();
+  }
+  return FileSystem.readAsStringAsync(file.uri);
+};
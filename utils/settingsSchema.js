@@ -0,0 +1,231 @@
+import { PROVIDERS, DEFAULT_PROVIDER_ID } from '../providers';
+import { DEMO_SCENARIOS, DEFAULT_DEMO_SCENARIO } from '../providers/demo';
+import { LANGUAGES } from '../locales';
+import { THEME_MODES } from './theme';
+import { UNIT_OPTIONS, getUnitsForSystem } from './units';
+import { ALERT_METRICS, ALERT_COMPARISONS, ALERT_WINDOWS } from './alertRules';
+import { DEFAULT_LOCATION, normalizeLocation } from './locations';
+
+// Settings are saved (under 'weatherSettings') as
+//   { version: 2, settings: { temperatureUnit: 'celsius', ... } }
+// Older versions saved the settings object on its own, without a version.
+// New fields only need adding to DEFAULT_SETTINGS and SETTINGS_FIELDS.
+// When existing fields are renamed or change meaning:
+//   1. bump SETTINGS_VERSION
+//   2. add a migration from the previous version to MIGRATIONS
+// Saved settings are migrated and validated each time they're loaded, so
+// older installs keep their choices and a corrupt field falls back to its
+// default instead of breaking the app.
+
+export const SETTINGS_VERSION = 2;
+
+// Settings used on first launch, and for any fields missing from older saves
+export const DEFAULT_SETTINGS = {
+  // Display units - weather data itself is always metric (see utils/units.js)
+  ...getUnitsForSystem('metric'),
+  cacheMaxAge: 24, // Hours before cached weather is thrown away
+  historyDays: 7, // Days of past readings kept for the History screen (0 for none)
+  refreshInterval: 30, // Minutes before weather is refreshed automatically (0 for never)
+  backgroundRefresh: false, // Let the OS refresh the weather while the app is closed
+  provider: DEFAULT_PROVIDER_ID, // Which weather API to use (see providers/)
+  demoScenario: DEFAULT_DEMO_SCENARIO, // What the demo provider shows (see providers/demo.js)
+  useDeviceLocation: false, // Show weather for where the device is
+  locationDistance: 1000, // Metres to move before refreshing the current location
+  showDeviceTime: false, // Also show times in the device's time zone
+  themeMode: 'system', // 'light', 'dark' or 'system' to follow the device
+  language: 'system' // A language id from locales/, or 'system' to follow the device
+};
+
+// Checks for each kind of value
+const isOneOf = (values) => (value) => values.includes(value);
+const isBoolean = (value) => typeof value === 'boolean';
+const isNumberFrom = (min) => (value) => typeof value === 'number' && Number.isFinite(value) && value >= min;
+const unitIds = (key) => UNIT_OPTIONS[key].map(option => option.id);
+
+// How to check each setting. Every field in DEFAULT_SETTINGS needs one
+const SETTINGS_FIELDS = {
+  temperatureUnit: isOneOf(unitIds('temperatureUnit')),
+  windUnit: isOneOf(unitIds('windUnit')),
+  pressureUnit: isOneOf(unitIds('pressureUnit')),
+  distanceUnit: isOneOf(unitIds('distanceUnit')),
+  cacheMaxAge: isNumberFrom(1),
+  historyDays: isNumberFrom(0),
+  refreshInterval: isNumberFrom(0),
+  backgroundRefresh: isBoolean,
+  provider: isOneOf(PROVIDERS.map(provider => provider.id)),
+  demoScenario: isOneOf(DEMO_SCENARIOS.map(scenario => scenario.id)),
+  useDeviceLocation: isBoolean,
+  locationDistance: isNumberFrom(1),
+  showDeviceTime: isBoolean,
+  themeMode: isOneOf(THEME_MODES),
+  language: isOneOf(['system', ...LANGUAGES.map(language => language.id)])
+};
+
+// Migrations from each version to the next. Each gets the settings saved by
+// that version and returns them in the next version's shape
+const MIGRATIONS = {
+  // Version 1 had one metric/imperial switch instead of separate units, and
+  // kept the city in settings.location (loadSettings moves it to the
+  // locations list)
+  1: ({ units, location, ...settings }) => ({
+    ...(units ? getUnitsForSystem(units) : {}),
+    ...settings
+  })
+};
+
+// Error for settings that can't be read, e.g. a broken import file
+export class SettingsError extends Error {
+  constructor(type, message) {
+    super(message);
+    this.name = 'SettingsError';
+    this.type = type; // 'invalid' or 'newerVersion'
+  }
+}
+
+// Keep the valid fields and use the defaults for anything missing or wrong.
+// Fields this version doesn't know about are dropped
+export const validateSettings = (settings) => {
+  const source = settings && typeof settings === 'object' ? settings : {};
+  return Object.keys(DEFAULT_SETTINGS).reduce((valid, key) => {
+    valid[key] = SETTINGS_FIELDS[key](source[key]) ? source[key] : DEFAULT_SETTINGS[key];
+    return valid;
+  }, {});
+};
+
+// Bring settings saved by an older version up to date, then validate them.
+// Settings from a newer version are validated as they are
+export const migrateSettings = (settings, version) => {
+  let migrated = settings;
+  for (let from = version; from < SETTINGS_VERSION; from++) {
+    const migrate = MIGRATIONS[from];
+    if (migrate) {
+      migrated = migrate(migrated || {});
+    }
+  }
+  return validateSettings(migrated);
+};
+
+// Read JSON from storage, or null if it's missing or corrupt
+const parseSaved = (saved) => {
+  try {
+    return saved ? JSON.parse(saved) : null;
+  } catch (error) {
+    console.error('Failed to read saved data', error);
+    return null;
+  }
+};
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Check a location has what the app needs to show and fetch it
+const isValidLocation = (location) => {
+  return isObject(location) && typeof location.id === 'string' && typeof location.name === 'string';
+};
+
+// Check an alert rule has everything findRuleMatches needs
+const isValidRule = (rule) => {
+  return isObject(rule) &&
+    Boolean(ALERT_METRICS[rule.metric]) &&
+    ALERT_COMPARISONS.includes(rule.comparison) &&
+    ALERT_WINDOWS.includes(rule.window) &&
+    typeof rule.threshold === 'number' &&
+    typeof rule.unit === 'string';
+};
+
+// Keep the usable rules from a saved or imported list
+const normalizeAlertRules = (rules) => {
+  return (Array.isArray(rules) ? rules : [])
+    .filter(isValidRule)
+    .map(rule => ({ ...rule, id: String(rule.id), enabled: rule.enabled !== false }));
+};
+
+// Read what was saved under 'weatherSettings'. Returns the settings, the
+// version they were saved with and the city version 1 kept in
+// settings.location (or null). Anything missing or corrupt gets the defaults
+export const parseStoredSettings = (saved) => {
+  const parsed = parseSaved(saved);
+  if (!isObject(parsed)) {
+    return { settings: DEFAULT_SETTINGS, version: SETTINGS_VERSION, location: null };
+  }
+  // Saves without a version are from version 1
+  const version = typeof parsed.version === 'number' ? parsed.version : 1;
+  const stored = typeof parsed.version === 'number' ? parsed.settings : parsed;
+  const settings = isObject(stored) ? stored : {};
+  const location = version === 1 && settings.location ? normalizeLocation(settings.location) : null;
+  return {
+    settings: migrateSettings(settings, version),
+    version,
+    location: isValidLocation(location) ? location : null
+  };
+};
+
+// Read what was saved under 'weatherLocations'. Returns null when there's
+// no usable list, so the caller can fall back to another one
+export const parseStoredLocations = (saved) => {
+  const parsed = parseSaved(saved);
+  if (!Array.isArray(parsed)) {
+    return null;
+  }
+  const locations = parsed.map(normalizeLocation).filter(isValidLocation);
+  return locations.length > 0 ? locations : null;
+};
+
+// Read what was saved under 'weatherAlertRules'. Anything missing or corrupt
+// is left out
+export const parseStoredAlertRules = (saved) => {
+  return normalizeAlertRules(parseSaved(saved));
+};
+
+// What to save under 'weatherSettings'
+export const serializeSettings = (settings) => {
+  return JSON.stringify({ version: SETTINGS_VERSION, settings });
+};
+
+// Import and export
+
+// Marks a file as a settings export from this app
+const EXPORT_APP_ID = 'weather-dashboard';
+
+// Build the contents of an export file with every preference except the
+// API key, which stays on the device
+export const createSettingsExport = ({ settings, locations, alertRules }) => {
+  return JSON.stringify({
+    app: EXPORT_APP_ID,
+    version: SETTINGS_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings,
+    locations,
+    alertRules
+  }, null, 2);
+};
+
+// Read an export file. Returns { settings, locations, alertRules } ready to
+// use, or throws a SettingsError if the file isn't one of ours
+export const parseSettingsExport = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new SettingsError('invalid', 'The file is not valid JSON');
+  }
+
+  if (!data || data.app !== EXPORT_APP_ID || typeof data.version !== 'number') {
+    throw new SettingsError('invalid', 'The file is not a settings export');
+  }
+  // Newer versions may have changed what fields mean, so don't guess
+  if (data.version > SETTINGS_VERSION) {
+    throw new SettingsError('newerVersion', `Settings version ${data.version} is newer than this app's`);
+  }
+
+  const locations = (Array.isArray(data.locations) ? data.locations : [])
+    .map(normalizeLocation)
+    .filter(isValidLocation);
+  const alertRules = normalizeAlertRules(data.alertRules);
+
+  return {
+    settings: migrateSettings(data.settings, data.version),
+    // Always keep at least one city to show on the dashboard
+    locations: locations.length > 0 ? locations : [DEFAULT_LOCATION],
+    alertRules
+  };
+};
@@ -0,0 +1,105 @@
+import { createContext, useContext, useMemo } from 'react';
+
+// Colours for the light and dark themes. Screens never use hex colours
+// directly; they build their styles from one of these palettes so the
+// whole app switches together.
+const LIGHT_COLORS = {
+  background: '#f8f9fa', // Screen background
+  card: '#ffffff', // Cards, list items and the tab bar
+  text: '#212529',
+  textSecondary: '#495057',
+  textMuted: '#6c757d',
+  placeholder: '#adb5bd', // Placeholders, chevrons and switch tracks
+  border: '#ced4da',
+  subtle: '#e9ecef', // Chips, banners and chart grid lines
+  divider: '#f1f3f5', // Lines between list rows
+  primary: '#0096c7',
+  onPrimary: '#ffffff', // Text and icons on a primary background
+  shadow: '#000',
+  success: '#198754',
+  warning: '#fd7e14',
+  danger: '#dc3545',
+  errorBackground: '#f8d7da',
+  errorText: '#842029',
+  warningBackground: '#fff3cd',
+  warningText: '#856404',
+  // Chart series
+  chartTemp: '#0096c7',
+  chartFeelsLike: '#fd7e14',
+  chartPop: '#74c0fc',
+  chartPrecipitation: '#1864ab',
+  chartWind: '#20c997',
+  chartGust: '#868e96',
+  chartHigh: '#fd7e14',
+  chartLow: '#0096c7'
+};
+
+const DARK_COLORS = {
+  background: '#121417',
+  card: '#1e2226',
+  text: '#f1f3f5',
+  textSecondary: '#ced4da',
+  textMuted: '#9aa3ab',
+  placeholder: '#6c757d',
+  border: '#495057',
+  subtle: '#2b3035',
+  divider: '#2b3035',
+  primary: '#1fb0e0',
+  onPrimary: '#ffffff',
+  shadow: '#000',
+  success: '#75b798',
+  warning: '#feb272',
+  danger: '#ea868f',
+  errorBackground: '#2c0b0e',
+  errorText: '#ea868f',
+  warningBackground: '#332701',
+  warningText: '#ffda6a',
+  chartTemp: '#1fb0e0',
+  chartFeelsLike: '#feb272',
+  chartPop: '#a5d8ff',
+  chartPrecipitation: '#4dabf7',
+  chartWind: '#63e6be',
+  chartGust: '#adb5bd',
+  chartHigh: '#feb272',
+  chartLow: '#1fb0e0'
+};
+
+export const LIGHT_THEME = { dark: false, colors: LIGHT_COLORS };
+export const DARK_THEME = { dark: true, colors: DARK_COLORS };
+
+// Choices for settings.themeMode (labels are in locales/, settings.themeModes)
+export const THEME_MODES = ['system', 'light', 'dark'];
+
+// Pick the theme for a mode, following the device's appearance for 'system'
+export const resolveTheme = (themeMode, systemScheme) => {
+  const dark = themeMode === 'dark' || (themeMode === 'system' && systemScheme === 'dark');
+  return dark ? DARK_THEME : LIGHT_THEME;
+};
+
+// Theme options for React Navigation's headers, tab bar and backgrounds
+export const getNavigationTheme = (theme, baseTheme) => ({
+  ...baseTheme,
+  dark: theme.dark,
+  colors: {
+    ...baseTheme.colors,
+    primary: theme.colors.primary,
+    background: theme.colors.background,
+    card: theme.colors.card,
+    text: theme.colors.text,
+    border: theme.colors.subtle,
+    notification: theme.colors.danger
+  }
+});
+
+// App.js provides the current theme to every screen and component
+export const ThemeContext = createContext(LIGHT_THEME);
+
+export const useTheme = () => useContext(ThemeContext);
+
+// Build a component's styles from the current colours, e.g.
+//   const styles = useThemedStyles(createStyles);
+// where createStyles = (colors) => StyleSheet.create({ ... })
+export const useThemedStyles = (createStyles) => {
+  const theme = useTheme();
+  return useMemo(() => createStyles(theme.colors), [theme, createStyles]);
+};
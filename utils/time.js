@@ -0,0 +1,64 @@
+// Dates and times shown in the location's own time zone.
+// The weather APIs give each location's offset from UTC in seconds
+// (location.timezoneOffset). Shifting a timestamp by that offset and then
+// formatting it as UTC gives the wall-clock time at the location, whatever
+// time zone the device is in. Names and digits follow the app's language.
+
+import { getLanguage, translate } from './i18n';
+
+const DEFAULT_TIME_OPTIONS = { hour: '2-digit', minute: '2-digit' };
+
+// The device's own offset from UTC at a given time, in seconds
+const getDeviceOffset = (time) => -new Date(time).getTimezoneOffset() * 60;
+
+// Use the device's offset if the provider didn't give us one
+const resolveOffset = (time, offsetSeconds) => {
+  return typeof offsetSeconds === 'number' ? offsetSeconds : getDeviceOffset(time);
+};
+
+// A Date whose UTC fields hold the location's wall-clock time
+const toLocationDate = (time, offsetSeconds) => {
+  return new Date(time + resolveOffset(time, offsetSeconds) * 1000);
+};
+
+// Format a time of day at the location, e.g. "06:12"
+export const formatLocationTime = (time, offsetSeconds, options = DEFAULT_TIME_OPTIONS) => {
+  return toLocationDate(time, offsetSeconds).toLocaleTimeString(getLanguage(), {
+    ...options,
+    timeZone: 'UTC'
+  });
+};
+
+// Format a date at the location, e.g. "Monday" or "Mar 3"
+export const formatLocationDate = (time, offsetSeconds, options) => {
+  return toLocationDate(time, offsetSeconds).toLocaleDateString(getLanguage(), {
+    ...options,
+    timeZone: 'UTC'
+  });
+};
+
+// Key for the calendar day at the location, e.g. "2025-03-03"
+export const getLocationDayKey = (time, offsetSeconds) => {
+  return toLocationDate(time, offsetSeconds).toISOString().slice(0, 10);
+};
+
+// The same moment in the device's time zone, e.g. "22:12 your time",
+// or null when the device is in the location's time zone anyway
+export const formatDeviceTime = (time, offsetSeconds) => {
+  if (resolveOffset(time, offsetSeconds) === getDeviceOffset(time)) {
+    return null;
+  }
+  const language = getLanguage();
+  return translate(language, 'time.deviceTime', {
+    time: new Date(time).toLocaleTimeString(language, DEFAULT_TIME_OPTIONS)
+  });
+};
+
+// Format a time at the location, adding the device's time when asked to
+// and when it's different, e.g. "06:12 (22:12 your time)"
+export const formatTimeWithDevice = (time, offsetSeconds, showDeviceTime) => {
+  const locationTime = formatLocationTime(time, offsetSeconds);
+  const deviceTime = showDeviceTime ? formatDeviceTime(time, offsetSeconds) : null;
+
+  return deviceTime ? `${locationTime} (${deviceTime})` : locationTime;
+};
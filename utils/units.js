@@ -0,0 +1,156 @@
+import { formatNumber } from './i18n';
+
+// Weather data is always fetched and cached in one set of units:
+// °C, m/s, hPa, metres (visibility) and mm (precipitation).
+// The screens convert it to the units picked in Settings when they show it,
+// so changing units never needs a network call.
+// Numbers are formatted for the current language (see utils/i18n.js).
+export const CANONICAL_UNITS = 'metric';
+
+// Shown when a provider didn't send a value
+const MISSING = '--';
+
+// Beaufort scale: the lowest wind speed (m/s) for each force from 1 to 12
+const BEAUFORT_LIMITS = [0.5, 1.6, 3.4, 5.5, 8, 10.8, 13.9, 17.2, 20.8, 24.5, 28.5, 32.7];
+
+const TEMPERATURE_UNITS = {
+  celsius: { label: '°C', convert: (celsius) => celsius },
+  fahrenheit: { label: '°F', convert: (celsius) => celsius * 9 / 5 + 32 },
+  kelvin: { label: 'K', convert: (celsius) => celsius + 273.15 }
+};
+
+const WIND_UNITS = {
+  ms: { label: 'm/s', convert: (ms) => ms },
+  kmh: { label: 'km/h', convert: (ms) => ms * 3.6 },
+  mph: { label: 'mph', convert: (ms) => ms * 2.23694 },
+  knots: { label: 'kn', convert: (ms) => ms * 1.94384 },
+  beaufort: { label: 'Bft', convert: (ms) => BEAUFORT_LIMITS.filter(limit => ms >= limit).length }
+};
+
+const PRESSURE_UNITS = {
+  hpa: { label: 'hPa', convert: (hpa) => hpa, decimals: 0 },
+  inhg: { label: 'inHg', convert: (hpa) => hpa * 0.02953, decimals: 2 },
+  mmhg: { label: 'mmHg', convert: (hpa) => hpa * 0.750062, decimals: 0 }
+};
+
+// The distance unit also decides how precipitation is shown
+const DISTANCE_UNITS = {
+  km: { label: 'km', convert: (metres) => metres / 1000, precipitation: 'mm' },
+  mi: { label: 'mi', convert: (metres) => metres / 1609.344, precipitation: 'in' }
+};
+
+// The choices shown in Settings for each unit setting
+const toOptions = (units) => Object.keys(units).map(id => ({ id, label: units[id].label }));
+
+export const UNIT_OPTIONS = {
+  temperatureUnit: toOptions(TEMPERATURE_UNITS),
+  windUnit: toOptions(WIND_UNITS),
+  pressureUnit: toOptions(PRESSURE_UNITS),
+  distanceUnit: toOptions(DISTANCE_UNITS)
+};
+
+// Older versions had a single metric/imperial switch
+export const getUnitsForSystem = (system) => (system === 'imperial'
+  ? { temperatureUnit: 'fahrenheit', windUnit: 'mph', pressureUnit: 'inhg', distanceUnit: 'mi' }
+  : { temperatureUnit: 'celsius', windUnit: 'ms', pressureUnit: 'hpa', distanceUnit: 'km' });
+
+// The unit system settings match, e.g. for links: 'metric', 'imperial',
+// or null when they're mixed
+export const getUnitSystem = (settings) => {
+  const matches = (system) => {
+    const units = getUnitsForSystem(system);
+    return Object.keys(units).every(key => settings[key] === units[key]);
+  };
+  if (matches('metric')) {
+    return 'metric';
+  }
+  return matches('imperial') ? 'imperial' : null;
+};
+
+// Temperature
+
+// Missing values stay null, so charts leave a gap for them
+export const convertTemperature = (celsius, unit) => {
+  if (celsius === null || celsius === undefined) {
+    return null;
+  }
+  return (TEMPERATURE_UNITS[unit] || TEMPERATURE_UNITS.celsius).convert(celsius);
+};
+
+export const getTemperatureSymbol = (unit) => {
+  return (TEMPERATURE_UNITS[unit] || TEMPERATURE_UNITS.celsius).label;
+};
+
+// e.g. "21°C" or "294 K"
+export const formatTemperature = (celsius, unit) => {
+  if (celsius === null || celsius === undefined) {
+    return MISSING;
+  }
+  const symbol = getTemperatureSymbol(unit);
+  const separator = unit === 'kelvin' ? ' ' : '';
+  return `${formatNumber(convertTemperature(celsius, unit))}${separator}${symbol}`;
+};
+
+// Wind speed
+
+// Missing values stay null, so charts leave a gap for them
+export const convertWindSpeed = (ms, unit) => {
+  if (ms === null || ms === undefined) {
+    return null;
+  }
+  return (WIND_UNITS[unit] || WIND_UNITS.ms).convert(ms);
+};
+
+export const getWindSymbol = (unit) => {
+  return (WIND_UNITS[unit] || WIND_UNITS.ms).label;
+};
+
+// e.g. "5 m/s" or "3 Bft"
+export const formatWindSpeed = (ms, unit) => {
+  if (ms === null || ms === undefined) {
+    return MISSING;
+  }
+  return `${formatNumber(convertWindSpeed(ms, unit))} ${getWindSymbol(unit)}`;
+};
+
+// Pressure
+
+// e.g. "1013 hPa" or "29.91 inHg"
+export const formatPressure = (hpa, unit) => {
+  if (hpa === null || hpa === undefined) {
+    return MISSING;
+  }
+  const pressureUnit = PRESSURE_UNITS[unit] || PRESSURE_UNITS.hpa;
+  return `${formatNumber(pressureUnit.convert(hpa), pressureUnit.decimals)} ${pressureUnit.label}`;
+};
+
+// Distance (visibility)
+
+// e.g. "10 km" or "6.2 mi"
+export const formatVisibility = (metres, unit) => {
+  if (metres === null || metres === undefined) {
+    return MISSING;
+  }
+  const distanceUnit = DISTANCE_UNITS[unit] || DISTANCE_UNITS.km;
+  const value = distanceUnit.convert(metres);
+  return `${formatNumber(value, value >= 10 ? 0 : 1)} ${distanceUnit.label}`;
+};
+
+// Precipitation (mm or inches, following the distance unit)
+
+export const convertPrecipitation = (mm, distanceUnit) => {
+  return distanceUnit === 'mi' ? mm / 25.4 : mm;
+};
+
+export const getPrecipitationSymbol = (distanceUnit) => {
+  return (DISTANCE_UNITS[distanceUnit] || DISTANCE_UNITS.km).precipitation;
+};
+
+// e.g. "1.2 mm" or "0.05 in"
+export const formatPrecipitation = (mm, distanceUnit) => {
+  if (mm === null || mm === undefined) {
+    return MISSING;
+  }
+  const decimals = distanceUnit === 'mi' ? 2 : 1;
+  return `${formatNumber(convertPrecipitation(mm, distanceUnit), decimals)} ${getPrecipitationSymbol(distanceUnit)}`;
+};
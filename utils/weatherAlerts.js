@@ -0,0 +1,130 @@
+import { Platform } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Notifications from 'expo-notifications';
+import { ALERT_METRICS, describeRule, findRuleMatches, formatAlertValue } from './alertRules';
+import { formatLocationDate, formatLocationTime } from './time';
+import { translate } from './i18n';
+import { parseStoredAlertRules } from './settingsSchema';
+
+// Checks the forecast against the alert rules after every refresh (in the
+// app or in the background) and shows a local notification for each match.
+
+const RULES_STORAGE_KEY = 'weatherAlertRules';
+
+// Events we've already notified about: { [eventKey]: time notified (ms) }
+const NOTIFIED_STORAGE_KEY = 'weatherAlertsNotified';
+
+// Forget notified events after a week; by then the forecast has moved on
+const NOTIFIED_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+// expo-notifications can't show local notifications in a browser
+const notificationsSupported = Platform.OS !== 'web';
+
+// Show alerts even while the app is open
+if (notificationsSupported) {
+  Notifications.setNotificationHandler({
+    handleNotification: async () => ({
+      shouldShowAlert: true,
+      shouldPlaySound: true,
+      shouldSetBadge: false
+    })
+  });
+}
+
+// Load the saved alert rules
+export const loadAlertRules = async () => {
+  try {
+    const saved = await AsyncStorage.getItem(RULES_STORAGE_KEY);
+    return parseStoredAlertRules(saved);
+  } catch (error) {
+    console.error('Failed to load alert rules', error);
+    return [];
+  }
+};
+
+// Save the alert rules
+export const saveAlertRules = async (rules) => {
+  try {
+    await AsyncStorage.setItem(RULES_STORAGE_KEY, JSON.stringify(rules));
+  } catch (error) {
+    console.error('Failed to save alert rules', error);
+  }
+};
+
+// Ask for permission to show notifications. Returns true if we have it
+export const requestNotificationPermission = async () => {
+  if (!notificationsSupported) {
+    return false;
+  }
+  const { status } = await Notifications.requestPermissionsAsync();
+  return status === 'granted';
+};
+
+// Load the notified events, dropping any that are too old to matter
+const loadNotifiedEvents = async () => {
+  const saved = await AsyncStorage.getItem(NOTIFIED_STORAGE_KEY);
+  const notified = saved ? JSON.parse(saved) : {};
+  const now = Date.now();
+
+  return Object.keys(notified)
+    .filter(eventKey => now - notified[eventKey] < NOTIFIED_MAX_AGE)
+    .reduce((events, eventKey) => ({ ...events, [eventKey]: notified[eventKey] }), {});
+};
+
+// Build the notification for a match, e.g.
+// "London: Rain chance above 60% tomorrow" / "Forecast 80% on Tue 15:00"
+const buildNotification = ({ rule, item }, forecast, language) => {
+  const t = (key, params) => translate(language, key, params);
+  const { timezoneOffset } = forecast.location;
+  const value = ALERT_METRICS[rule.metric].value(item, rule.unit);
+
+  return {
+    title: t('alerts.notificationTitle', {
+      name: forecast.location.name || t('home.currentLocation'),
+      rule: describeRule(rule, t)
+    }),
+    body: t('alerts.notificationBody', {
+      value: formatAlertValue(rule.metric, Math.round(value), rule.unit),
+      day: formatLocationDate(item.time, timezoneOffset, { weekday: 'short' }),
+      time: formatLocationTime(item.time, timezoneOffset)
+    })
+  };
+};
+
+// Checks run one at a time, so two locations refreshing together can't
+// both read the notified events and overwrite each other's changes
+let checkQueue = Promise.resolve();
+
+// Check one location's new forecast and notify about anything new.
+// Never throws, so a problem here can't break a refresh
+export const checkWeatherAlerts = (rules, locationId, forecast, language) => {
+  if (!notificationsSupported || rules.length === 0) {
+    return Promise.resolve();
+  }
+  checkQueue = checkQueue.then(() => notifyNewMatches(rules, locationId, forecast, language));
+  return checkQueue;
+};
+
+const notifyNewMatches = async (rules, locationId, forecast, language) => {
+  try {
+    const matches = findRuleMatches(rules, locationId, forecast);
+    if (matches.length === 0) {
+      return;
+    }
+
+    const notified = await loadNotifiedEvents();
+    const newMatches = matches.filter(match => !notified[match.eventKey]);
+
+    for (const match of newMatches) {
+      await Notifications.scheduleNotificationAsync({
+        content: buildNotification(match, forecast, language),
+        trigger: null // Show it now
+      });
+      notified[match.eventKey] = Date.now();
+    }
+
+    await AsyncStorage.setItem(NOTIFIED_STORAGE_KEY, JSON.stringify(notified));
+  } catch (error) {
+    console.error('Failed to check weather alerts', error);
+  }
+};
@@ -0,0 +1,63 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// Each location gets its own AsyncStorage entry so one bad write can't wipe the rest
+const CACHE_PREFIX = 'weatherCache:';
+
+const cacheKey = (locationId) => `${CACHE_PREFIX}${locationId.toLowerCase()}`;
+
+// Save the last good weather and forecast responses for a location
+export const saveCachedWeather = async (locationId, entry) => {
+  try {
+    await AsyncStorage.setItem(cacheKey(locationId), JSON.stringify(entry));
+  } catch (error) {
+    console.error('Failed to save cached weather', error);
+  }
+};
+
+// Load the cached responses for a location
+// Returns null when there's nothing usable (missing, expired, or saved
+// with other units, by another provider or in another language)
+export const loadCachedWeather = async (locationId, { units, provider, lang, maxAgeHours }) => {
+  try {
+    const saved = await AsyncStorage.getItem(cacheKey(locationId));
+    if (!saved) {
+      return null;
+    }
+
+    const entry = JSON.parse(saved);
+
+    // Older versions cached data in the display units (e.g. Fahrenheit),
+    // but it's always metric now
+    if (entry.units !== units) {
+      return null;
+    }
+
+    // Data from another provider (or from before providers existed)
+    // isn't in the shape the screens expect
+    if (entry.provider !== provider) {
+      return null;
+    }
+
+    // Condition descriptions are in the language they were fetched in
+    // (entries from before languages were added are English)
+    if ((entry.lang || 'en') !== lang) {
+      return null;
+    }
+
+    // Throw away anything older than the configured age
+    if (isExpired(entry.updatedAt, maxAgeHours)) {
+      await AsyncStorage.removeItem(cacheKey(locationId));
+      return null;
+    }
+
+    return entry;
+  } catch (error) {
+    console.error('Failed to load cached weather', error);
+    return null;
+  }
+};
+
+// Check whether a timestamp (in ms) is older than the given number of hours
+export const isExpired = (updatedAt, maxAgeHours) => {
+  return !updatedAt || Date.now() - updatedAt > maxAgeHours * 60 * 60 * 1000;
+};
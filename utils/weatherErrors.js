@@ -0,0 +1,100 @@
+// How long to wait for the weather service before giving up (ms)
+export const REQUEST_TIMEOUT = 10000;
+
+// Error thrown by providers for failures that don't come from an HTTP
+// status, e.g. a geocoding search that returns no results
+export class WeatherError extends Error {
+  constructor(type, message) {
+    super(message);
+    this.name = 'WeatherError';
+    this.type = type;
+  }
+}
+
+// What to tell the user for each kind of failure. The screens show the
+// translated versions from locales/ (errors.<type>); these English ones are
+// kept on the classified error for logging
+const ERROR_MESSAGES = {
+  missingKey: {
+    title: 'API key needed',
+    message: 'Add your OpenWeatherMap API key in Settings, or switch to a provider that does not need one.',
+    icon: 'key-outline'
+  },
+  invalidKey: {
+    title: 'Invalid API key',
+    message: 'The weather service rejected the API key. Update it in Settings and try again.',
+    icon: 'key-outline'
+  },
+  notFound: {
+    title: 'City not found',
+    message: 'Check the spelling of the city name in Settings.',
+    icon: 'search-outline'
+  },
+  rateLimited: {
+    title: 'Too many requests',
+    message: 'The weather service is limiting requests. Wait a minute and try again.',
+    icon: 'hourglass-outline'
+  },
+  offline: {
+    title: "You're offline",
+    message: 'Check your connection and try again.',
+    icon: 'cloud-offline-outline'
+  },
+  timeout: {
+    title: 'Request timed out',
+    message: 'The weather service took too long to respond. Try again.',
+    icon: 'time-outline'
+  },
+  server: {
+    title: 'Weather service unavailable',
+    message: 'The weather service is having problems. Try again later.',
+    icon: 'server-outline'
+  },
+  unknown: {
+    title: 'Something went wrong',
+    message: 'We could not load the weather. Try again.',
+    icon: 'alert-circle-outline'
+  }
+};
+
+// Work out which kind of failure an error from axios (or a provider) is
+const getErrorType = (error) => {
+  if (error instanceof WeatherError) {
+    return error.type;
+  }
+
+  if (error.response) {
+    // The request was made and the server responded with a status code
+    // that falls out of the range of 2xx
+    const status = error.response.status;
+    if (status === 401) return 'invalidKey';
+    if (status === 404) return 'notFound';
+    if (status === 429) return 'rateLimited';
+    if (status >= 500) return 'server';
+    return 'unknown';
+  }
+
+  // axios uses ECONNABORTED (or ETIMEDOUT) when the timeout runs out
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    return 'timeout';
+  }
+
+  if (error.request) {
+    // The request was made but no response was received
+    return 'offline';
+  }
+
+  // Something happened in setting up the request that triggered an Error
+  return 'unknown';
+};
+
+// Turn any fetch error into { type, title, message, icon } for the screens
+export const classifyError = (error) => {
+  const type = getErrorType(error);
+  return { type, ...(ERROR_MESSAGES[type] || ERROR_MESSAGES.unknown) };
+};
+
+// Failures where showing older cached data is the right thing to do
+export const isConnectionError = (classified) => {
+  return classified.type === 'offline' || classified.type === 'timeout';
+};
@@ -0,0 +1,151 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getLocationDayKey } from './time';
+
+// A log of past current-weather readings for each location, kept on the
+// device so the History screen can show trends. Each location has its own
+// AsyncStorage entry (like the offline cache in utils/weatherCache.js)
+// holding a list of observations, oldest first:
+//   [{ time, timezoneOffset, temp, feelsLike, humidity, pressure, windSpeed, clouds, rain, snow }]
+// Values are metric like the rest of the weather data. The list is bounded
+// by settings.historyDays and MAX_OBSERVATIONS.
+
+const HISTORY_PREFIX = 'weatherHistory:';
+
+// How many days of history can be kept (0 turns history off)
+export const HISTORY_DAYS_OPTIONS = [0, 3, 7, 14, 30];
+
+// Readings closer together than this aren't saved, so refreshing often
+// doesn't fill up the log
+const MIN_SPACING = 30 * 60 * 1000;
+
+// Hard limit per location: 30 days of readings every 30 minutes
+const MAX_OBSERVATIONS = 1440;
+
+// How far from the time asked for a reading can be and still count,
+// e.g. for "yesterday at this time"
+const MATCH_WINDOW = 90 * 60 * 1000;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const historyKey = (locationId) => `${HISTORY_PREFIX}${locationId.toLowerCase()}`;
+
+// Function to keep just what the History screen needs from the current weather
+const toObservation = (current) => ({
+  time: current.time,
+  timezoneOffset: current.location.timezoneOffset,
+  temp: current.temp,
+  feelsLike: current.feelsLike,
+  humidity: current.humidity,
+  pressure: current.pressure,
+  windSpeed: current.windSpeed,
+  clouds: current.clouds,
+  rain: current.rain,
+  snow: current.snow
+});
+
+// Drop readings older than the number of days kept
+export const pruneHistory = (observations, historyDays) => {
+  const oldest = Date.now() - historyDays * DAY;
+  return observations.filter(observation => observation.time >= oldest).slice(-MAX_OBSERVATIONS);
+};
+
+// Load the saved readings for a location (an empty list if there aren't any)
+export const loadHistory = async (locationId) => {
+  try {
+    const saved = await AsyncStorage.getItem(historyKey(locationId));
+    const observations = saved ? JSON.parse(saved) : [];
+    return Array.isArray(observations) ? observations : [];
+  } catch (error) {
+    console.error('Failed to load weather history', error);
+    return [];
+  }
+};
+
+// Add the latest current weather to a location's history and save it.
+// Returns the updated list, or null when nothing changed (history is off
+// or the reading is too close to the last one)
+export const addObservation = async (locationId, current, historyDays) => {
+  if (!historyDays) {
+    return null;
+  }
+
+  const observations = await loadHistory(locationId);
+  const last = observations[observations.length - 1];
+  if (last && current.time - last.time < MIN_SPACING) {
+    return null;
+  }
+
+  const updated = pruneHistory([...observations, toObservation(current)], historyDays);
+  try {
+    await AsyncStorage.setItem(historyKey(locationId), JSON.stringify(updated));
+  } catch (error) {
+    console.error('Failed to save weather history', error);
+  }
+  return updated;
+};
+
+// Delete the history for every location
+export const clearHistory = async () => {
+  try {
+    const keys = await AsyncStorage.getAllKeys();
+    await AsyncStorage.multiRemove(keys.filter(key => key.startsWith(HISTORY_PREFIX)));
+  } catch (error) {
+    console.error('Failed to clear weather history', error);
+  }
+};
+
+// The reading closest to a time, or null if none is close enough
+export const findObservationNear = (observations, time) => {
+  let closest = null;
+  observations.forEach(observation => {
+    const distance = Math.abs(observation.time - time);
+    if (distance <= MATCH_WINDOW && (!closest || distance < Math.abs(closest.time - time))) {
+      closest = observation;
+    }
+  });
+  return closest;
+};
+
+// Compare the latest reading with the one about a number of days before.
+// Returns { latest, past, difference } (difference in °C) or null when
+// there's no reading from back then
+export const compareWithDaysAgo = (observations, days) => {
+  const latest = observations[observations.length - 1];
+  if (!latest) {
+    return null;
+  }
+  const past = findObservationNear(observations, latest.time - days * DAY);
+  if (!past) {
+    return null;
+  }
+  return { latest, past, difference: latest.temp - past.temp };
+};
+
+// One summary per day, newest first, with days split at midnight where the
+// location is. Returns [{ key, time, timezoneOffset, high, low, average, humidity, count }]
+// (temperatures in °C, humidity as the day's average)
+export const getDailyHistory = (observations) => {
+  const days = [];
+  observations.forEach(observation => {
+    const key = getLocationDayKey(observation.time, observation.timezoneOffset);
+    let day = days.find(existing => existing.key === key);
+    if (!day) {
+      day = { key, time: observation.time, timezoneOffset: observation.timezoneOffset, temps: [], humidity: [] };
+      days.push(day);
+    }
+    day.temps.push(observation.temp);
+    if (observation.humidity !== null) {
+      day.humidity.push(observation.humidity);
+    }
+  });
+
+  const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+  return days.reverse().map(({ temps, humidity, ...day }) => ({
+    ...day,
+    high: Math.max(...temps),
+    low: Math.min(...temps),
+    average: average(temps),
+    humidity: humidity.length ? average(humidity) : null,
+    count: temps.length
+  }));
+};
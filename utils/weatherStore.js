@@ -0,0 +1,579 @@
+import { useMemo } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { createStore } from './createStore';
+import { loadCachedWeather, saveCachedWeather, isExpired } from './weatherCache';
+import { loadHistory, addObservation, clearHistory } from './weatherHistory';
+import { getProvider, validateApiKey } from '../providers';
+import { envDemoMode } from '../providers/demo';
+import { classifyError, isConnectionError, WeatherError } from './weatherErrors';
+import { loadApiKey, saveApiKey, deleteApiKey } from './apiKeyStorage';
+import { DEFAULT_LOCATION } from './locations';
+import { CANONICAL_UNITS, getUnitsForSystem } from './units';
+import {
+  DEFAULT_SETTINGS,
+  SETTINGS_VERSION,
+  parseStoredSettings,
+  parseStoredLocations,
+  serializeSettings,
+  createSettingsExport,
+  parseSettingsExport
+} from './settingsSchema';
+import { resolveLanguage } from './i18n';
+import { checkWeatherAlerts, loadAlertRules, saveAlertRules } from './weatherAlerts';
+import { saveWebSession } from './links';
+
+// The app's shared state: settings, saved locations, the API key and the
+// weather for each location. Screens read it with the hooks at the bottom
+// and only re-render when the part they use changes, e.g.
+//   const [settings, setSettings] = useSettings();
+//   const { weatherData, loading } = useCurrentWeather(location.id);
+// The functions here change the state and save it; components/WeatherStoreSync.js
+// loads it on start and keeps it up to date.
+
+const store = createStore({
+  settings: DEFAULT_SETTINGS,
+  settingsLoaded: false,
+
+  // The provider and demo scenario EXPO_PUBLIC_DEMO_MODE asks for, used
+  // instead of the saved ones for this run (see providers/demo.js). Kept out
+  // of settings so it's never saved; picking a provider or scenario in
+  // Settings ends it
+  demoMode: envDemoMode,
+
+  // Each location is { id, name, state, country, lat, lon } (see utils/locations.js)
+  locations: [DEFAULT_LOCATION],
+
+  // The device's position while "Use my current location" is on, shown in
+  // front of the saved locations (null when off or permission was denied)
+  currentLocation: null,
+
+  // Weather alert rules, checked against each new forecast (see utils/alertRules.js)
+  alertRules: [],
+
+  // The OpenWeatherMap API key is entered in Settings and kept in secure storage.
+  // Status is one of 'loading', 'missing', 'valid', 'invalid' or 'quotaExceeded'
+  apiKey: null,
+  apiKeyStatus: 'loading',
+
+  // Weather and forecast state for each location, keyed by location id
+  // e.g. { '51.5073,-0.1276': { weatherData, forecastData, airQuality, loading, updatedAt, attemptedAt, offline, error } }
+  // (airQuality is null when the provider doesn't have it, see utils/airQuality.js)
+  cityData: {},
+
+  // Past readings for each location, keyed by location id, once the History
+  // screen has loaded them (see utils/weatherHistory.js)
+  history: {},
+
+  // Cities picked on the Compare tab (up to four, see utils/compare.js), for
+  // this session only. They can include cities that aren't saved
+  compareLocations: [],
+
+  // Index of the city currently shown by the Home and Forecast pagers
+  activeIndex: 0,
+
+  // What a link asked to show, for this session only (see utils/links.js):
+  // { location, units } where location isn't saved and units is
+  // 'metric' or 'imperial' (either can be null), or null without a link
+  session: null
+});
+
+// A location opened from a link, then the current location (if any),
+// then the saved ones
+const getAllLocations = ({ session, currentLocation, locations }) => {
+  return [
+    session && session.location,
+    currentLocation,
+    ...locations
+  ].filter(Boolean);
+};
+
+// Every location with weather to keep up to date: the ones on the
+// dashboard and any others picked on the Compare tab
+const getFetchedLocations = (state) => {
+  const locations = getAllLocations(state);
+  const extra = state.compareLocations.filter(
+    location => !locations.some(shown => shown.id === location.id)
+  );
+  return [...locations, ...extra];
+};
+
+// The language weather is fetched in
+const getLanguage = () => resolveLanguage(store.getState().settings.language);
+
+// { provider, demoScenario } weather is fetched with
+const getProviderSettings = ({ demoMode, settings }) => demoMode || settings;
+
+// Setters take a new value or a function of the current one, like useState's
+
+export const setSettings = (next) => {
+  const { settings } = store.getState();
+  const updated = typeof next === 'function' ? next(settings) : next;
+  store.setState({ settings: updated });
+  saveSettings(updated);
+};
+
+// Function to pick the provider or demo scenario in Settings. Ends a demo
+// run started by EXPO_PUBLIC_DEMO_MODE, keeping whatever wasn't changed
+export const setProviderSettings = (changes) => {
+  const { demoMode } = store.getState();
+  store.setState({ demoMode: null });
+  setSettings(settings => ({ ...settings, ...demoMode, ...changes }));
+};
+
+export const setLocations = (next) => {
+  const { locations } = store.getState();
+  const updated = typeof next === 'function' ? next(locations) : next;
+  store.setState({ locations: updated });
+  saveLocations(updated);
+};
+
+export const setAlertRules = (next) => {
+  const { alertRules } = store.getState();
+  const updated = typeof next === 'function' ? next(alertRules) : next;
+  store.setState({ alertRules: updated });
+  saveAlertRules(updated);
+};
+
+export const setCurrentLocation = (currentLocation) => {
+  store.setState({ currentLocation });
+};
+
+export const setActiveIndex = (activeIndex) => {
+  store.setState({ activeIndex });
+};
+
+// Function to pick the cities on the Compare tab. Any without weather yet
+// are all fetched at once
+export const setCompareLocations = (compareLocations) => {
+  const { cityData } = store.getState();
+  store.setState({ compareLocations });
+  const missing = compareLocations.filter(location => !cityData[location.id]);
+  if (missing.length > 0) {
+    refreshWeather(missing);
+  }
+};
+
+// Function to show what a link asked for, without saving it.
+// A location that's already saved is just selected
+export const applySession = ({ location, units }) => {
+  const { locations, currentLocation } = store.getState();
+  const savedIndex = location
+    ? locations.findIndex(saved => saved.id === location.id)
+    : -1;
+  const unsaved = savedIndex === -1 ? location : null;
+  const session = unsaved || units ? { location: unsaved, units } : null;
+
+  store.setState({ session });
+  if (unsaved) {
+    setActiveIndex(0);
+  } else if (savedIndex !== -1) {
+    setActiveIndex(savedIndex + (currentLocation ? 1 : 0));
+  }
+  saveWebSession(session);
+};
+
+// Function to go back to the saved locations and units
+export const clearSession = () => {
+  store.setState({ session: null, activeIndex: 0 });
+  saveWebSession(null);
+};
+
+// Function to build an export file with the settings, locations and alert rules
+export const exportPreferences = () => {
+  const { settings, locations, alertRules } = store.getState();
+  return createSettingsExport({ settings, locations, alertRules });
+};
+
+// Function to replace the settings, locations and alert rules with those from
+// an export file. Throws a SettingsError if the file can't be used
+export const importPreferences = (text) => {
+  const { settings, locations, alertRules } = parseSettingsExport(text);
+  setSettings(settings);
+  setLocations(locations);
+  setAlertRules(alertRules);
+  setActiveIndex(0);
+};
+
+// Function to load settings, locations and alert rules from device storage.
+// Each is read on its own, so one that's corrupt falls back to its defaults
+// without losing the others (see utils/settingsSchema.js)
+export const loadSettings = async () => {
+  try {
+    const savedSettings = await AsyncStorage.getItem('weatherSettings');
+    const savedLocations = await AsyncStorage.getItem('weatherLocations');
+
+    // Migrated to the current version and checked
+    const { settings, version, location } = parseStoredSettings(savedSettings);
+    store.setState({ settings });
+    if (savedSettings && version < SETTINGS_VERSION) {
+      await saveSettings(settings);
+    }
+
+    const locations = parseStoredLocations(savedLocations);
+    if (locations) {
+      store.setState({ locations });
+    } else if (location) {
+      // Older versions stored a single city in settings.location. Save it as
+      // a list, since the migrated settings no longer have it
+      store.setState({ locations: [location] });
+      await saveLocations([location]);
+    }
+  } catch (error) {
+    console.error('Failed to load settings', error);
+  }
+
+  store.setState({ alertRules: await loadAlertRules(), settingsLoaded: true });
+};
+
+// Function to save settings to device storage
+const saveSettings = async (settings) => {
+  try {
+    await AsyncStorage.setItem('weatherSettings', serializeSettings(settings));
+  } catch (error) {
+    console.error('Failed to save settings', error);
+  }
+};
+
+// Function to save the locations list next to the settings
+const saveLocations = async (locations) => {
+  try {
+    await AsyncStorage.setItem('weatherLocations', JSON.stringify(locations));
+  } catch (error) {
+    console.error('Failed to save locations', error);
+  }
+};
+
+// Function to load the API key from secure storage
+export const loadStoredApiKey = async () => {
+  const savedKey = await loadApiKey();
+  // Keys are checked before they're saved, so a stored key starts out valid
+  store.setState({ apiKey: savedKey, apiKeyStatus: savedKey ? 'valid' : 'missing' });
+};
+
+// Function to check a new API key with a test request and save it if it works
+// Returns the key's status so Settings can tell the user what happened
+export const updateApiKey = async (newKey) => {
+  const status = await validateApiKey(newKey);
+
+  // A key that's over its quota is still a real key, so keep it
+  if (status !== 'invalid') {
+    await saveApiKey(newKey);
+    store.setState({ apiKey: newKey, apiKeyStatus: status });
+  }
+
+  return status;
+};
+
+// Function to forget the saved API key
+export const removeApiKey = async () => {
+  try {
+    await deleteApiKey();
+  } catch (error) {
+    console.error('Failed to delete API key', error);
+  }
+  store.setState({ apiKey: null, apiKeyStatus: 'missing' });
+};
+
+// Merge new values into the stored state for one location
+const updateCityData = (id, changes) => {
+  store.setState(({ cityData }) => ({
+    cityData: {
+      ...cityData,
+      [id]: { ...cityData[id], ...changes }
+    }
+  }));
+};
+
+// Function to fetch weather data for every location (or just some of them).
+// The locations are fetched at the same time
+export const refreshWeather = async (cities) => {
+  const state = store.getState();
+  // Wait until we know whether there's a saved API key
+  if (state.apiKeyStatus === 'loading') {
+    return;
+  }
+  await Promise.all((cities || getFetchedLocations(state)).map(fetchCityWeather));
+};
+
+// Function to refresh only the locations we haven't tried to refresh within
+// the auto-refresh interval (pull-to-refresh always fetches everything).
+// Going by the last attempt means a failing fetch isn't retried every minute
+export const refreshStaleWeather = () => {
+  const state = store.getState();
+  const { refreshInterval } = state.settings;
+  if (!refreshInterval) {
+    return;
+  }
+  const stale = getFetchedLocations(state).filter(location => {
+    const data = state.cityData[location.id];
+    return !data || (!data.loading && isExpired(data.attemptedAt, refreshInterval / 60));
+  });
+  if (stale.length > 0) {
+    refreshWeather(stale);
+  }
+};
+
+// Function to fetch weather data for a single location from the API
+const fetchCityWeather = async (location) => {
+  const id = location.id;
+  const state = store.getState();
+  const { settings, apiKey, apiKeyStatus, cityData, alertRules } = state;
+  const { provider: providerId, demoScenario } = getProviderSettings(state);
+  const provider = getProvider(providerId);
+  const language = getLanguage();
+  updateCityData(id, { loading: true, attemptedAt: Date.now() });
+
+  // The settings can change while we wait, e.g. when the saved ones finish
+  // loading or another language is picked. A newer fetch is then on its
+  // way, so anything for the old provider or language is dropped
+  const isOutdated = () => {
+    const latest = getProviderSettings(store.getState());
+    return latest.provider !== providerId
+      || latest.demoScenario !== demoScenario
+      || getLanguage() !== language;
+  };
+
+  // Show the last saved data straight away while we fetch fresh data
+  if (!cityData[id] || !cityData[id].weatherData) {
+    const cached = await loadCachedWeather(id, {
+      units: CANONICAL_UNITS,
+      provider: provider.id,
+      lang: language,
+      maxAgeHours: settings.cacheMaxAge
+    });
+    if (cached && !isOutdated()) {
+      updateCityData(id, {
+        weatherData: cached.weatherData,
+        forecastData: cached.forecastData,
+        airQuality: cached.airQuality || null,
+        updatedAt: cached.updatedAt
+      });
+    }
+  }
+
+  // Don't send requests until there's a key that works
+  if (provider.requiresApiKey && (apiKeyStatus === 'missing' || apiKeyStatus === 'invalid')) {
+    const keyError = apiKeyStatus === 'missing'
+      ? new WeatherError('missingKey', 'No API key saved')
+      : new WeatherError('invalidKey', 'Saved API key was rejected');
+    updateCityData(id, { loading: false, error: classifyError(keyError) });
+    return;
+  }
+
+  try {
+    // The provider maps its own API onto our common data model
+    const options = { apiKey, lang: language, scenario: demoScenario };
+    const { current, forecast } = await provider.fetchWeather(location, options);
+    if (isOutdated()) {
+      return;
+    }
+
+    // The key clearly works (again), e.g. after a quota reset
+    if (provider.requiresApiKey) {
+      store.setState({ apiKeyStatus: 'valid' });
+    }
+
+    // Both requests worked, so remember when
+    const updatedAt = Date.now();
+    updateCityData(id, {
+      weatherData: current,
+      forecastData: forecast,
+      updatedAt,
+      offline: false,
+      error: null
+    });
+
+    // Alerts and history are only for the user's own places: the saved
+    // locations, plus the device's position for alerts. Cities only opened
+    // from a link or picked on the Compare tab get neither
+    const isSaved = store.getState().locations.some(saved => saved.id === id);
+
+    // Notify about anything in the new forecast that matches an alert rule
+    if (isSaved || location.isCurrent) {
+      checkWeatherAlerts(alertRules, id, forecast, language);
+    }
+
+    // Air quality is looked up by position, which locations saved by name
+    // only get from the weather. It's extra, so if it fails the weather is
+    // still shown (with the last air quality we had)
+    if (provider.fetchAirQuality) {
+      try {
+        const { lat, lon } = current.location;
+        const airQuality = await provider.fetchAirQuality({ lat, lon }, options);
+        if (!isOutdated()) {
+          updateCityData(id, { airQuality });
+        }
+      } catch (error) {
+        console.error('Error fetching air quality:', error);
+      }
+    } else {
+      updateCityData(id, { airQuality: null });
+    }
+
+    // Add the reading to the location's history. The device's own
+    // position moves around, so it doesn't get one
+    if (isSaved) {
+      recordHistory(id, current);
+    }
+
+    // Keep a copy for offline use
+    saveCachedWeather(id, {
+      weatherData: current,
+      forecastData: forecast,
+      airQuality: store.getState().cityData[id].airQuality || null,
+      updatedAt,
+      units: CANONICAL_UNITS,
+      provider: provider.id,
+      lang: language
+    });
+
+  } catch (error) {
+    console.error('Error fetching weather data:', error);
+    if (isOutdated()) {
+      return;
+    }
+
+    // Work out what went wrong so the screens can show a useful message.
+    // Connection problems keep any cached data on screen, marked as offline
+    const classified = classifyError(error);
+    updateCityData(id, {
+      error: classified,
+      offline: isConnectionError(classified)
+    });
+
+    // Keep the key status in Settings up to date
+    if (provider.requiresApiKey && classified.type === 'invalidKey') {
+      store.setState({ apiKeyStatus: 'invalid' });
+    } else if (provider.requiresApiKey && classified.type === 'rateLimited') {
+      store.setState({ apiKeyStatus: 'quotaExceeded' });
+    }
+  } finally {
+    // The newer fetch says when it's done
+    if (!isOutdated()) {
+      updateCityData(id, { loading: false });
+    }
+  }
+};
+
+// Function to save a new reading to a location's history, updating the
+// History screen if it has loaded it
+const recordHistory = async (id, current) => {
+  const observations = await addObservation(id, current, store.getState().settings.historyDays);
+  if (observations && store.getState().history[id]) {
+    store.setState(({ history }) => ({ history: { ...history, [id]: observations } }));
+  }
+};
+
+// Function to load a location's history for the History screen
+export const loadWeatherHistory = async (locationId) => {
+  const observations = await loadHistory(locationId);
+  store.setState(({ history }) => ({ history: { ...history, [locationId]: observations } }));
+};
+
+// Function to delete the history for every location
+export const clearWeatherHistory = async () => {
+  await clearHistory();
+  store.setState(({ history }) => ({
+    history: Object.fromEntries(Object.keys(history).map(id => [id, []]))
+  }));
+};
+
+// Hooks for screens and components
+
+// [settings, setSettings]
+export const useSettings = () => [store.useStore(state => state.settings), setSettings];
+
+// A single setting, e.g. useSetting('temperatureUnit'). Only re-renders
+// when that setting changes
+export const useSetting = (key) => store.useStore(state => state.settings[key]);
+
+export const useSettingsLoaded = () => store.useStore(state => state.settingsLoaded);
+
+// { provider, demoScenario } weather is fetched with: the saved ones, or
+// what EXPO_PUBLIC_DEMO_MODE asked for. provider is the provider object
+export const useProviderSettings = () => {
+  const providerId = store.useStore(state => getProviderSettings(state).provider);
+  const demoScenario = store.useStore(state => getProviderSettings(state).demoScenario);
+  return { provider: getProvider(providerId), demoScenario };
+};
+
+// Settings to show weather with: the saved ones, with any units a link
+// asked for this session
+export const useDisplaySettings = () => {
+  const settings = store.useStore(state => state.settings);
+  const units = store.useStore(state => state.session && state.session.units);
+  return useMemo(
+    () => (units ? { ...settings, ...getUnitsForSystem(units) } : settings),
+    [settings, units]
+  );
+};
+
+// Every location shown on the dashboard, including the current location
+// and one opened from a link
+export const useLocations = () => {
+  const session = store.useStore(state => state.session);
+  const currentLocation = store.useStore(state => state.currentLocation);
+  const locations = store.useStore(state => state.locations);
+  return useMemo(
+    () => getAllLocations({ session, currentLocation, locations }),
+    [session, currentLocation, locations]
+  );
+};
+
+// { location, units } from a link, or null
+export const useSession = () => store.useStore(state => state.session);
+
+// [savedLocations, setLocations] - just the saved list, as edited in Settings
+export const useSavedLocations = () => [store.useStore(state => state.locations), setLocations];
+
+export const useCurrentLocation = () => store.useStore(state => state.currentLocation);
+
+// [compareLocations, setCompareLocations] - the cities on the Compare tab
+export const useCompareLocations = () => [
+  store.useStore(state => state.compareLocations),
+  setCompareLocations
+];
+
+// [activeIndex, setActiveIndex] - the city shown by the pagers
+export const useActiveIndex = () => [store.useStore(state => state.activeIndex), setActiveIndex];
+
+// Current conditions for one location, and how fetching them went
+export const useCurrentWeather = (locationId) => {
+  const data = store.useStore(state => state.cityData[locationId]);
+  const { weatherData, loading, updatedAt, offline, error } = data || {};
+  // No entry yet means the first fetch hasn't started
+  return { weatherData, loading: loading || !data, updatedAt, offline, error };
+};
+
+// The 5-day forecast for one location, and how fetching it went
+export const useForecast = (locationId) => {
+  const data = store.useStore(state => state.cityData[locationId]);
+  const { forecastData, loading, updatedAt, offline, error } = data || {};
+  return { forecastData, loading: loading || !data, updatedAt, offline, error };
+};
+
+// The weather state for every location, keyed by location id, for screens
+// that show several at once (like Compare)
+export const useCityData = () => store.useStore(state => state.cityData);
+
+// Air quality for one location, or null when there isn't any
+export const useAirQuality = (locationId) => {
+  return store.useStore(state => {
+    const data = state.cityData[locationId];
+    return (data && data.airQuality) || null;
+  });
+};
+
+// Past readings for one location, oldest first, or undefined until loaded
+// with loadWeatherHistory
+export const useWeatherHistory = (locationId) => store.useStore(state => state.history[locationId]);
+
+// { apiKey, apiKeyStatus }
+export const useApiKey = () => {
+  const apiKey = store.useStore(state => state.apiKey);
+  const apiKeyStatus = store.useStore(state => state.apiKeyStatus);
+  return { apiKey, apiKeyStatus };
+};
+
+// [alertRules, setAlertRules]
+export const useAlertRules = () => [store.useStore(state => state.alertRules), setAlertRules];
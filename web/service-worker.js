@@ -0,0 +1,134 @@
+// Service worker for the web app (registered by utils/serviceWorker.js).
+// It keeps the app working offline:
+//   - the app shell (the page, scripts, fonts and icons) is saved when a new
+//     version installs, and served from the cache
+//   - the last weather, forecast and air quality responses for each location
+//     are saved, and used when the network can't be reached
+// This is a template: `npm run build:web` copies it into dist/ with BUILD_ID,
+// BASE_URL and PRECACHE_URLS filled in (see scripts/build-pwa.js). Each build changes
+// the file, which is how the browser notices there's a new version; it waits
+// until the app says the user is ready (see SKIP_WAITING below) before
+// taking over.
+
+const BUILD_ID = '__BUILD_ID__';
+// Where the app is hosted, e.g. '/weather', or '' at the root
+const BASE_URL = '__BASE_URL__';
+const PRECACHE_URLS = [/* __PRECACHE_URLS__ */];
+
+// The app shell is cached per build, so old files can be cleared out.
+// Weather data is kept across builds
+const SHELL_CACHE = `shell-${BUILD_ID}`;
+const DATA_CACHE = 'weather-data';
+const ICON_CACHE = 'weather-icons';
+
+// Weather API requests whose responses are saved for offline use (the
+// providers' URLs, see providers/). Place searches aren't saved
+const DATA_URLS = [
+  'https://api.openweathermap.org/data/',
+  'https://api.open-meteo.com/v1/forecast'
+];
+
+// Weather condition icons (see getIconUrl in providers/)
+const ICON_HOST = 'openweathermap.org';
+
+// Save the new version's app shell before it can take over
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(PRECACHE_URLS)));
+});
+
+// Clear out the app shell from older versions once this one takes over
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith('shell-') && key !== SHELL_CACHE)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// The app asks the waiting version to take over when the user accepts the
+// update prompt (see components/UpdatePrompt.js)
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+// The key a weather response is saved under. The API key is left out, so
+// changing it doesn't lose the saved weather
+const dataCacheKey = (url) => {
+  const key = new URL(url);
+  key.searchParams.delete('appid');
+  return key.toString();
+};
+
+// Try the network first and save what comes back; fall back to the last
+// saved response when offline
+const networkFirst = async (request) => {
+  const cache = await caches.open(DATA_CACHE);
+  const key = dataCacheKey(request.url);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(key, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(key);
+    if (cached) {
+      return cached;
+    }
+    throw error;
+  }
+};
+
+// Use the saved copy if there is one, otherwise fetch and save it.
+// Images from other sites come back opaque (no status to check), but are
+// still worth saving
+const cacheFirst = async (request, cacheName) => {
+  const cached = await caches.match(request);
+  if (cached) {
+    return cached;
+  }
+  const response = await fetch(request);
+  if (response.ok || response.type === 'opaque') {
+    const cache = await caches.open(cacheName);
+    await cache.put(request, response.clone());
+  }
+  return response;
+};
+
+// Pages open at any path (e.g. /forecast), but they're all the same app,
+// so offline they all get the saved index.html
+const openPage = async (request) => {
+  try {
+    return await fetch(request);
+  } catch (error) {
+    const cached = await caches.match(`${BASE_URL}/index.html`, { cacheName: SHELL_CACHE });
+    if (cached) {
+      return cached;
+    }
+    throw error;
+  }
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') {
+    return;
+  }
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    event.respondWith(openPage(request));
+  } else if (DATA_URLS.some(dataUrl => request.url.startsWith(dataUrl))) {
+    event.respondWith(networkFirst(request));
+  } else if (url.hostname === ICON_HOST && url.pathname.startsWith('/img/')) {
+    event.respondWith(cacheFirst(request, ICON_CACHE));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(cacheFirst(request, SHELL_CACHE));
+  }
+});